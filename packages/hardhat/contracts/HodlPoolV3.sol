@@ -3,8 +3,11 @@ pragma solidity 0.8.6;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-IERC20Permit.sol";
 import "./extensions/ERC721EnumerableForOwner.sol";
 import "./extensions/IWETH.sol";
+import "./extensions/DepositMetadata.sol";
+import "./extensions/RewardCampaigns.sol";
 
 /*
  * @title Pools that incentivise long term holding with bonus and penalty mechanisms 
@@ -23,7 +26,8 @@ import "./extensions/IWETH.sol";
  *   of his choice (within allowed ranges). After the commitment period the
  *   deposit can be withdrawn with its share of both of the bonus pools.
  * - The two bonus pools are populated from the penalties for early withdrawals,
- *   which are withdrawals done before a deposit's commitment period is elapsed.
+ *   which are withdrawals done before a deposit's commitment period is elapsed, and 
+ *   from bonuses added directly by sponsors (e.g. token projects).
  * - The penalties are split in half and added to both bonus pools (isolated per asset): 
  *   Hold bonus pool and Commit bonus pool.
  * - The share of the bonus pools is equal to the share of the bonus points (hold-points 
@@ -45,8 +49,18 @@ import "./extensions/IWETH.sol";
  *   parameters can co-exist independently.
  * - Deposits can be deposited for another account as beneficiary,
  *   so e.g. a team / DAO can deposit its tokens for its members to withdraw.
+ * - A deposit can be split into two deposits with the same commitment terms (e.g. to
+ *   transfer or withdraw a part of it), and such deposits can be merged back.
+ * - A part of a deposit can be withdrawn early, with the penalty only for that part, 
+ *   while the rest keeps its commitment.
  * - Only the deposit "owner" can use the withdrawal functionality, so ERC721 approvals 
  *   allow transfers, but not withdrawals.
+ * - Reward campaigns in other tokens can be started by anyone and streamed to the
+ *   deposits of an asset (see RewardCampaigns), and are credited to the deposit's owner
+ *   on withdrawal without penalty.
+ * - An optional guardian can pause new deposits into a pool, and enable penalty-free
+ *   emergency withdrawals of principal for a pool (e.g. for a malicious token).
+ *   The guardian has no way to move any deposited funds.
  *
  * @dev 
  * 1. For safety and clarity, withdrawal functionality is split into 
@@ -54,7 +68,7 @@ import "./extensions/IWETH.sol";
  * with bonus.
  * 2. ERC20 token and ETH functionality is split into separate methods.
  * 3. Deposit for msg.sender and depositFor are split into separate methods
- * for clarity.
+ * for clarity. depositForMany batches depositFor with a single token transfer.
  * 4. For tokens with dynamic supply mechanisms and fee on transfer all internal
  * calculations are done using the "initial desposit amounts" as fair shares, and
  * upon withdrawal are translated to actual amounts of the contract's token balance.
@@ -66,14 +80,15 @@ import "./extensions/IWETH.sol";
  * deposits owned by a particular owner.
  * 7. The total of a pool's hold points are updated incrementally on each transaction
  * with a pool using the depositsSum in that pool for that period.
- * 8. TokenURI returns a JSON string with basic name and description for the deposit.
+ * 8. TokenURI returns a base64 data URI of a JSON with an SVG image of the deposit.
+ * 9. The reward campaigns contract is updated on every change of a deposit's amount 
+ * or commit-points, its failure on withdrawal is ignored so that it can't lock deposits.
  *
  * @author artdgn (@github)
  */
 contract HodlPoolV3 is ERC721EnumerableForOwner {
 
   using SafeERC20 for IERC20;
-  using Strings for uint;
 
   /// @dev state variables for a deposit in a pool
   struct Deposit {
@@ -107,6 +122,22 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
   // slither-disable-next-line naming-convention
   address public immutable WETH;
 
+  /// @notice optional guardian that can pause deposits and enable emergency withdrawals
+  ///   per asset, it has no access to funds. Zero address if there is no guardian.
+  address public guardian;
+
+  /// @notice assets for which new deposits (and recommitments) are paused by the guardian
+  mapping(address => bool) public depositsPaused;
+
+  /// @notice assets for which penalty-free emergency withdrawals of principal are enabled
+  mapping(address => bool) public emergencyWithdrawals;
+
+  /// @dev renderer of the deposits' tokenURI metadata
+  DepositMetadata internal immutable metadata;
+
+  /// @notice reward campaigns in other tokens for the pools' deposits
+  RewardCampaigns public immutable campaigns;
+
   /// @dev tokenId incremted counter
   uint internal nextTokenId = 1;
 
@@ -161,6 +192,108 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     uint timeHeld
   );
 
+  /*
+   * @param asset ERC20 token address for the deposited asset
+   * @param account address that has recommitted the deposit
+   * @param tokenId deposit ERC721 tokenId
+   * @param amount new size of the deposit (including the claimed bonuses)
+   * @param holdBonus the hold-bonus added to the deposit
+   * @param commitBonus the commit-bonus added to the deposit
+   * @param time timestamp from which the new commitment period will be counted
+   * @param initialPenaltyPercent new initial penalty percent for the deposit
+   * @param commitPeriod new commitment period in seconds for the deposit
+   */
+  event Recommitted(
+    address indexed asset,
+    address indexed account,
+    uint tokenId,
+    uint amount,
+    uint holdBonus,
+    uint commitBonus,
+    uint time,
+    uint initialPenaltyPercent,
+    uint commitPeriod
+  );
+
+  /*
+   * @param asset ERC20 token address for the deposited asset
+   * @param account address that has split the deposit
+   * @param tokenId deposit ERC721 tokenId that was split
+   * @param newTokenId ERC721 tokenId of the new deposit
+   * @param amount size of the new deposit (in deposit shares), subtracted from the split one
+   */
+  event Split(
+    address indexed asset,
+    address indexed account,
+    uint tokenId,
+    uint newTokenId,
+    uint amount
+  );
+
+  /*
+   * @param asset ERC20 token address for the deposited asset
+   * @param account address that has merged the deposits
+   * @param tokenId deposit ERC721 tokenId that was merged into
+   * @param mergedTokenId ERC721 tokenId of the deposit that was merged and burned
+   * @param amount new size of the deposit (in deposit shares)
+   */
+  event Merged(
+    address indexed asset,
+    address indexed account,
+    uint tokenId,
+    uint mergedTokenId,
+    uint amount
+  );
+
+  /*
+   * @param asset ERC20 token address of the pool
+   * @param account address that has added the bonus (sponsor)
+   * @param amount of the bonus sent
+   * @param amountReceived received balance after transfer (actual bonus)
+   * @param holdBonus part of the received amount added to the hold bonus pool
+   * @param commitBonus part of the received amount added to the commit bonus pool
+   */
+  event BonusAdded(
+    address indexed asset,
+    address indexed account,
+    uint amount,
+    uint amountReceived,
+    uint holdBonus,
+    uint commitBonus
+  );
+
+  /*
+   * @notice emitted after the Withdrawed event of a partial withdrawal (that doesn't 
+   *   burn the deposit)
+   * @param asset ERC20 token address for the withdrawed asset
+   * @param account address that has made the withdrawal
+   * @param tokenId deposit ERC721 tokenId that was partially withdrawed
+   * @param amountLeft size of the deposit left in the pool (in deposit shares)
+   */
+  event PartiallyWithdrawed(
+    address indexed asset,
+    address indexed account,
+    uint tokenId,
+    uint amountLeft
+  );
+
+  /*
+   * @param guardian the new guardian address (zero address if guardian was removed)
+   */
+  event GuardianSet(address indexed guardian);
+
+  /*
+   * @param asset ERC20 token address of the pool
+   * @param paused whether new deposits to the pool are paused
+   */
+  event DepositsPaused(address indexed asset, bool paused);
+
+  /*
+   * @param asset ERC20 token address of the pool
+   * @param enabled whether emergency withdrawals from the pool are enabled
+   */
+  event EmergencyWithdrawalsSet(address indexed asset, bool enabled);
+
   /// @dev checks commitment params are within allowed ranges
   modifier validCommitment(uint initialPenaltyPercent, uint commitPeriod) {
     require(initialPenaltyPercent >= minInitialPenaltyPercent, "penalty too small"); 
@@ -170,15 +303,22 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     _;
   }
 
+  modifier onlyGuardian() {
+    require(msg.sender == guardian, "not guardian");
+    _;
+  }
+
   /*
    * @param _minInitialPenaltyPercent the minimum penalty percent for deposits
    * @param _minCommitPeriod the minimum time in seconds for commitPeriod of a deposit
    * @param _WETH wrapped ETH contract address this pool will be using for ETH
+   * @param _guardian optional guardian address (zero address for no guardian)
   */
   constructor (
     uint _minInitialPenaltyPercent, 
     uint _minCommitPeriod, 
-    address _WETH
+    address _WETH,
+    address _guardian
   ) 
     ERC721("HodlBonusPool V3", "HodlPoolV3") 
   {
@@ -190,6 +330,10 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     minInitialPenaltyPercent = _minInitialPenaltyPercent;
     minCommitPeriod = _minCommitPeriod;
     WETH = _WETH;
+    metadata = new DepositMetadata();
+    campaigns = new RewardCampaigns();
+    guardian = _guardian;
+    emit GuardianSet(_guardian);
   }
 
   /// @notice contract doesn't support sending ETH directly
@@ -223,8 +367,6 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     validCommitment(initialPenaltyPercent, commitPeriod) 
     returns (uint tokenId)
   {
-    require(amount > 0, "empty deposit");
-
     // interal accounting update
     tokenId = _depositAndMint(
       asset, 
@@ -259,6 +401,41 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     );
   }
 
+  /*
+   * @notice deposit() for tokens supporting EIP-2612 permit, using a permit
+   * signature instead of a separate approve transaction
+   * @param asset address of ERC20 token contract (must support permit)
+   * @param amount of token to deposit (and the permit value)
+   * @param initialPenaltyPercent initial penalty percent for deposit
+   * @param commitPeriod period during which a withdrawal results in penalty and no bonus
+   * @param deadline the permit signature deadline
+   * @param v permit signature v
+   * @param r permit signature r
+   * @param s permit signature s
+   * @return ERC721 tokenId of this deposit
+   */
+  function depositWithPermit(
+    address asset, 
+    uint amount, 
+    uint initialPenaltyPercent,
+    uint commitPeriod,
+    uint deadline,
+    uint8 v,
+    bytes32 r,
+    bytes32 s
+  ) external returns (uint tokenId) {
+    // the signature can be used by anyone once it's public (e.g. front-run from the
+    // mempool), so the deposit goes through if the allowance is already enough
+    try IERC20Permit(asset).permit(msg.sender, address(this), amount, deadline, v, r, s) {
+    } catch (bytes memory reason) {
+      if (IERC20(asset).allowance(msg.sender, address(this)) < amount) {
+        // slither-disable-next-line assembly
+        assembly { revert(add(reason, 32), mload(reason)) }
+      }
+    }
+    tokenId = deposit(asset, amount, initialPenaltyPercent, commitPeriod);
+  }
+
   /*
    * @notice payable method for depositing ETH with same logic as deposit(), 
    * adds a deposit into WETH asset pool and mints an ERC721 token
@@ -274,8 +451,6 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     payable
     returns (uint tokenId)
   {
-    require(msg.value > 0, "empty deposit");
-
     // interal accounting update
     tokenId = _depositAndMint(
       WETH, 
@@ -344,7 +519,132 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     tokenId = depositETH(initialPenaltyPercent, commitPeriod);
     _transfer(msg.sender, account, tokenId);
   }
+
+
+  /*
+   * @notice adds a deposit for each of several accounts in one transaction, with same
+   * logic as depositFor() for each one, but transferring the total amount only once
+   * @param accounts that will be the owners of the deposits (can withdraw)
+   * @param asset address of ERC20 token contract
+   * @param amounts of token to deposit for each account
+   * @param initialPenaltyPercent initial penalty percent for the deposits
+   * @param commitPeriod period during which a withdrawal results in penalty and no bonus
+   * @return ERC721 tokenIds of the deposits (in the order of accounts)
+   * @dev for tokens with fee-on-transfer the amount received for the total is split
+   *   between the deposits' events proportionally to their amounts
+   */
+  function depositForMany(
+    address[] calldata accounts,
+    address asset,
+    uint[] calldata amounts,
+    uint initialPenaltyPercent,
+    uint commitPeriod
+  ) external
+    validCommitment(initialPenaltyPercent, commitPeriod)
+    returns (uint[] memory tokenIds)
+  {
+    uint total = _batchTotal(accounts, amounts);
+
+    // interal accounting update
+    tokenIds = new uint[](accounts.length);
+    for (uint i; i < accounts.length; i++) {
+      tokenIds[i] = _depositAndMint(
+        asset, msg.sender, amounts[i], initialPenaltyPercent, commitPeriod);
+    }
+
+    // this contract's balance before the transfer
+    uint beforeBalance = IERC20(asset).balanceOf(address(this));
+
+    // single transfer for all the deposits
+    IERC20(asset).safeTransferFrom(msg.sender, address(this), total);
+
+    // what was actually received, only used in the events (as in deposit())
+    uint amountReceived = IERC20(asset).balanceOf(address(this)) - beforeBalance;
+
+    // slither-disable-next-line reentrancy-events
+    _emitAndTransferMany(
+      accounts, asset, amounts, total, amountReceived, initialPenaltyPercent, commitPeriod, tokenIds);
+  }
+
+  /*
+   * @notice adds an ETH deposit for each of several accounts in one transaction, with 
+   * same logic as depositETHFor() for each one
+   * @param accounts that will be the owners of the deposits (can withdraw)
+   * @param amounts of ETH to deposit for each account, must sum up to the value sent
+   * @param initialPenaltyPercent initial penalty percent for the deposits
+   * @param commitPeriod period during which a withdrawal results in penalty and no bonus
+   * @return ERC721 tokenIds of the deposits (in the order of accounts)
+   */
+  function depositETHForMany(
+    address[] calldata accounts,
+    uint[] calldata amounts,
+    uint initialPenaltyPercent,
+    uint commitPeriod
+  ) external payable
+    validCommitment(initialPenaltyPercent, commitPeriod)
+    returns (uint[] memory tokenIds)
+  {
+    require(_batchTotal(accounts, amounts) == msg.value, "amounts don't sum to value");
+
+    // interal accounting update
+    tokenIds = new uint[](accounts.length);
+    for (uint i; i < accounts.length; i++) {
+      tokenIds[i] = _depositAndMint(
+        WETH, msg.sender, amounts[i], initialPenaltyPercent, commitPeriod);
+    }
+
+    _emitAndTransferMany(
+      accounts, WETH, amounts, msg.value, msg.value, initialPenaltyPercent, commitPeriod, tokenIds);
+
+    // note: no share vs. balance accounting for WETH (as in depositETH())
+    IWETH(WETH).deposit{value: msg.value}();
+  }
   
+  /*
+   * @notice adds a bonus (sponsorship) directly to an asset's bonus pools, e.g. by a 
+   * token project that wants to incentivise holding its token
+   * @param asset address of ERC20 token contract
+   * @param amount of token to add to the bonus pools
+   * @param holdShare percent of the bonus for the hold bonus pool, the rest is for the 
+   *   commit bonus pool
+   * @dev the bonus is credited in shares by the amount actually received, so that for 
+   *   tokens with fee-on-transfer or dynamic supply the existing shares are not affected
+   */
+  function addBonus(address asset, uint amount, uint holdShare) external {
+    require(amount > 0, "empty bonus");
+    require(holdShare <= 100, "hold share > 100%");
+
+    // this contract's balance and shares before the transfer
+    uint beforeBalance = IERC20(asset).balanceOf(address(this));
+    Pool storage pool = pools[asset];
+    uint totalShares = pool.depositsSum + pool.holdBonusesSum + pool.commitBonusesSum;
+
+    IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+
+    // the amount received is only known after the transfer, so the accounting 
+    // update has to happen after it
+    uint amountReceived = IERC20(asset).balanceOf(address(this)) - beforeBalance;
+    uint shares = (totalShares > 0 && beforeBalance > 0) ? 
+      amountReceived * totalShares / beforeBalance : amountReceived;
+
+    // slither-disable-next-line reentrancy-benign,reentrancy-events
+    _addBonusShares(asset, pool, amount, amountReceived, shares, holdShare);
+  }
+
+  /*
+   * @notice payable method for adding a bonus to the ETH (WETH) pool with same 
+   * logic as addBonus()
+   * @param holdShare percent of the bonus for the hold bonus pool, the rest is for the 
+   *   commit bonus pool
+   */
+  function addBonusETH(uint holdShare) external payable {
+    require(msg.value > 0, "empty bonus");
+    require(holdShare <= 100, "hold share > 100%");
+    // note: no share vs. balance accounting for WETH (as in depositETH())
+    _addBonusShares(WETH, pools[WETH], msg.value, msg.value, msg.value, holdShare);
+    IWETH(WETH).deposit{value: msg.value}();
+  }
+
   /*
    * @param tokenId ERC721 tokenId of the deposit to withdraw
    * @notice withdraw the full deposit with the proportional shares of bonus pools.
@@ -352,20 +652,73 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
    * @dev checks that the deposit is non-zero
    */
   function withdrawWithBonus(uint tokenId) external {
-    require(
-      _timeLeft(deposits[tokenId]) == 0, 
-      "cannot withdraw without penalty yet, use withdrawWithPenalty()"
-    );
-    _withdrawERC20(tokenId);
+    _withdrawWithBonus(tokenId, false, 0);
   }
 
   /// @notice withdraw ETH with bonus with same logic as withdrawWithBonus()
   function withdrawWithBonusETH(uint tokenId) external {
-    require(
-      _timeLeft(deposits[tokenId]) == 0, 
-      "cannot withdraw without penalty yet, use withdrawWithPenaltyETH()"
-    );
-    _withdrawETH(tokenId);
+    _withdrawWithBonus(tokenId, true, 0);
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to withdraw
+   * @param minAmountOut minimum amount to be sent out, otherwise the withdrawal fails
+   * @param deadline timestamp after which the withdrawal fails
+   * @notice withdrawWithBonus() with slippage protection, because the amount is only 
+   *   known at execution (it depends on the bonus pools and the other withdrawals, and
+   *   on the token's balance for tokens with fees or dynamic supply)
+   */
+  function withdrawWithBonusMinOut(uint tokenId, uint minAmountOut, uint deadline) external {
+    _checkDeadline(deadline);
+    _withdrawWithBonus(tokenId, false, minAmountOut);
+  }
+
+  /// @notice withdrawWithBonusETH() with slippage protection as in withdrawWithBonusMinOut()
+  function withdrawWithBonusETHMinOut(uint tokenId, uint minAmountOut, uint deadline) external {
+    _checkDeadline(deadline);
+    _withdrawWithBonus(tokenId, true, minAmountOut);
+  }
+
+  /*
+   * @param tokenIds ERC721 tokenIds of the deposits to withdraw
+   * @notice withdraw multiple deposits with bonus in one transaction, 
+   *   with same logic as withdrawWithBonus() for each deposit.
+   *   will fail if any of the deposits can't be withdrawn without penalty yet
+   */
+  function withdrawWithBonusBatch(uint[] calldata tokenIds) external {
+    for (uint i; i < tokenIds.length; i++) {
+      _withdrawWithBonus(tokenIds[i], false, 0);
+    }
+  }
+
+  /// @notice withdraw multiple ETH deposits with same logic as withdrawWithBonusBatch()
+  function withdrawWithBonusBatchETH(uint[] calldata tokenIds) external {
+    for (uint i; i < tokenIds.length; i++) {
+      _withdrawWithBonus(tokenIds[i], true, 0);
+    }
+  }
+
+  /*
+   * @param tokenIds ERC721 tokenIds of the deposits to withdraw
+   * @param minAmountsOut minimum amount to be sent out for each of the deposits
+   * @param deadline timestamp after which the withdrawal fails
+   * @notice withdrawWithBonusBatch() with slippage protection as in withdrawWithBonusMinOut()
+   *   for each of the deposits (which can be of different assets)
+   */
+  function withdrawWithBonusBatchMinOut(
+    uint[] calldata tokenIds, uint[] calldata minAmountsOut, uint deadline
+  ) external {
+    _checkDeadline(deadline);
+    _withdrawWithBonusBatch(tokenIds, minAmountsOut, false);
+  }
+
+  /// @notice withdrawWithBonusBatchETH() with slippage protection as in
+  ///   withdrawWithBonusBatchMinOut()
+  function withdrawWithBonusBatchETHMinOut(
+    uint[] calldata tokenIds, uint[] calldata minAmountsOut, uint deadline
+  ) external {
+    _checkDeadline(deadline);
+    _withdrawWithBonusBatch(tokenIds, minAmountsOut, true);
   }
 
   /*
@@ -374,12 +727,231 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
    * with any available bonus if penalty is 0 (commitment period elapsed).
    */
   function withdrawWithPenalty(uint tokenId) external {
-    _withdrawERC20(tokenId);
+    _withdraw(tokenId, false, false, 0);
   }
 
   /// @notice withdraw ETH with penalty with same logic as withdrawWithPenalty()
   function withdrawWithPenaltyETH(uint tokenId) external {
-    _withdrawETH(tokenId);
+    _withdraw(tokenId, false, true, 0);
+  }
+
+  /// @notice withdrawWithPenalty() with slippage protection as in withdrawWithBonusMinOut()
+  function withdrawWithPenaltyMinOut(uint tokenId, uint minAmountOut, uint deadline) external {
+    _checkDeadline(deadline);
+    _withdraw(tokenId, false, false, minAmountOut);
+  }
+
+  /// @notice withdrawWithPenaltyETH() with slippage protection as in withdrawWithBonusMinOut()
+  function withdrawWithPenaltyETHMinOut(uint tokenId, uint minAmountOut, uint deadline) external {
+    _checkDeadline(deadline);
+    _withdraw(tokenId, false, true, minAmountOut);
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to withdraw from
+   * @param amount of the deposit (in deposit shares, as in depositsOfOwner) to withdraw
+   * @notice withdraw a part of the deposit before its commitment period is over, with
+   *   the penalty applied only to the withdrawn part. The rest of the deposit stays in
+   *   the pool with its original time and commitment (and keeps earning points).
+   */
+  function withdrawPartial(uint tokenId, uint amount) external {
+    _withdrawPartial(tokenId, amount, false, 0);
+  }
+
+  /// @notice withdraw part of an ETH deposit with same logic as withdrawPartial()
+  function withdrawPartialETH(uint tokenId, uint amount) external {
+    _withdrawPartial(tokenId, amount, true, 0);
+  }
+
+  /// @notice withdrawPartial() with slippage protection as in withdrawWithBonusMinOut()
+  function withdrawPartialMinOut(
+    uint tokenId, uint amount, uint minAmountOut, uint deadline
+  ) external {
+    _checkDeadline(deadline);
+    _withdrawPartial(tokenId, amount, false, minAmountOut);
+  }
+
+  /// @notice withdrawPartialETH() with slippage protection as in withdrawWithBonusMinOut()
+  function withdrawPartialETHMinOut(
+    uint tokenId, uint amount, uint minAmountOut, uint deadline
+  ) external {
+    _checkDeadline(deadline);
+    _withdrawPartial(tokenId, amount, true, minAmountOut);
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to recommit
+   * @param initialPenaltyPercent new initial penalty percent for the deposit
+   * @param commitPeriod new commitment period for the deposit
+   * @notice adds the deposit's bonus to its principal and starts a new commitment
+   *   for the same deposit (same tokenId). Only possible after the commitment period.
+   * @dev the deposit is removed from the pool with its bonus, and added back as 
+   *   a new deposit, amounts are all in deposit shares.
+   */
+  function recommit(
+    uint tokenId,
+    uint initialPenaltyPercent,
+    uint commitPeriod
+  ) external
+    validCommitment(initialPenaltyPercent, commitPeriod)
+  {
+    _checkOwner(tokenId);
+    Deposit storage dep = deposits[tokenId];
+    require(_timeLeft(dep) == 0, "cannot recommit before commitment end");
+
+    Pool storage pool = pools[dep.asset];
+    // WARNING: hold points must be updated before calculating the hold bonus
+    _updatePoolHoldPoints(pool);
+    uint holdBonus = _holdBonus(pool, dep);
+    uint commitBonus = _commitBonus(pool, dep);
+
+    // remove with the old params, and add back with the new ones
+    _removeDepositFromPool(pool, dep, 0, holdBonus, commitBonus);
+    dep.amount += holdBonus + commitBonus;
+    dep.time = uint40(block.timestamp);
+    dep.initialPenaltyPercent = uint16(initialPenaltyPercent);
+    dep.commitPeriod = uint40(commitPeriod);
+    _addDepositToPool(dep.asset, dep);
+    _updateCampaigns(dep.asset, tokenId);
+
+    emit Recommitted(
+      dep.asset,
+      msg.sender,
+      tokenId,
+      dep.amount,
+      holdBonus,
+      commitBonus,
+      block.timestamp,
+      initialPenaltyPercent,
+      commitPeriod
+    );
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to split
+   * @param amount of the deposit (in deposit shares, as in depositsOfOwner) to move
+   *   to the new deposit
+   * @notice splits a deposit into two: mints a new deposit with the same asset, time,
+   *   initial penalty and commitment period, so that part of it can be transferred or 
+   *   withdrawn separately
+   * @return ERC721 tokenId of the new deposit
+   * @dev hold-points are conserved because the time is the same, commit-points can 
+   *   differ by rounding so the pool's total is updated with the actual difference
+   */
+  function split(uint tokenId, uint amount) external returns (uint newTokenId) {
+    _checkOwner(tokenId);
+    Deposit storage dep = deposits[tokenId];
+    require(amount > 0 && amount < dep.amount, "invalid split amount");
+
+    uint commitPointsBefore = _commitPoints(dep);
+    dep.amount -= amount;
+
+    newTokenId = nextTokenId++;
+    _mint(msg.sender, newTokenId);
+    deposits[newTokenId] = Deposit({
+      asset: dep.asset,
+      time: dep.time,
+      initialPenaltyPercent: dep.initialPenaltyPercent,
+      commitPeriod: dep.commitPeriod,
+      amount: amount
+    });
+
+    Pool storage pool = pools[dep.asset];
+    pool.totalCommitPoints = pool.totalCommitPoints - commitPointsBefore 
+      + _commitPoints(dep) + _commitPoints(deposits[newTokenId]);
+    _updateCampaigns(dep.asset, tokenId);
+    _updateCampaigns(dep.asset, newTokenId);
+
+    emit Split(dep.asset, msg.sender, tokenId, newTokenId, amount);
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to merge into
+   * @param mergedTokenId ERC721 tokenId of the deposit to merge (will be burned)
+   * @notice merges two deposits with identical commitment terms (asset, time, 
+   *   initial penalty and commitment period), e.g. ones that were split before
+   * @dev commit-points can differ by rounding so the pool's total is updated with
+   *   the actual difference
+   */
+  function merge(uint tokenId, uint mergedTokenId) external {
+    require(tokenId != mergedTokenId, "same deposit");
+    _checkOwner(tokenId);
+    _checkOwner(mergedTokenId);
+    Deposit storage dep = deposits[tokenId];
+    Deposit storage merged = deposits[mergedTokenId];
+    require(
+      dep.asset == merged.asset &&
+      dep.time == merged.time &&
+      dep.initialPenaltyPercent == merged.initialPenaltyPercent &&
+      dep.commitPeriod == merged.commitPeriod,
+      "deposits not compatible"
+    );
+
+    Pool storage pool = pools[dep.asset];
+    uint commitPointsBefore = _commitPoints(dep) + _commitPoints(merged);
+    dep.amount += merged.amount;
+    pool.totalCommitPoints = pool.totalCommitPoints - commitPointsBefore + _commitPoints(dep);
+
+    emit Merged(dep.asset, msg.sender, tokenId, mergedTokenId, dep.amount);
+
+    delete deposits[mergedTokenId];
+    // the merged deposit's campaign rewards are moved to the remaining one
+    _updateCampaigns(dep.asset, tokenId);
+    campaigns.moveRewards(dep.asset, mergedTokenId, tokenId);
+
+    _burn(mergedTokenId);
+  }
+
+  /*
+   * @param tokenId ERC721 tokenId of the deposit to withdraw
+   * @notice withdraw the deposit's principal without penalty and without bonus, only
+   *   possible if emergency withdrawals were enabled for the deposit's asset by the guardian.
+   *   ETH deposits are withdrawn as WETH.
+   */
+  function emergencyWithdraw(uint tokenId) external {
+    require(emergencyWithdrawals[deposits[tokenId].asset], "no emergency withdrawals");
+    _withdraw(tokenId, true, false, 0);
+  }
+
+  /* * * * * * * * * *
+   * 
+   * Guardian actions
+   * 
+   * * * * * * * * * *
+  */
+
+  /*
+   * @param newGuardian the new guardian address, or zero address to remove the guardian
+   * @notice transfers or renounces the guardian role
+   */
+  function setGuardian(address newGuardian) external onlyGuardian {
+    guardian = newGuardian;
+    emit GuardianSet(newGuardian);
+  }
+
+  /*
+   * @param asset ERC20 token address of the pool
+   * @param paused whether to pause new deposits and recommitments to the pool
+   * @notice withdrawals are not affected
+   */
+  function setDepositsPaused(address asset, bool paused) external onlyGuardian {
+    depositsPaused[asset] = paused;
+    emit DepositsPaused(asset, paused);
+  }
+
+  /*
+   * @param asset ERC20 token address of the pool
+   * @param enabled whether to allow emergencyWithdraw() for the pool's deposits
+   * @notice enabling also pauses new deposits. Regular withdrawals are not affected, 
+   *   so matured deposits can still be withdrawn with bonus.
+   */
+  function setEmergencyWithdrawals(address asset, bool enabled) external onlyGuardian {
+    emergencyWithdrawals[asset] = enabled;
+    emit EmergencyWithdrawalsSet(asset, enabled);
+    if (enabled && !depositsPaused[asset]) {
+      depositsPaused[asset] = true;
+      emit DepositsPaused(asset, true);
+    }
   }
 
   /* * * * * * * *
@@ -471,26 +1043,22 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
 
   /*
    * @param tokenId ERC721 tokenId of a deposit
-   * @return string with metadata JSON containing the NFT's name and description
+   * @return data URI of base64 encoded metadata JSON with the NFT's name, description,
+   *  attributes and an SVG image of the deposit's current state
    */
   function tokenURI(uint256 tokenId) public view virtual override returns (string memory) {
       require(_exists(tokenId), "ERC721: nonexistent token");
       Deposit storage dep = deposits[tokenId];
-      return string(abi.encodePacked(
-        '{"name":"Hodl-bonus-pool deposit, tokenId: ', 
-        tokenId.toString(),
-        '", "description":"ERC20 asset address: ',
-        (uint(uint160(dep.asset))).toHexString(20),
-        '\\nDeposited amount: ',
-        dep.amount.toString(),
-        ' wei (of token)\\nDeposited at: ',
-        uint(dep.time).toString(),
-        ' seconds unix epoch\\nInitial penalty percent: ',
-        uint(dep.initialPenaltyPercent).toString(),
-        '%\\nCommitment period: ',
-        uint(dep.commitPeriod).toString(),
-        ' seconds"}'
-      ));
+      return metadata.tokenURI(DepositMetadata.Params({
+        tokenId: tokenId,
+        asset: dep.asset,
+        amount: _sharesToAmount(dep.asset, dep.amount),
+        time: dep.time,
+        initialPenaltyPercent: dep.initialPenaltyPercent,
+        currentPenaltyPercent: _currentPenaltyPercent(dep),
+        commitPeriod: dep.commitPeriod,
+        timeLeft: _timeLeft(dep)
+      }));
     }
 
   /* * * * * * * * * * * *
@@ -508,6 +1076,8 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     uint initialPenaltyPercent, 
     uint commitPeriod
   ) internal returns (uint tokenId) {
+    require(amount > 0, "empty deposit");
+
     // get token id and increment
     tokenId = nextTokenId++;
 
@@ -525,10 +1095,74 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
 
     // pool state update
     _addDepositToPool(asset, deposits[tokenId]);
+    _updateCampaigns(asset, tokenId);
+  }
+
+  /// @dev checks a batch's arrays and returns the total amount
+  function _batchTotal(
+    address[] calldata accounts, uint[] calldata amounts
+  ) internal pure returns (uint total) {
+    require(accounts.length > 0, "no accounts");
+    require(accounts.length == amounts.length, "accounts and amounts mismatch");
+    for (uint i; i < amounts.length; i++) {
+      total += amounts[i];
+    }
+  }
+
+  /// @dev emits the Deposited events of a batch, with the amount received split 
+  ///   proportionally to the amounts (the last one gets the rounding remainder), 
+  ///   and transfers the deposits to their accounts
+  function _emitAndTransferMany(
+    address[] calldata accounts,
+    address asset,
+    uint[] calldata amounts,
+    uint total,
+    uint amountReceived,
+    uint initialPenaltyPercent,
+    uint commitPeriod,
+    uint[] memory tokenIds
+  ) internal {
+    uint receivedLeft = amountReceived;
+    for (uint i; i < accounts.length; i++) {
+      uint received = (i == accounts.length - 1) ? 
+        receivedLeft : amountReceived * amounts[i] / total;
+      receivedLeft -= received;
+      emit Deposited(
+        asset,
+        msg.sender,
+        amounts[i],
+        received,
+        block.timestamp,
+        initialPenaltyPercent,
+        commitPeriod,
+        tokenIds[i]
+      );
+      _transfer(msg.sender, accounts[i], tokenIds[i]);
+    }
+  }
+
+  /// @dev bonus pools update for an added bonus, the shares are split between the
+  ///   pools in the same ratio as the amount received
+  function _addBonusShares(
+    address asset, 
+    Pool storage pool, 
+    uint amount, 
+    uint amountReceived, 
+    uint shares, 
+    uint holdShare
+  ) internal {
+    uint holdShares = shares * holdShare / 100;
+    pool.holdBonusesSum += holdShares;
+    pool.commitBonusesSum += shares - holdShares;
+
+    uint holdBonus = amountReceived * holdShare / 100;
+    emit BonusAdded(
+      asset, msg.sender, amount, amountReceived, holdBonus, amountReceived - holdBonus);
   }
 
   /// @dev pool state update for new deposit
   function _addDepositToPool(address asset, Deposit storage dep) internal {
+    require(!depositsPaused[asset], "deposits paused");
     Pool storage pool = pools[asset];
     // update pool's total hold time due to passage of time
     // because the deposits sum is going to change
@@ -539,6 +1173,12 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     pool.totalCommitPoints += _commitPoints(dep);
   }
 
+  /// @dev reward campaigns update after a change of a deposit's amount or commit-points
+  function _updateCampaigns(address asset, uint tokenId) internal {
+    Deposit storage dep = deposits[tokenId];
+    campaigns.updateDeposit(asset, tokenId, dep.amount, _commitPoints(dep));
+  }
+
   // this happens on every pool interaction (so every withdrawal and deposit to that pool)
   function _updatePoolHoldPoints(Pool storage pool) internal {
     // add points proportional to amount held in pool since last update
@@ -546,32 +1186,81 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     pool.totalHoldPointsUpdateTime = block.timestamp;
   }  
   
-  function _withdrawERC20(uint tokenId) internal {
+  function _withdrawWithBonus(
+    uint tokenId, bool eth, uint minAmountOut
+  ) internal {
+    if (_timeLeft(deposits[tokenId]) > 0) {
+      if (eth) {
+        revert("cannot withdraw without penalty yet, use withdrawWithPenaltyETH()");
+      }
+      revert("cannot withdraw without penalty yet, use withdrawWithPenalty()");
+    }
+    _withdraw(tokenId, false, eth, minAmountOut);
+  }
+
+  function _withdrawWithBonusBatch(
+    uint[] calldata tokenIds, uint[] calldata minAmountsOut, bool eth
+  ) internal {
+    require(tokenIds.length == minAmountsOut.length, "tokenIds and minimums mismatch");
+    for (uint i; i < tokenIds.length; i++) {
+      _withdrawWithBonus(tokenIds[i], eth, minAmountsOut[i]);
+    }
+  }
+
+  /// @dev full withdrawal, as ETH if eth (only for WETH deposits)
+  function _withdraw(
+    uint tokenId, bool emergency, bool eth, uint minAmountOut
+  ) internal {
     address asset = deposits[tokenId].asset;
-    address account = ownerOf(tokenId);
-    require(account == msg.sender, "not deposit owner");
-    uint amountOut = _amountOutAndBurn(tokenId);
-    // WARNING: asset and account must be set before token is burned
-    IERC20(asset).safeTransfer(account, amountOut);
+    _checkOwner(tokenId);
+    _checkAsset(asset, eth);
+    uint amountOut = _amountOutAndBurn(tokenId, emergency);
+    _checkAmountOut(amountOut, minAmountOut);
+    // WARNING: asset must be set before token is burned
+    _send(asset, msg.sender, amountOut, eth);
   }
 
-  function _withdrawETH(uint tokenId) internal {
-    address account = ownerOf(tokenId);
-    require(account == msg.sender, "not deposit owner");
-    require(deposits[tokenId].asset == WETH, "not an ETH / WETH deposit");
-    
-    uint amountOut = _amountOutAndBurn(tokenId);
+  function _withdrawPartial(uint tokenId, uint amount, bool eth, uint minAmountOut) internal {
+    address asset = deposits[tokenId].asset;
+    _checkAsset(asset, eth);
+    uint amountOut = _partialAmountOut(tokenId, amount);
+    _checkAmountOut(amountOut, minAmountOut);
+    _send(asset, msg.sender, amountOut, eth);
+  }
 
-    IWETH(WETH).withdraw(amountOut);
-    // WARNING: account must be set before token is burned
-    // - call is used because if contract is withdrawing it may need more gas than what .transfer sends
+  function _checkOwner(uint tokenId) internal view {
+    require(ownerOf(tokenId) == msg.sender, "not deposit owner");
+  }
+
+  function _checkAsset(address asset, bool eth) internal view {
+    require(!eth || asset == WETH, "not an ETH / WETH deposit");
+  }
+
+  /// @dev sends amount of asset to account, as ETH if eth (unwrapping WETH)
+  function _send(address asset, address account, uint amount, bool eth) internal {
+    if (!eth) {
+      IERC20(asset).safeTransfer(account, amount);
+      return;
+    }
+    IWETH(WETH).withdraw(amount);
+    // call is used because if contract is withdrawing it may need more gas than what .transfer sends
     // slither-disable-next-line low-level-calls
-    (bool success, ) = payable(account).call{value: amountOut}("");
+    (bool success, ) = payable(account).call{value: amount}("");
     require(success);
   }
 
+  /// @dev slippage protection checks
+  function _checkDeadline(uint deadline) internal view {
+    require(block.timestamp <= deadline, "deadline passed");
+  }
+
+  function _checkAmountOut(uint amountOut, uint minAmountOut) internal pure {
+    require(amountOut >= minAmountOut, "amount out too small");
+  }
+
   /// @dev the order of calculations is important for correct accounting
-  function _amountOutAndBurn(uint tokenId) internal returns (uint amountOut) {
+  ///   emergency withdrawals are of the principal only: no penalty and no bonuses
+  function _amountOutAndBurn(uint tokenId, bool emergency) internal returns (uint amountOut) {
     // WARNING: deposit is only read here and is not updated until it's removal
     Deposit storage dep = deposits[tokenId];
     address asset = dep.asset;
@@ -582,11 +1271,11 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     _updatePoolHoldPoints(pool);
 
     // calculate penalty & bunus before making changes
-    uint penalty = _depositPenalty(dep);
+    uint penalty = emergency ? 0 : _depositPenalty(dep);
     uint holdBonus = 0;
     uint commitBonus = 0;
     uint withdrawShare = dep.amount - penalty;
-    if (penalty == 0) {
+    if (penalty == 0 && !emergency) {
       // only get any bonuses if no penalty
       holdBonus =  _holdBonus(pool, dep);
       commitBonus =  _commitBonus(pool, dep);
@@ -620,10 +1309,69 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
     // computations for pool state updates (e.g. hold points)    
     delete deposits[tokenId];   
 
+    // campaigns update: rewards are credited to the owner, or forfeited with a penalty
+    // or in an emergency withdrawal (a failure in the campaigns' accounting can't
+    // block withdrawals)
+    try campaigns.removeDeposit(
+      asset, tokenId, penalty > 0 || emergency ? address(0) : ownerOf(tokenId)
+    ) {} catch {}
+
     // burn token
     _burn(tokenId);
   }
 
+  /// @dev the order of calculations is important for correct accounting (same as 
+  ///   in _amountOutAndBurn), the deposit's points are updated for its reduced amount
+  function _partialAmountOut(uint tokenId, uint amount) internal returns (uint amountOut) {
+    _checkOwner(tokenId);
+    Deposit storage dep = deposits[tokenId];
+    require(amount > 0 && amount < dep.amount, "invalid partial amount");
+    require(
+      _timeLeft(dep) > 0, 
+      "commitment period is over, use withdrawWithBonus()"
+    );
+    address asset = dep.asset;
+
+    Pool storage pool = pools[asset];
+    // WARNING: failing to do so will break hold-time holdBonus calculation
+    _updatePoolHoldPoints(pool);
+
+    uint penalty = _amountPenalty(dep, amount);
+    
+    // WARNING: get amount here before state is updated
+    amountOut = _sharesToAmount(asset, amount - penalty);
+
+    // WARNING: emit event here with all the needed data, before pool state updates
+    // affect shareToAmount calculations    
+    emit Withdrawed(
+      asset,
+      msg.sender,
+      amountOut, 
+      amount, 
+      _sharesToAmount(asset, penalty), 
+      0, 
+      0, 
+      _timeHeld(dep.time)
+    );
+
+    // pool state update: remove the points of the withdrawn part
+    uint holdPointsBefore = _holdPoints(dep);
+    uint commitPointsBefore = _commitPoints(dep);
+    dep.amount -= amount;
+    pool.depositsSum -= amount;
+    pool.totalHoldPoints = pool.totalHoldPoints - holdPointsBefore + _holdPoints(dep);
+    pool.totalCommitPoints = pool.totalCommitPoints - commitPointsBefore + _commitPoints(dep);
+    // penalty is split between the bonus pools (as in _removeDepositFromPool)
+    pool.holdBonusesSum += penalty / 2;
+    pool.commitBonusesSum += (penalty - (penalty / 2));
+
+    // campaigns update: rewards of the withdrawn part are forfeited
+    _updateCampaigns(asset, tokenId);
+    campaigns.forfeitRewards(asset, tokenId, amount, dep.amount + amount);
+
+    emit PartiallyWithdrawed(asset, msg.sender, tokenId, dep.amount);
+  }
+
   /// @dev pool state update for removing a deposit
   function _removeDepositFromPool(
     Pool storage pool, Deposit storage dep, uint penalty, uint holdBonus, uint commitBonus
@@ -691,15 +1439,20 @@ contract HodlPoolV3 is ERC721EnumerableForOwner {
   }
 
   function _depositPenalty(Deposit storage dep) internal view returns (uint) {
+    return _amountPenalty(dep, dep.amount);
+  }
+
+  /// @dev penalty for withdrawing amount (in shares) out of the deposit, rounded up so
+  ///   that small deposits or parts (e.g. split off) can't be withdrawn early without penalty
+  function _amountPenalty(Deposit storage dep, uint amount) internal view returns (uint) {
     uint timeLeft = _timeLeft(dep);
     if (timeLeft == 0) {  // no penalty
       return 0;
     } else {
       // order important to prevent rounding to 0
-      return (
-        (dep.amount * dep.initialPenaltyPercent * timeLeft) 
-        / dep.commitPeriod)  // can't be zero
-        / 100;
+      uint penalty = amount * dep.initialPenaltyPercent * timeLeft;
+      uint denom = dep.commitPeriod * 100;  // can't be zero
+      return (penalty + denom - 1) / denom;
     }
   }
 
@@ -0,0 +1,52 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.6;
+
+/// @dev base64 encoding for on-chain data URIs (not available in OpenZeppelin 4.3)
+/// based on https://github.com/Brechtpd/base64/blob/main/base64.sol by Brecht Devos
+library Base64 {
+  string internal constant TABLE =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+  function encode(bytes memory data) internal pure returns (string memory) {
+    if (data.length == 0) return "";
+
+    // load the table into memory
+    string memory table = TABLE;
+
+    // every 3 bytes of input are encoded as 4 characters, rounded up with padding
+    string memory result = new string(4 * ((data.length + 2) / 3));
+
+    // slither-disable-next-line assembly
+    assembly {
+      // skip the length slot of the table
+      let tablePtr := add(table, 1)
+      let resultPtr := add(result, 32)
+
+      for {
+        let dataPtr := data
+        let endPtr := add(data, mload(data))
+      } lt(dataPtr, endPtr) {} {
+        // read 3 bytes
+        dataPtr := add(dataPtr, 3)
+        let input := mload(dataPtr)
+
+        // write 4 characters, 6 bits each
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(18, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(12, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(shr(6, input), 0x3F))))
+        resultPtr := add(resultPtr, 1)
+        mstore8(resultPtr, mload(add(tablePtr, and(input, 0x3F))))
+        resultPtr := add(resultPtr, 1)
+      }
+
+      // padding with "=" for the last incomplete 3 bytes
+      switch mod(mload(data), 3)
+      case 1 { mstore(sub(resultPtr, 2), shl(240, 0x3d3d)) }
+      case 2 { mstore(sub(resultPtr, 1), shl(248, 0x3d)) }
+    }
+
+    return result;
+  }
+}
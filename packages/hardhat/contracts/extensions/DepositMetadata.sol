@@ -0,0 +1,164 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.6;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Base64.sol";
+
+/// @dev ERC721 metadata (JSON with an SVG image) for a deposit, as a base64 data URI.
+///   A separate contract (deployed by the pool) to keep the pool's bytecode size down.
+contract DepositMetadata {
+
+  using Strings for uint;
+
+  /// @dev values shown in the metadata, prepared by the pool contract
+  struct Params {
+    uint tokenId;
+    address asset;
+    uint amount;  // current token amount of the deposit (not shares)
+    uint time;
+    uint initialPenaltyPercent;
+    uint currentPenaltyPercent;
+    uint commitPeriod;
+    uint timeLeft;
+  }
+
+  function tokenURI(Params memory p) external view returns (string memory) {
+    string memory symbol = _tokenSymbol(p.asset);
+    string memory amount = _formatUnits(p.amount, _tokenDecimals(p.asset));
+    return string(abi.encodePacked(
+      "data:application/json;base64,",
+      Base64.encode(abi.encodePacked(
+        '{"name":"Hodl-bonus-pool deposit, tokenId: ',
+        p.tokenId.toString(),
+        '","description":"ERC20 asset address: ',
+        (uint(uint160(p.asset))).toHexString(20),
+        '\\nDeposited amount: ',
+        amount,
+        ' ',
+        symbol,
+        '","image":"data:image/svg+xml;base64,',
+        Base64.encode(_svg(p, symbol, amount)),
+        '","attributes":',
+        _attributes(p, symbol, amount),
+        '}'
+      ))
+    ));
+  }
+
+  function _svg(
+    Params memory p, string memory symbol, string memory amount
+  ) internal pure returns (bytes memory) {
+    bool matured = p.timeLeft == 0;
+    bytes memory svg = abi.encodePacked(
+      '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 350 350" font-family="monospace">',
+      '<rect width="350" height="350" rx="20" fill="', matured ? '#135200' : '#10239e', '"/>',
+      '<text x="25" y="45" font-size="18" fill="#fff">HODL bonus pool #', p.tokenId.toString(),
+      '</text><text x="25" y="120" font-size="28" fill="#fff">', amount,
+      '</text><text x="25" y="155" font-size="20" fill="#fff">', symbol, '</text>'
+    );
+    return abi.encodePacked(
+      svg,
+      _svgCommitment(p),
+      '<text x="25" y="320" font-size="18" fill="#fff">',
+      matured ? 'MATURED' : 'COMMITTED', '</text></svg>'
+    );
+  }
+
+  /// @dev penalty and commitment progress bar, split from _svg to avoid stack too deep
+  function _svgCommitment(Params memory p) internal pure returns (bytes memory) {
+    uint progress = _progressPercent(p);
+    return abi.encodePacked(
+      '<text x="25" y="215" font-size="14" fill="#fff">Penalty now: ',
+      p.currentPenaltyPercent.toString(), '% (initial ', p.initialPenaltyPercent.toString(),
+      '%)</text><rect x="25" y="235" width="300" height="16" rx="8" fill="#fff" opacity="0.3"/>',
+      '<rect x="25" y="235" width="', (progress * 3).toString(),
+      '" height="16" rx="8" fill="#fff"/><text x="25" y="280" font-size="14" fill="#fff">',
+      progress.toString(), '% of ', (p.commitPeriod / 1 days).toString(),
+      ' days commitment</text>'
+    );
+  }
+
+  function _attributes(
+    Params memory p, string memory symbol, string memory amount
+  ) internal pure returns (bytes memory) {
+    return abi.encodePacked(
+      '[{"trait_type":"Asset","value":"', symbol,
+      '"},{"trait_type":"Amount","value":', amount,
+      '},', _commitmentAttributes(p),
+      ',{"trait_type":"Deposit time","display_type":"date","value":', p.time.toString(),
+      '},{"trait_type":"Status","value":"', p.timeLeft == 0 ? 'Matured' : 'Committed', '"}]'
+    );
+  }
+
+  /// @dev split from _attributes to avoid stack too deep
+  function _commitmentAttributes(Params memory p) internal pure returns (bytes memory) {
+    return abi.encodePacked(
+      '{"trait_type":"Initial penalty percent","value":', p.initialPenaltyPercent.toString(),
+      '},{"trait_type":"Current penalty percent","value":', p.currentPenaltyPercent.toString(),
+      '},{"trait_type":"Commitment days","value":', (p.commitPeriod / 1 days).toString(),
+      '},{"trait_type":"Commitment progress","display_type":"boost_percentage","value":',
+      _progressPercent(p).toString(), '}'
+    );
+  }
+
+  function _progressPercent(Params memory p) internal pure returns (uint) {
+    return p.commitPeriod == 0 ? 100 : 100 - (p.timeLeft * 100 / p.commitPeriod);
+  }
+
+  /// @dev amount in token units, with up to 4 decimal digits (rounded down)
+  function _formatUnits(uint amount, uint decimals) internal pure returns (string memory) {
+    uint unit = 10 ** decimals;
+    uint fraction = (amount % unit) * 10000 / unit;
+    if (fraction == 0) {
+      return (amount / unit).toString();
+    }
+    // strip trailing zeros
+    uint digits = 4;
+    while (fraction % 10 == 0) {
+      fraction /= 10;
+      digits--;
+    }
+    // left pad with zeros (e.g. 0.05 is fraction 5 with 2 digits)
+    bytes memory padded = bytes(fraction.toString());
+    while (padded.length < digits) {
+      padded = abi.encodePacked("0", padded);
+    }
+    return string(abi.encodePacked((amount / unit).toString(), ".", padded));
+  }
+
+  /// @dev token symbol, if it's a standard string, with characters that can break
+  ///   the JSON or the SVG replaced
+  function _tokenSymbol(address asset) internal view returns (string memory) {
+    // slither-disable-next-line low-level-calls
+    (bool success, bytes memory data) = asset.staticcall(
+      abi.encodeWithSelector(IERC20Metadata.symbol.selector));
+    if (!success || data.length < 64) {
+      return "???";
+    }
+    // abi.decode reverts on malformed data (e.g. a bytes32 symbol followed by other values),
+    // so the string's offset and length are checked first
+    (uint offset, uint length) = abi.decode(data, (uint, uint));
+    if (offset != 32 || length > data.length - 64) {
+      return "???";
+    }
+    bytes memory symbol = bytes(abi.decode(data, (string)));
+    for (uint i; i < symbol.length; i++) {
+      bytes1 c = symbol[i];
+      if (c < 0x20 || c == '"' || c == "\\" || c == "<" || c == ">" || c == "&") {
+        symbol[i] = "_";
+      }
+    }
+    return string(symbol);
+  }
+
+  /// @dev token decimals, or 18 if not available or unreasonable
+  function _tokenDecimals(address asset) internal view returns (uint) {
+    // slither-disable-next-line low-level-calls
+    (bool success, bytes memory data) = asset.staticcall(
+      abi.encodeWithSelector(IERC20Metadata.decimals.selector));
+    uint decimals = (success && data.length == 32) ? abi.decode(data, (uint)) : 18;
+    // 10 ** decimals should not overflow
+    return decimals <= 36 ? decimals : 18;
+  }
+}
@@ -0,0 +1,718 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.6;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/*
+ * @title Time-limited reward campaigns in other tokens for the deposits of a pool's asset.
+ * A separate contract (deployed by the pool) to keep the pool's bytecode size down.
+ * @notice The campaign rules:
+ * - Anyone can start a campaign for an asset's deposits with any ERC20 reward token
+ *   (one campaign per creator and asset at a time). The rewards are streamed linearly
+ *   over the campaign period to the asset's deposits.
+ * - The rewards are distributed pro rata to either the hold-points or the commit-points
+ *   (chosen at the start of the campaign) that the deposits have during the period.
+ *   For hold-points this means pro rata to the deposits' amounts, since hold-points
+ *   increase with the amount held.
+ * - The campaign's creator can add more rewards to it. The schedule of an active
+ *   campaign is fixed: the added rewards are streamed over the rest of its period.
+ *   A campaign that has ended can be restarted with a new period.
+ * - The rewards of a deposit are credited to its owner when it is withdrawn without
+ *   penalty (and can then be claimed with claimRewards()). Early withdrawals (including
+ *   partial ones) forfeit the rewards of the withdrawn part, which are streamed to the
+ *   other deposits over the rest of the period.
+ * - The rewards that were streamed while there were no deposits, and the ones forfeited
+ *   after the end of the period, are added to the next period of the campaign.
+ * - An ended campaign can be replaced by a new one once the rewards of all of its
+ *   deposits are recorded (by their updates after the end, or by recordRewards()).
+ *   The rewards of the deposits in a replaced campaign are released with
+ *   releaseRewards() after their withdrawal, with the same rules (rewards forfeited
+ *   after the replacement, and the unallocated ones, are credited to its creator).
+ *
+ * @dev
+ * 1. The pool updates this contract on every change of a deposit's amount or
+ * commit-points, so this contract's totals of the pools' points are always the same as
+ * in the pool (it's deployed together with the pool).
+ * 2. Every deposit update iterates over all the campaigns of the asset, so the number of
+ * campaigns per asset is capped (a campaign can be restarted instead). A new campaign
+ * replaces an ended one once the rewards of all the deposits that could have rewards in
+ * its last period are recorded, so its slot can't be held by idle deposits. Since a
+ * replaced campaign isn't updated by the pool anymore, the outcome of each deposit
+ * (withdrawal, partial withdrawals and merges) is kept to release its rewards later.
+ * 3. Reward tokens are never transferred during pool transactions (the rewards are only
+ * credited), so that a reward token can't block deposits or withdrawals.
+ * 4. Fee-on-transfer reward tokens are credited by the amount actually received.
+ * 5. The rewards of a campaign are capped (MAX_REWARDS) so that the rewards scaled by
+ * PRECISION can't overflow.
+ */
+contract RewardCampaigns {
+
+  using SafeERC20 for IERC20;
+
+  /// @dev state variables of a campaign
+  struct Campaign {
+    address asset;
+    address rewardToken;
+    address creator;  // can add rewards, credited with the rewards forfeited after removal
+    bool commitWeighted;  // pro rata to commit-points, otherwise to hold-points
+    bool removed;  // replaced by another campaign, its deposits' rewards are only released
+    uint periodFinish;  // end of the current streaming period
+    uint lastUpdateTime;  // time of the latest rewardPerPoint update
+    uint rewardRate;  // reward per second, scaled by PRECISION
+    uint rewardPerPoint;  // accumulated reward per point, scaled by PRECISION
+    uint unallocated;  // rewards to be added to the next period
+    uint rewardsSum;  // sum of all rewards received
+    uint deposits;  // number of deposits whose rewards in the period aren't recorded yet
+  }
+
+  /// @dev points of a deposit, or the totals of a pool
+  struct Points {
+    uint amount;  // deposit shares (rate of hold-points increase)
+    uint commitPoints;
+  }
+
+  /// @dev rewards of a deposit in a campaign
+  struct DepositRewards {
+    uint rewardPerPointPaid;  // campaign's rewardPerPoint at the latest update
+    uint pending;  // rewards accumulated until the latest update
+    uint lostShare;  // deposit's lostShare that the pending rewards are net of
+    uint recordedFor;  // periodFinish of the ended period the pending rewards are final for
+  }
+
+  /// @dev state of a deposit that's needed after its removal from the campaigns
+  struct DepositState {
+    address asset;
+    uint64 time;  // when it was added, it can have rewards in the campaigns whose period
+                  // was not over at that time
+    bool withdrawn;  // fully withdrawn (not merged)
+    address account;  // credited with the rewards on withdrawal, zero if they were forfeited
+    uint lostShare;  // share of the rewards forfeited by partial withdrawals (of FULL_SHARE)
+    uint mergedInto;  // tokenId of the deposit that it was merged into
+    uint mergedLostShare;  // lostShare of the deposit it was merged into, at the merge
+  }
+
+  /// @notice maximum number of campaigns per asset
+  uint public constant MAX_CAMPAIGNS = 5;
+
+  /// @notice maximum sum of the rewards of a campaign (in the reward token's units)
+  uint public constant MAX_REWARDS = 1e30;
+
+  /// @dev precision of reward rates and rewards per point (commit-points can be large)
+  uint internal constant PRECISION = 1e36;
+
+  /// @dev precision of the deposits' lost shares
+  uint internal constant FULL_SHARE = 1e18;
+
+  /// @notice the pool contract (the deployer) that updates the deposits' points
+  address public immutable pool;
+
+  /// @notice rewards credited to an account per reward token, that can be claimed
+  mapping(address => mapping(address => uint)) public rewardsOf;
+
+  /// @dev all campaigns, campaignId is the index
+  Campaign[] internal campaigns;
+
+  /// @dev campaignIds for each asset
+  mapping(address => uint[]) internal assetCampaigns;
+
+  /// @dev points of each pool (by asset), same as the pool's totals
+  mapping(address => Points) internal totalPoints;
+
+  /// @dev points of each deposit (by tokenId), same as in the pool
+  mapping(uint => Points) internal depositPoints;
+
+  /// @dev number of deposits of each pool (by asset)
+  mapping(address => uint) internal depositsCount;
+
+  /// @dev state of each deposit (by tokenId)
+  mapping(uint => DepositState) internal depositStates;
+
+  /// @dev rewards of a deposit (by campaignId and tokenId)
+  mapping(uint => mapping(uint => DepositRewards)) internal depositRewards;
+
+  /*
+   * @param campaignId index of the new campaign
+   * @param asset ERC20 token address of the pool whose deposits are rewarded
+   * @param rewardToken ERC20 token address of the rewards
+   * @param account address that has started the campaign
+   * @param commitWeighted whether the rewards are pro rata to commit-points
+   *   (otherwise to hold-points)
+   */
+  event CampaignStarted(
+    uint indexed campaignId,
+    address indexed asset,
+    address indexed rewardToken,
+    address account,
+    bool commitWeighted
+  );
+
+  /*
+   * @param campaignId index of the campaign
+   * @param account address that has added the rewards
+   * @param amount of rewards sent
+   * @param amountReceived received balance after transfer (actual rewards)
+   * @param periodFinish end of the new streaming period
+   */
+  event RewardsAdded(
+    uint indexed campaignId,
+    address indexed account,
+    uint amount,
+    uint amountReceived,
+    uint periodFinish
+  );
+
+  /*
+   * @param campaignId index of the ended campaign that was replaced by a new one
+   * @param unallocated rewards credited back to the campaign's creator
+   */
+  event CampaignRemoved(uint indexed campaignId, uint unallocated);
+
+  /*
+   * @param campaignId index of the campaign
+   * @param tokenId ERC721 tokenId of the withdrawn deposit
+   * @param account owner of the deposit to which the rewards were credited (or the
+   *   creator of a removed campaign, for the rewards forfeited in it)
+   * @param amount of rewards credited
+   */
+  event RewardsCredited(
+    uint indexed campaignId,
+    uint indexed tokenId,
+    address indexed account,
+    uint amount
+  );
+
+  /*
+   * @param campaignId index of the campaign
+   * @param tokenId ERC721 tokenId of the deposit withdrawn early
+   * @param amount of rewards forfeited
+   */
+  event RewardsForfeited(
+    uint indexed campaignId,
+    uint indexed tokenId,
+    uint amount
+  );
+
+  /*
+   * @param account address that has claimed the rewards
+   * @param rewardToken ERC20 token address of the rewards
+   * @param amount of rewards sent
+   */
+  event RewardsClaimed(
+    address indexed account,
+    address indexed rewardToken,
+    uint amount
+  );
+
+  modifier onlyPool() {
+    require(msg.sender == pool, "not pool");
+    _;
+  }
+
+  constructor() {
+    pool = msg.sender;
+  }
+
+  /* * * * * * * * * * *
+   *
+   * Public transactions
+   *
+   * * * * * * * * * * *
+  */
+
+  /*
+   * @notice starts a campaign that streams rewardToken to the deposits of an asset, if
+   *   msg.sender has no other campaign for the asset. If the asset has the maximum number
+   *   of campaigns, the new one replaces an ended campaign whose rewards are all recorded.
+   * @param asset address of the pool's ERC20 token contract
+   * @param rewardToken address of the rewards' ERC20 token contract
+   * @param amount of rewards
+   * @param period in seconds over which the rewards are streamed
+   * @param commitWeighted whether the rewards are pro rata to commit-points
+   *   (otherwise to hold-points)
+   * @return campaignId of the new campaign
+   */
+  function startCampaign(
+    address asset,
+    address rewardToken,
+    uint amount,
+    uint period,
+    bool commitWeighted
+  ) external returns (uint campaignId) {
+    uint[] storage campaignIds = assetCampaigns[asset];
+    for (uint i; i < campaignIds.length; i++) {
+      // a campaign slot per creator (an ended campaign can be restarted instead)
+      require(campaigns[campaignIds[i]].creator != msg.sender, "creator has a campaign");
+    }
+    if (campaignIds.length == MAX_CAMPAIGNS) {
+      _removeEndedCampaign(campaignIds);
+    }
+
+    campaignId = campaigns.length;
+    Campaign storage campaign = campaigns.push();
+    campaign.asset = asset;
+    campaign.rewardToken = rewardToken;
+    campaign.creator = msg.sender;
+    campaign.commitWeighted = commitWeighted;
+    campaign.lastUpdateTime = block.timestamp;
+    campaignIds.push(campaignId);
+
+    emit CampaignStarted(campaignId, asset, rewardToken, msg.sender, commitWeighted);
+
+    addRewards(campaignId, amount, period);
+  }
+
+  /*
+   * @notice adds rewards to a campaign, only by the campaign's creator. The rewards
+   *   are streamed over the rest of the period of an active campaign, a campaign that
+   *   has ended is restarted with a new period (unless it was removed).
+   * @param campaignId index of the campaign
+   * @param amount of rewards
+   * @param period in seconds over which the rewards are streamed (from now) if the
+   *   campaign has ended, ignored for an active campaign (its periodFinish is kept)
+   */
+  function addRewards(uint campaignId, uint amount, uint period) public {
+    require(campaignId < campaigns.length, "no such campaign");
+    Campaign storage campaign = campaigns[campaignId];
+    require(msg.sender == campaign.creator, "not campaign creator");
+    require(!campaign.removed, "campaign removed");
+    require(amount > 0, "empty rewards");
+    bool active = campaign.periodFinish > block.timestamp;
+    if (!active) {
+      require(period > 0, "empty campaign period");
+      require(period <= 4 * 365 days, "campaign period too long");
+    }
+
+    // WARNING: rewards streamed until now need to be accounted with the current rate
+    _updateCampaign(campaign, totalPoints[campaign.asset]);
+
+    uint beforeBalance = IERC20(campaign.rewardToken).balanceOf(address(this));
+    IERC20(campaign.rewardToken).safeTransferFrom(msg.sender, address(this), amount);
+    uint amountReceived = IERC20(campaign.rewardToken).balanceOf(address(this)) - beforeBalance;
+    // WARNING: all the rewards that can be streamed (including unallocated and forfeited
+    // ones) are out of this sum, which bounds the rates and rewards per point
+    require(campaign.rewardsSum + amountReceived <= MAX_REWARDS, "too many rewards");
+
+    // slither-disable-next-line reentrancy-benign,reentrancy-events
+    uint rewards = (amountReceived + campaign.unallocated) * PRECISION;
+    campaign.unallocated = 0;
+    if (active) {
+      // the schedule is fixed, stream over the rest of the period
+      campaign.rewardRate += rewards / (campaign.periodFinish - block.timestamp);
+    } else {
+      // (re)start: all the current deposits can have rewards in the new period
+      campaign.rewardRate = rewards / period;
+      campaign.periodFinish = block.timestamp + period;
+      campaign.deposits = depositsCount[campaign.asset];
+    }
+    campaign.lastUpdateTime = block.timestamp;
+    campaign.rewardsSum += amountReceived;
+
+    emit RewardsAdded(campaignId, msg.sender, amount, amountReceived, campaign.periodFinish);
+  }
+
+  /*
+   * @notice sends the rewards credited to msg.sender in rewardToken
+   * @param rewardToken address of the rewards' ERC20 token contract
+   */
+  function claimRewards(address rewardToken) external {
+    uint amount = rewardsOf[msg.sender][rewardToken];
+    require(amount > 0, "no rewards");
+    rewardsOf[msg.sender][rewardToken] = 0;
+    IERC20(rewardToken).safeTransfer(msg.sender, amount);
+    emit RewardsClaimed(msg.sender, rewardToken, amount);
+  }
+
+  /*
+   * @notice records the final rewards of deposits in an ended campaign, so that the
+   *   campaign can be replaced (deposits with recorded rewards are skipped)
+   * @param campaignId index of the campaign
+   * @param tokenIds ERC721 tokenIds of the campaign asset's deposits
+   */
+  function recordRewards(uint campaignId, uint[] calldata tokenIds) external {
+    require(campaignId < campaigns.length, "no such campaign");
+    Campaign storage campaign = campaigns[campaignId];
+    require(!campaign.removed, "campaign removed");
+    require(campaign.periodFinish <= block.timestamp, "campaign not ended");
+    _updateCampaign(campaign, totalPoints[campaign.asset]);
+    for (uint i; i < tokenIds.length; i++) {
+      DepositRewards storage rewards = depositRewards[campaignId][tokenIds[i]];
+      DepositState storage state = depositStates[tokenIds[i]];
+      Points storage dep = depositPoints[tokenIds[i]];
+      if (
+        state.asset == campaign.asset &&
+        _isRecordPending(campaign, rewards, dep.amount, state)
+      ) {
+        _updateDepositRewards(campaign, rewards, dep, state);
+        rewards.recordedFor = campaign.periodFinish;
+        campaign.deposits--;
+      }
+    }
+  }
+
+  /*
+   * @notice releases the rewards of withdrawn deposits in a removed campaign: credits
+   *   them to the deposits' owners, or to the campaign's creator if they were forfeited
+   * @param campaignId index of the removed campaign
+   * @param tokenIds ERC721 tokenIds of withdrawn deposits (or of deposits that were
+   *   merged into withdrawn ones)
+   */
+  function releaseRewards(uint campaignId, uint[] calldata tokenIds) external {
+    require(campaignId < campaigns.length, "no such campaign");
+    Campaign storage campaign = campaigns[campaignId];
+    require(campaign.removed, "campaign not removed");
+    for (uint i; i < tokenIds.length; i++) {
+      DepositRewards storage rewards = depositRewards[campaignId][tokenIds[i]];
+      uint pending = rewards.pending;
+      if (pending == 0) {
+        continue;
+      }
+      rewards.pending = 0;
+      (address account, uint keptShare) = _withdrawalOf(tokenIds[i], rewards.lostShare);
+      uint amount = account == address(0) ? 0 : pending * keptShare / FULL_SHARE;
+      if (amount > 0) {
+        rewardsOf[account][campaign.rewardToken] += amount;
+        emit RewardsCredited(campaignId, tokenIds[i], account, amount);
+      }
+      if (pending > amount) {
+        rewardsOf[campaign.creator][campaign.rewardToken] += pending - amount;
+        emit RewardsForfeited(campaignId, tokenIds[i], pending - amount);
+      }
+    }
+  }
+
+  /* * * * * * * * * *
+   *
+   * Pool updates
+   *
+   * * * * * * * * * *
+  */
+
+  /*
+   * @param asset address of the deposit's asset
+   * @param tokenId ERC721 tokenId of the deposit
+   * @param amount new amount of the deposit (in deposit shares)
+   * @param commitPoints new commit-points of the deposit
+   * @dev called by the pool after every change of a deposit's amount or commit-points
+   *   (including new deposits, but not removed ones)
+   */
+  function updateDeposit(
+    address asset, uint tokenId, uint amount, uint commitPoints
+  ) external onlyPool {
+    _updateDeposit(asset, tokenId, amount, commitPoints);
+  }
+
+  /*
+   * @param asset address of the deposit's asset
+   * @param tokenId ERC721 tokenId of the withdrawn deposit
+   * @param account owner of the deposit to credit the rewards to, or zero address to
+   *   forfeit them (withdrawal with penalty)
+   * @dev called by the pool for a full withdrawal
+   */
+  function removeDeposit(address asset, uint tokenId, address account) external onlyPool {
+    _updateDeposit(asset, tokenId, 0, 0);
+    DepositState storage state = depositStates[tokenId];
+    state.withdrawn = true;
+    state.account = account;
+    _releaseRewards(asset, tokenId, 1, 1, account);
+  }
+
+  /*
+   * @param asset address of the deposit's asset
+   * @param tokenId ERC721 tokenId of the deposit withdrawn early
+   * @param part withdrawn amount of the deposit
+   * @param whole amount of the deposit before the withdrawal
+   * @dev called by the pool after updateDeposit() for a partial withdrawal (always 
+   *   with penalty), the rewards of the withdrawn part are forfeited
+   */
+  function forfeitRewards(
+    address asset, uint tokenId, uint part, uint whole
+  ) external onlyPool {
+    // the rewards in removed campaigns are forfeited on release (the lost share is
+    // rounded down so that the kept share can't reach zero)
+    DepositState storage state = depositStates[tokenId];
+    uint keptShare = FULL_SHARE - state.lostShare;
+    state.lostShare = FULL_SHARE - (keptShare * (whole - part) + whole - 1) / whole;
+    _releaseRewards(asset, tokenId, part, whole, address(0));
+  }
+
+  /*
+   * @param asset address of the deposits' asset
+   * @param fromTokenId ERC721 tokenId of the deposit that was merged (and removed)
+   * @param toTokenId ERC721 tokenId of the deposit it was merged into
+   * @dev called by the pool after updateDeposit() for the remaining deposit
+   */
+  function moveRewards(address asset, uint fromTokenId, uint toTokenId) external onlyPool {
+    _updateDeposit(asset, fromTokenId, 0, 0);
+    DepositState storage from = depositStates[fromTokenId];
+    DepositState storage to = depositStates[toTokenId];
+    uint[] storage campaignIds = assetCampaigns[asset];
+    for (uint i; i < campaignIds.length; i++) {
+      mapping(uint => DepositRewards) storage rewards = depositRewards[campaignIds[i]];
+      rewards[toTokenId].pending += rewards[fromTokenId].pending;
+      delete rewards[fromTokenId];
+    }
+    // the rewards in removed campaigns are released by the remaining deposit's withdrawal
+    from.mergedInto = toTokenId;
+    from.mergedLostShare = to.lostShare;
+    if (from.time < to.time) {
+      to.time = from.time;
+    }
+  }
+
+  /* * * * * * * *
+   *
+   * Public views
+   *
+   * * * * * * * *
+  */
+
+  /*
+   * @param asset address of ERC20 token contract of a pool
+   * @return array of campaignIds of the asset's campaigns
+   */
+  function campaignsOf(address asset) external view returns (uint[] memory) {
+    return assetCampaigns[asset];
+  }
+
+  /*
+   * @param campaignId index of the campaign
+   * @return array of 8 values corresponding to the details of the campaign:
+   *  0. asset - asset address converted to uint
+   *  1. rewardToken - reward token address converted to uint
+   *  2. commitWeighted - 1 if pro rata to commit-points, 0 if to hold-points
+   *  3. periodFinish - end of the current streaming period
+   *  4. rewardsLeft - rewards left to be streamed in the current period
+   *  5. rewardsSum - sum of all rewards received
+   *  6. unallocated - rewards to be added to the next period
+   *  7. totalPoints - current total of the points the rewards are pro rata to
+   */
+  function campaignDetails(uint campaignId) external view returns (uint[8] memory) {
+    Campaign storage campaign = campaigns[campaignId];
+    Points storage total = totalPoints[campaign.asset];
+    return [
+      uint(uint160(campaign.asset)),  // asset
+      uint(uint160(campaign.rewardToken)),  // rewardToken
+      campaign.commitWeighted ? 1 : 0,  // commitWeighted
+      campaign.periodFinish,  // periodFinish
+      campaign.periodFinish > block.timestamp ?  // rewardsLeft
+        campaign.rewardRate * (campaign.periodFinish - block.timestamp) / PRECISION : 0,
+      campaign.rewardsSum,  // rewardsSum
+      campaign.unallocated + _streamedUnallocated(campaign, total),  // unallocated
+      _campaignPoints(campaign, total)  // totalPoints
+    ];
+  }
+
+  /*
+   * @param campaignId index of the campaign
+   * @param tokenId ERC721 tokenId of a deposit
+   * @return rewards of the deposit in the campaign if it's withdrawn now without penalty
+   *   (for a removed campaign, the rewards that weren't released yet)
+   */
+  function pendingRewards(uint campaignId, uint tokenId) external view returns (uint) {
+    Campaign storage campaign = campaigns[campaignId];
+    DepositRewards storage rewards = depositRewards[campaignId][tokenId];
+    uint rewardPerPoint = _rewardPerPoint(campaign, totalPoints[campaign.asset]);
+    // pending rewards are net of the partial withdrawals until the deposit's last update
+    // in the campaign (only later ones in case of a removed campaign)
+    uint keptShare = FULL_SHARE - depositStates[tokenId].lostShare;
+    return rewards.pending * keptShare / (FULL_SHARE - rewards.lostShare) + (
+      _campaignPoints(campaign, depositPoints[tokenId]) *
+      (rewardPerPoint - rewards.rewardPerPointPaid) / PRECISION);
+  }
+
+  /* * * * * * * * * * * *
+   *
+   * Internal transactions
+   *
+   * * * * * * * * * * * *
+  */
+
+  /// @dev accounts the rewards streamed since the last update with the current points
+  function _updateCampaign(Campaign storage campaign, Points storage total) internal {
+    campaign.unallocated += _streamedUnallocated(campaign, total);
+    campaign.rewardPerPoint = _rewardPerPoint(campaign, total);
+    campaign.lastUpdateTime = _lastStreamingTime(campaign);
+  }
+
+  /// @dev updates the rewards in the campaigns with the points before the change, and
+  ///   records the final rewards in the ended ones
+  function _updateDeposit(
+    address asset, uint tokenId, uint amount, uint commitPoints
+  ) internal {
+    Points storage total = totalPoints[asset];
+    Points storage dep = depositPoints[tokenId];
+    DepositState storage state = depositStates[tokenId];
+    if (dep.amount == 0 && amount > 0) {
+      state.asset = asset;
+      state.time = uint64(block.timestamp);
+      depositsCount[asset]++;
+    } else if (dep.amount > 0 && amount == 0) {
+      depositsCount[asset]--;
+    }
+    uint[] storage campaignIds = assetCampaigns[asset];
+    for (uint i; i < campaignIds.length; i++) {
+      Campaign storage campaign = campaigns[campaignIds[i]];
+      DepositRewards storage rewards = depositRewards[campaignIds[i]][tokenId];
+      bool wasPending = _isRecordPending(campaign, rewards, dep.amount, state);
+      // WARNING: the rewards need to be updated with the points before the change
+      _updateCampaign(campaign, total);
+      _updateDepositRewards(campaign, rewards, dep, state);
+      if (campaign.periodFinish <= block.timestamp) {
+        // final for the ended period (also when the deposit gets an earlier time by a
+        // merge, so that it isn't pending again)
+        rewards.recordedFor = campaign.periodFinish;
+      }
+      bool isPending = _isRecordPending(campaign, rewards, amount, state);
+      if (wasPending && !isPending) {
+        campaign.deposits--;
+      } else if (!wasPending && isPending) {
+        campaign.deposits++;
+      }
+    }
+    total.amount = total.amount - dep.amount + amount;
+    total.commitPoints = total.commitPoints - dep.commitPoints + commitPoints;
+    dep.amount = amount;
+    dep.commitPoints = commitPoints;
+  }
+
+  function _updateDepositRewards(
+    Campaign storage campaign,
+    DepositRewards storage rewards,
+    Points storage dep,
+    DepositState storage state
+  ) internal {
+    // order important to prevent rounding to 0
+    rewards.pending += (
+      _campaignPoints(campaign, dep) *
+      (campaign.rewardPerPoint - rewards.rewardPerPointPaid) / PRECISION);
+    rewards.rewardPerPointPaid = campaign.rewardPerPoint;
+    rewards.lostShare = state.lostShare;
+  }
+
+  /// @dev removes an ended campaign of the asset whose rewards are all recorded, its
+  ///   unallocated rewards are credited to its creator
+  function _removeEndedCampaign(uint[] storage campaignIds) internal {
+    for (uint i; i < campaignIds.length; i++) {
+      uint campaignId = campaignIds[i];
+      Campaign storage campaign = campaigns[campaignId];
+      if (campaign.periodFinish <= block.timestamp && campaign.deposits == 0) {
+        _updateCampaign(campaign, totalPoints[campaign.asset]);
+        uint unallocated = campaign.unallocated;
+        campaign.unallocated = 0;
+        rewardsOf[campaign.creator][campaign.rewardToken] += unallocated;
+        // WARNING: a removed campaign can't be restarted (it's not updated by the pool)
+        campaign.removed = true;
+        campaignIds[i] = campaignIds[campaignIds.length - 1];
+        campaignIds.pop();
+        emit CampaignRemoved(campaignId, unallocated);
+        return;
+      }
+    }
+    revert("too many campaigns");
+  }
+
+  /// @dev credits part / whole of the deposit's pending rewards in each campaign to
+  ///   account, or forfeits them if account is zero
+  function _releaseRewards(
+    address asset, uint tokenId, uint part, uint whole, address account
+  ) internal {
+    uint[] storage campaignIds = assetCampaigns[asset];
+    for (uint i; i < campaignIds.length; i++) {
+      uint campaignId = campaignIds[i];
+      Campaign storage campaign = campaigns[campaignId];
+      DepositRewards storage rewards = depositRewards[campaignId][tokenId];
+      // the pending rewards are net of the partial withdrawal from now on
+      rewards.lostShare = depositStates[tokenId].lostShare;
+      uint amount = rewards.pending * part / whole;
+      if (amount == 0) {
+        continue;
+      }
+      rewards.pending -= amount;
+
+      if (account != address(0)) {
+        rewardsOf[account][campaign.rewardToken] += amount;
+        emit RewardsCredited(campaignId, tokenId, account, amount);
+      } else {
+        // WARNING: the rate can only change after the update until now
+        _updateCampaign(campaign, totalPoints[asset]);
+        if (campaign.periodFinish > block.timestamp) {
+          // stream to the other deposits over the rest of the period
+          campaign.rewardRate += amount * PRECISION / (campaign.periodFinish - block.timestamp);
+        } else {
+          campaign.unallocated += amount;
+        }
+        emit RewardsForfeited(campaignId, tokenId, amount);
+      }
+    }
+  }
+
+  /* * * * * * * * *
+   *
+   * Internal views
+   *
+   * * * * * * * * *
+  */
+
+  /// @dev whether the deposit's rewards in the campaign's current period can still change
+  function _isRecordPending(
+    Campaign storage campaign,
+    DepositRewards storage rewards,
+    uint amount,
+    DepositState storage state
+  ) internal view returns (bool) {
+    return amount > 0 && state.time < campaign.periodFinish &&
+      rewards.recordedFor != campaign.periodFinish;
+  }
+
+  /// @dev the account credited with the rewards of a deposit (zero if they were forfeited),
+  ///   following its merges, and the share of the rewards that is kept after the partial
+  ///   withdrawals since lostShare
+  function _withdrawalOf(
+    uint tokenId, uint lostShare
+  ) internal view returns (address account, uint keptShare) {
+    keptShare = FULL_SHARE;
+    DepositState storage state = depositStates[tokenId];
+    while (true) {
+      keptShare = keptShare * (FULL_SHARE - state.lostShare) / (FULL_SHARE - lostShare);
+      if (state.mergedInto == 0) {
+        break;
+      }
+      lostShare = state.mergedLostShare;
+      state = depositStates[state.mergedInto];
+    }
+    require(state.withdrawn, "deposit not withdrawn");
+    return (state.account, keptShare);
+  }
+
+  function _campaignPoints(
+    Campaign storage campaign, Points storage points
+  ) internal view returns (uint) {
+    return campaign.commitWeighted ? points.commitPoints : points.amount;
+  }
+
+  function _lastStreamingTime(Campaign storage campaign) internal view returns (uint) {
+    return block.timestamp < campaign.periodFinish ? block.timestamp : campaign.periodFinish;
+  }
+
+  /// @dev rewards streamed since the last update (scaled by PRECISION)
+  function _streamed(Campaign storage campaign) internal view returns (uint) {
+    uint time = _lastStreamingTime(campaign);
+    return time > campaign.lastUpdateTime ?
+      campaign.rewardRate * (time - campaign.lastUpdateTime) : 0;
+  }
+
+  function _rewardPerPoint(
+    Campaign storage campaign, Points storage total
+  ) internal view returns (uint) {
+    uint points = _campaignPoints(campaign, total);  // don't divide by 0
+    return campaign.rewardPerPoint + (points > 0 ? _streamed(campaign) / points : 0);
+  }
+
+  /// @dev rewards streamed since the last update while there were no points
+  function _streamedUnallocated(
+    Campaign storage campaign, Points storage total
+  ) internal view returns (uint) {
+    return _campaignPoints(campaign, total) > 0 ? 0 : _streamed(campaign) / PRECISION;
+  }
+}
@@ -0,0 +1,36 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.6;
+
+/// @dev minimal token whose symbol() returns non-standard data that can't be decoded as
+///   a string (a bytes32 symbol followed by another word), for testing the metadata
+contract OddSymbolToken {
+
+  mapping(address => uint) public balanceOf;
+  mapping(address => mapping(address => uint)) public allowance;
+
+  constructor(address recipient, uint amount) {
+    balanceOf[recipient] = amount;
+  }
+
+  function symbol() external pure returns (bytes32, uint) {
+    return ("ODD", 1);
+  }
+
+  function approve(address spender, uint amount) external returns (bool) {
+    allowance[msg.sender][spender] = amount;
+    return true;
+  }
+
+  function transfer(address recipient, uint amount) external returns (bool) {
+    balanceOf[msg.sender] -= amount;
+    balanceOf[recipient] += amount;
+    return true;
+  }
+
+  function transferFrom(address sender, address recipient, uint amount) external returns (bool) {
+    allowance[sender][msg.sender] -= amount;
+    balanceOf[sender] -= amount;
+    balanceOf[recipient] += amount;
+    return true;
+  }
+}
@@ -0,0 +1,19 @@
+//SPDX-License-Identifier: MIT
+pragma solidity 0.8.6;
+
+// import "hardhat/console.sol";
+
+// https://github.com/OpenZeppelin/openzeppelin-contracts/blob/master/contracts/token/ERC20/extensions/draft-ERC20Permit.sol
+// https://eips.ethereum.org/EIPS/eip-2612
+import "@openzeppelin/contracts/token/ERC20/extensions/draft-ERC20Permit.sol";
+import "./SomeToken.sol";
+
+/// @dev SomeToken with EIP-2612 permit support
+contract PermitToken is SomeToken, ERC20Permit {
+  constructor(
+    string memory name, 
+    string memory symbol, 
+    address recipient,
+    uint amount
+  ) SomeToken(name, symbol, recipient, amount) ERC20Permit(name) {}
+}
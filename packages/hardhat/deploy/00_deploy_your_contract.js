@@ -2,15 +2,16 @@
 const fs = require("fs");
 const { config, ethers } = require("hardhat");
 
-module.exports = async ({ getNamedAccounts, deployments }) => {
+module.exports = async ({ getNamedAccounts, deployments, network, getChainId }) => {
   const { deploy } = deployments;
   const { deployer } = await getNamedAccounts();
 
-  const network = config.defaultNetwork;
+  // the network passed with --network (or the defaultNetwork from config)
+  const networkName = network.name;
 
   let WETHAddress;
 
-  if (network === "localhost") {
+  if (networkName === "localhost") {
     // local tester receiver address
     const address = "0x555cFBB56A31325de28054AC506898a5539C835f";
 
@@ -21,6 +22,13 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
         log: true,
       }
     );
+    const token2deployment = await deploy(config.permitTokenContractName,
+      {
+        from: deployer,
+        args: ["TokenB", "BBB", address, ethers.utils.parseUnits("1", 18)],
+        log: true,
+      }
+    );
     const wethDeployment = await deploy(config.wethContractName,
       {
         from: deployer,
@@ -32,6 +40,7 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     // save the local tokens list
     await saveTokenList(
       await ethers.getContractAt(config.tokenContractName, token1deployment.address),
+      await ethers.getContractAt(config.permitTokenContractName, token2deployment.address),
       await ethers.getContractAt(config.wethContractName, wethDeployment.address),
     );
 
@@ -39,16 +48,22 @@ module.exports = async ({ getNamedAccounts, deployments }) => {
     WETHAddress = wethDeployment.address;
   } else {
     // use the weth from config
-    WETHAddress = config.networks[config.defaultNetwork].WETHAddress;
+    WETHAddress = config.networks[networkName].WETHAddress;
   }
 
+  const guardianConfig = config.guardian[networkName] || ethers.constants.AddressZero;
+  const guardian = guardianConfig === "deployer" ? deployer : guardianConfig;
+
   const depployResult = await deploy(config.contractName, {
     // Learn more about args here: https://www.npmjs.com/package/hardhat-deploy#deploymentsdeploy
     from: deployer,
-    args: [...config.deployArgs[config.defaultNetwork], WETHAddress],
+    args: [...config.deployArgs[networkName], WETHAddress, guardian],
     log: true,
   });
 
+  await saveDeploymentToRegistry(
+    await getChainId(), networkName, depployResult, WETHAddress, guardian);
+
   /*
     // Getting a previously deployed contract
     const YourContract = await ethers.getContract("YourContract", deployer);
@@ -109,3 +124,37 @@ async function saveTokenList(...tokensContracts) {
     "\n\n",
     tokenListString);
 }
+
+
+// deployments registry keyed by chainId, for the frontend to support multiple networks
+// (published to react-app by scripts/publish.js)
+const registryPath = "./extra/deployments.json";
+
+async function saveDeploymentToRegistry(chainId, networkName, deployment, WETHAddress, guardian) {
+  const registry = fs.existsSync(registryPath) ?
+    JSON.parse(fs.readFileSync(registryPath).toString()) : {};
+  const previous = registry[chainId];
+  const [minInitialPenaltyPercent, minCommitPeriod] = deployment.args;
+
+  registry[chainId] = {
+    network: networkName,
+    address: deployment.address,
+    // keep the known block if the deployment was reused
+    deployBlock: deployment.receipt?.blockNumber ??
+      (previous?.address === deployment.address ? previous.deployBlock : undefined),
+    WETHAddress,
+    minInitialPenaltyPercent,
+    minCommitPeriod,
+    guardian,
+  };
+
+  // try to mkdir in case it doesn't exist
+  try {fs.mkdirSync('./extra/')} catch {};
+  fs.writeFileSync(registryPath, JSON.stringify(registry, null, 2) + "\n");
+
+  console.log(
+    " 💾  Saved deployment to registry: ",
+    registryPath,
+    "\n\n",
+    registry[chainId]);
+}
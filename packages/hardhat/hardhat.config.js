@@ -24,10 +24,11 @@ const { isAddress, getAddress, formatUnits, parseUnits } = utils;
 */
 
 //
-// Select the network you want to deploy to here:
+// Select the network you want to deploy to with DEPLOY_NETWORK (like REACT_APP_NETWORK for the
+// frontend), e.g. `DEPLOY_NETWORK=localhost yarn deploy`, or pass it with `--network <name>`
+// (each deployment is added to the registry in extra/deployments.json for the frontend):
 //
-// const defaultNetwork = "localhost";
-const defaultNetwork = "kovan";
+const defaultNetwork = process.env.DEPLOY_NETWORK || "kovan";
 
 module.exports = {
 
@@ -36,6 +37,7 @@ module.exports = {
   contractName: "HodlPoolV3",
   tokenContractName: "SomeToken",
   feeTokenContractName: "FeeToken",
+  permitTokenContractName: "PermitToken",
   wethContractName: "WETH",
 
   deployArgs: {
@@ -44,6 +46,15 @@ module.exports = {
     mainnet: [5, 7 * 86400],
   },
 
+  // optional guardian that can pause deposits and enable emergency withdrawals per asset
+  // (no access to funds): "deployer" for the deploying account, an address (e.g. a multisig),
+  // or the zero address for no guardian
+  guardian: {
+    localhost: "deployer",
+    kovan: "deployer",
+    mainnet: "0x0000000000000000000000000000000000000000",
+  },
+
   // don't forget to set your provider like:
   // REACT_APP_PROVIDER=https://dai.poa.network in packages/react-app/.env
   // (then your frontend will talk to your contracts on the live network!)
@@ -566,3 +577,184 @@ task("send", "Send ETH")
 
     return send(fromSigner, txRequest);
   });
+
+/*
+      🏦 HodlPoolV3 tasks: deposit, inspect and withdraw from the command line
+
+      e.g. `yarn deposits --network localhost` or `yarn pool --asset 0x... --network kovan`
+      the contract address is taken from the deployments of the network,
+      or can be set explicitly with --contract
+*/
+
+const HODL_ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+async function hodlPool(hre, taskArgs) {
+  const { HodlPool } = require("@scaffold-eth/sdk");
+  const address = taskArgs.contract ||
+    (await hre.deployments.get(hre.config.contractName)).address;
+  const signer = hre.ethers.provider.getSigner(
+    await addr(hre.ethers, taskArgs.from || "0"));
+  return HodlPool.at(address, signer);
+}
+
+async function hodlToken(ethers, asset) {
+  const token = new ethers.Contract(asset, HODL_ERC20_ABI, ethers.provider);
+  return {
+    token,
+    decimals: await token.decimals(),
+    symbol: await token.symbol(),
+  };
+}
+
+// prints a decoded view, formatting the token amounts with the asset's decimals
+function printDecoded(title, decoded, decimals, symbol) {
+  const amountFields = [
+    "balance", "penalty", "holdBonus", "commitBonus",
+    "depositsSum", "holdBonusesSum", "commitBonusesSum", "amount"];
+  console.log(chalk.cyan(title));
+  Object.entries(decoded).forEach(([key, value]) => {
+    const shown = amountFields.includes(key) ?
+      `${formatUnits(value, decimals)} ${symbol}` : value.toString();
+    console.log(`  ${key}: ${shown}`);
+  });
+}
+
+function askConfirmation(question) {
+  const readline = require("readline");
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => rl.question(`${question} [y/N] `, (answer) => {
+    rl.close();
+    resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+  }));
+}
+
+// waits for the transaction and returns the args of its pool event by name
+async function waitForPoolEvent(pool, tx, eventName) {
+  console.log(`⏳ transaction: ${tx.hash}`);
+  const receipt = await tx.wait();
+  const topic = pool.contract.interface.getEventTopic(eventName);
+  const log = receipt.logs.find((log) => (
+    log.address.toLowerCase() === pool.address.toLowerCase() && log.topics[0] === topic));
+  if (!log) {
+    throw new Error(`${eventName} event not emitted in transaction ${tx.hash}`);
+  }
+  return pool.contract.interface.parseLog(log).args;
+}
+
+async function printDepositFromTx(ethers, pool, tx) {
+  const { tokenId } = await waitForPoolEvent(pool, tx, "Deposited");
+  const deposit = await pool.getDeposit(tokenId);
+  const { decimals, symbol } = await hodlToken(ethers, deposit.asset);
+  printDecoded(`✅ deposit ${deposit.tokenId}`, deposit, decimals, symbol);
+}
+
+function hodlTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("contract", "HodlPoolV3 address (defaults to the network's deployment)")
+    .addOptionalParam("from", "Signer address or account index", "0");
+}
+
+hodlTask("deposit", "Deposit ERC20 tokens into a HodlPoolV3 pool")
+  .addParam("asset", "ERC20 token address")
+  .addParam("amount", "Amount to deposit in token units (e.g. 1.5)")
+  .addParam("penalty", "Initial penalty percent")
+  .addParam("period", "Commitment period in seconds")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    const { token, decimals, symbol } = await hodlToken(hre.ethers, taskArgs.asset);
+    const amount = parseUnits(taskArgs.amount, decimals);
+    const signerAddress = await pool.contract.signer.getAddress();
+
+    if ((await token.allowance(signerAddress, pool.address)).lt(amount)) {
+      console.log(`🔓 approving ${taskArgs.amount} ${symbol}`);
+      await (await token.connect(pool.contract.signer).approve(pool.address, amount)).wait();
+    }
+    await printDepositFromTx(hre.ethers, pool, await pool.deposit(
+      taskArgs.asset, amount, taskArgs.penalty, taskArgs.period));
+  });
+
+hodlTask("deposit-eth", "Deposit ETH (as WETH) into a HodlPoolV3 pool")
+  .addParam("amount", "Amount to deposit in ether (e.g. 0.1)")
+  .addParam("penalty", "Initial penalty percent")
+  .addParam("period", "Commitment period in seconds")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    await printDepositFromTx(hre.ethers, pool, await pool.depositETH(
+      parseUnits(taskArgs.amount, "ether"), taskArgs.penalty, taskArgs.period));
+  });
+
+hodlTask("withdraw", "Withdraw a HodlPoolV3 deposit")
+  .addParam("id", "Deposit tokenId")
+  .addFlag("allowPenalty", "Allow withdrawing with a penalty before the commitment ends")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    const deposit = await pool.getDeposit(taskArgs.id);
+    const { decimals, symbol } = await hodlToken(hre.ethers, deposit.asset);
+    printDecoded(`deposit ${taskArgs.id}`, deposit, decimals, symbol);
+
+    // early by the time left, as in the SDK and the contract
+    if (deposit.timeLeftToHold.gt(0)) {
+      if (!taskArgs.allowPenalty) {
+        console.log(chalk.red(
+          `❌ commitment not over for ${deposit.timeLeftToHold}s, use --allow-penalty to withdraw with a penalty`));
+        return;
+      }
+      const confirmed = await askConfirmation(chalk.yellow(
+        `⚠️  withdraw with a penalty of ${formatUnits(deposit.penalty, decimals)} ${symbol}?`));
+      if (!confirmed) {
+        console.log("aborted");
+        return;
+      }
+    }
+
+    const tx = await pool.withdraw(taskArgs.id, { allowPenalty: taskArgs.allowPenalty });
+    const event = await waitForPoolEvent(pool, tx, "Withdrawed");
+    printDecoded(`✅ withdrawed deposit ${taskArgs.id}`, {
+      amount: event.amount,
+      penalty: event.penalty,
+      holdBonus: event.holdBonus,
+      commitBonus: event.commitBonus,
+      timeHeld: event.timeHeld,
+    }, decimals, symbol);
+  });
+
+hodlTask("recommit", "Add a matured deposit's bonus to it and start a new commitment")
+  .addParam("id", "Deposit tokenId")
+  .addParam("penalty", "New initial penalty percent")
+  .addParam("period", "New commitment period in seconds")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    const tx = await pool.recommit(taskArgs.id, taskArgs.penalty, taskArgs.period);
+    await waitForPoolEvent(pool, tx, "Recommitted");
+    const deposit = await pool.getDeposit(taskArgs.id);
+    const { decimals, symbol } = await hodlToken(hre.ethers, deposit.asset);
+    printDecoded(`✅ recommitted deposit ${taskArgs.id}`, deposit, decimals, symbol);
+  });
+
+hodlTask("deposits", "Print the HodlPoolV3 deposits of an account")
+  .addOptionalParam("owner", "Owner address or account index (defaults to the signer)")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    const owner = taskArgs.owner ?
+      await addr(hre.ethers, taskArgs.owner) : await pool.contract.signer.getAddress();
+    const { tokenIds } = await pool.getDepositsOfOwner(owner);
+    console.log(`📜 ${tokenIds.length} deposits of ${owner}`);
+    for (const tokenId of tokenIds) {
+      const deposit = await pool.getDeposit(tokenId);
+      const { decimals, symbol } = await hodlToken(hre.ethers, deposit.asset);
+      printDecoded(`deposit ${tokenId}`, deposit, decimals, symbol);
+    }
+  });
+
+hodlTask("pool", "Print the HodlPoolV3 pool details of an asset")
+  .addParam("asset", "ERC20 token address")
+  .setAction(async (taskArgs, hre) => {
+    const pool = await hodlPool(hre, taskArgs);
+    const { decimals, symbol } = await hodlToken(hre.ethers, taskArgs.asset);
+    printDecoded(`pool ${symbol}`, await pool.getPool(taskArgs.asset), decimals, symbol);
+  });
@@ -74,6 +74,16 @@ async function main() {
     );
   }
 
+  // publish the deployments registry
+  const registryPath = './extra/deployments.json';
+  if (fs.existsSync(registryPath)) {
+    const registry = fs.readFileSync(registryPath).toString();
+    fs.writeFileSync(
+      `${publishDir}/deployments.js`,
+      `module.exports = ${registry};`
+    );
+  }
+
   const directories = fs.readdirSync(deploymentsDir);
   directories.forEach(function (directory) {
     const files = fs.readdirSync(`${deploymentsDir}/${directory}`);
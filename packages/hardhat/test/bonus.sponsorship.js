@@ -0,0 +1,177 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const feeTokenContractName = "FeeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} bonus sponsorship`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("tokens", function () {
+    let addr1Caller;
+    let sponsorCaller;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      sponsorCaller = deployed.connect(addr2);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await deployedToken.connect(addr1).transfer(addr2.address, 10000);
+      await deployedToken.connect(addr2).approve(deployed.address, 10000);
+    });
+
+    it("credits the bonus pools", async function () {
+      await expect(sponsorCaller.addBonus(deployedToken.address, 1000, 30))
+        .to.emit(deployed, "BonusAdded")
+        .withArgs(deployedToken.address, addr2.address, 1000, 1000, 300, 700);
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.holdBonusesSum).to.eq(300);
+      expect(pool.commitBonusesSum).to.eq(700);
+      expect(pool.depositsSum).to.eq(0);
+      expect(await deployedToken.balanceOf(deployed.address)).to.eq(1000);
+      expect(await deployedToken.balanceOf(addr2.address)).to.eq(9000);
+    });
+
+    it("bonus is withdrawn by depositors", async function () {
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      const dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await sponsorCaller.addBonus(deployedToken.address, 500, 50);
+
+      const dep = await Utils.depositDetails(deployed, dep1);
+      expect(dep.balance).to.eq(1000);  // deposit is not affected
+      expect(dep.commitBonus).to.eq(250);  // the only deposit
+
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.withdrawWithBonus(dep1);
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.holdBonus).to.eq(250);
+      expect(w.commitBonus).to.eq(250);
+      expect(w.amount).to.eq(1500);
+    });
+
+    it("bonus added before any deposits", async function () {
+      await sponsorCaller.addBonus(deployedToken.address, 500, 100);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      const dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      expect((await Utils.depositDetails(deployed, dep1)).balance).to.eq(1000);
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.withdrawWithBonus(dep1);
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.holdBonus).to.eq(500);
+      expect(w.commitBonus).to.eq(0);
+    });
+
+    it("fails for invalid params", async function () {
+      await expect(sponsorCaller.addBonus(deployedToken.address, 0, 50))
+        .to.revertedWith("empty bonus");
+      await expect(sponsorCaller.addBonus(deployedToken.address, 1000, 101))
+        .to.revertedWith("hold share > 100%");
+      await expect(sponsorCaller.addBonus(deployedToken.address, 20000, 50))
+        .to.revertedWith("ERC20: transfer amount exceeds balance");
+    });
+
+  });
+
+  describe("fee-on-transfer tokens", function () {
+    let deployedFeeToken;
+    const tokenFeePercent = 10;
+
+    beforeEach(async () => {
+      const feeTokenContract = await ethers.getContractFactory(feeTokenContractName);
+      deployedFeeToken = await feeTokenContract.deploy(
+        "FeeToken", "FeeTK", addr1.address, utils.parseUnits("1", 18), tokenFeePercent);
+      await deployedFeeToken.connect(addr1).approve(deployed.address, 10000);
+    });
+
+    it("credits the amount received without affecting deposits", async function () {
+      await deployed.connect(addr1).deposit(deployedFeeToken.address, 1000, 50, minCommitPeriod);
+      const dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      const balanceBefore = (await Utils.depositDetails(deployed, dep1)).balance;
+      expect(balanceBefore).to.eq(900);
+
+      await expect(deployed.connect(addr1).addBonus(deployedFeeToken.address, 1000, 40))
+        .to.emit(deployed, "BonusAdded")
+        .withArgs(deployedFeeToken.address, addr1.address, 1000, 900, 360, 540);
+
+      const state = await Utils.getState(deployed, deployedFeeToken, dep1);
+      expect(state.balance).to.eq(balanceBefore);
+      expect(state.holdBonusesSum).to.eq(360);
+      expect(state.commitBonusesSum).to.eq(540);
+      expect(state.holdBonus.add(state.commitBonus)).to.eq(900);
+    });
+
+    it("bonus added before any deposits is withdrawn with them", async function () {
+      await deployed.connect(addr1).addBonus(deployedFeeToken.address, 1000, 50);
+      await deployed.connect(addr1).deposit(deployedFeeToken.address, 1000, 50, minCommitPeriod);
+      const dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await deployed.connect(addr1).withdrawWithBonus(dep1);
+      // all that was received for the bonus and the deposit
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.amount).to.eq(1800);
+      expect(await deployedFeeToken.balanceOf(deployed.address)).to.eq(0);
+    });
+
+  });
+
+  describe("ETH", function () {
+
+    it("credits the WETH bonus pools", async function () {
+      await expect(deployed.connect(addr2).addBonusETH(25, {value: 1000}))
+        .to.emit(deployed, "BonusAdded")
+        .withArgs(deployedWETH.address, addr2.address, 1000, 1000, 250, 750);
+      const pool = await Utils.poolDetails(deployed, deployedWETH);
+      expect(pool.holdBonusesSum).to.eq(250);
+      expect(pool.commitBonusesSum).to.eq(750);
+      expect(await deployedWETH.balanceOf(deployed.address)).to.eq(1000);
+    });
+
+    it("fails for empty bonus", async function () {
+      await expect(deployed.connect(addr2).addBonusETH(25))
+        .to.revertedWith("empty bonus");
+    });
+
+  });
+
+});
@@ -17,6 +17,7 @@ describe(`${contractName} deployment`, function () {
   const minInitialPenaltyPercent = 100;
   const minCommitPeriod = 10;
   const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+  const guardian = ethers.constants.AddressZero;
 
   beforeEach(async () => {
     [owner, ...addrs] = await ethers.getSigners();
@@ -31,7 +32,7 @@ describe(`${contractName} deployment`, function () {
   describe("successful deployment", function () {
 
     beforeEach(async () => {
-      deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+      deployed = await contract.deploy(...deployArgs, deployedWETH.address, guardian);
     });
 
     it("minInitialPenaltyPercent value", async function () {
@@ -42,6 +43,10 @@ describe(`${contractName} deployment`, function () {
       expect(await deployed.minCommitPeriod()).to.equal(deployArgs[1]);
     });
 
+    it("no guardian", async function () {
+      expect(await deployed.guardian()).to.equal(ethers.constants.AddressZero);
+    });
+
     it("no receive or fallback", async function () {
       const tx = { to: deployed.address, value: 1000 };
       expect(addrs[0].sendTransaction(tx)).to.revertedWith("no receive");
@@ -50,34 +55,35 @@ describe(`${contractName} deployment`, function () {
 
   describe("bad deployment params", function () {
     it("should not deploy minInitialPenaltyPercent > 100", async function () {
-      const badArgs = [101, minCommitPeriod, deployedWETH.address];
+      const badArgs = [101, minCommitPeriod, deployedWETH.address, guardian];
       expect(contract.deploy(...badArgs)).to.be.revertedWith("100%");
     });
     it("should not deploy minInitialPenaltyPercent == 0", async function () {
-      const badArgs = [0, minCommitPeriod, deployedWETH.address];
+      const badArgs = [0, minCommitPeriod, deployedWETH.address, guardian];
       expect(contract.deploy(...badArgs)).to.be.revertedWith("no min penalty");
     });
     it("should not deploy minCommitPeriod < 10s", async function () {
-      const badArgs = [minInitialPenaltyPercent, 2, deployedWETH.address];
+      const badArgs = [minInitialPenaltyPercent, 2, deployedWETH.address, guardian];
       expect(contract.deploy(...badArgs)).to.be.revertedWith("too short");
     });
     it("should not deploy minCommitPeriod > 4 * 365 days", async function () {
       const badArgs = [
         minInitialPenaltyPercent, 
         (4 * 365 + 1) * 86400, 
-        deployedWETH.address
+        deployedWETH.address,
+        guardian
       ];
       expect(contract.deploy(...badArgs)).to.be.revertedWith("too long");
     });
     it("should not deploy WETH zero address", async function () {
-      const badArgs = [...deployArgs, ethers.constants.AddressZero];
+      const badArgs = [...deployArgs, ethers.constants.AddressZero, guardian];
       expect(contract.deploy(...badArgs)).to.be.revertedWith("0x0");
     });
   });
 
   it("deployment can not be payable", async function () {
     expect(contract.deploy(
-      ...deployArgs, deployedWETH.address, { value: 1000 })).to.be.reverted;
+      ...deployArgs, deployedWETH.address, guardian, { value: 1000 })).to.be.reverted;
   });
 
 });
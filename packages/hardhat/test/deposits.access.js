@@ -45,7 +45,7 @@ describe(`${contractName} deposits: access control`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("single deposit access", function () {
@@ -0,0 +1,239 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const feeTokenContractName = "FeeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} deposits: batch`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("tokens", function () {
+    let addr1Caller;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await deployedToken.connect(addr1).approve(deployed.address, 6000);
+    });
+
+    it("mints a deposit for each account", async function () {
+      await addr1Caller.depositForMany(
+        [addr2.address, addr3.address, addr2.address], deployedToken.address, [1000, 2000, 3000], 50, 20);
+      expect(await deployed.balanceOf(addr1.address)).to.eq(0);
+      expect(await deployed.balanceOf(addr2.address)).to.eq(2);
+      expect(await deployed.balanceOf(addr3.address)).to.eq(1);
+
+      const events = await deployed.queryFilter(deployed.filters.Deposited());
+      expect(events.length).to.eq(3);
+      expect(events.map((e) => e.args.amount.toNumber())).to.eql([1000, 2000, 3000]);
+      expect(events.map((e) => e.args.amountReceived.toNumber())).to.eql([1000, 2000, 3000]);
+      for (const event of events) {
+        expect(event.args.account).to.eq(addr1.address);
+        expect(event.args.initialPenaltyPercent).to.eq(50);
+        expect(event.args.commitPeriod).to.eq(20);
+      }
+      expect(await deployed.ownerOf(events[1].args.tokenId)).to.eq(addr3.address);
+      const dep = await Utils.depositDetails(deployed, events[1].args.tokenId);
+      expect(dep.balance).to.eq(2000);
+      expect(dep.commitPeriod).to.eq(20);
+    });
+
+    it("pulls the total once and updates pool accounting", async function () {
+      const res = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Deposited()),
+        deployedToken,
+        async () => await addr1Caller.depositForMany(
+          [addr2.address, addr3.address], deployedToken.address, [1000, 3000], 50, 20),
+      );
+      expect(res.delta).to.eq(-4000);
+      expect(await deployedToken.balanceOf(deployed.address)).to.eq(4000);
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(4000);
+      expect(pool.totalCommitPoints).to.eq(4000 * 50 * 20 / 100 / 2);
+    });
+
+    it("beneficiaries can withdraw", async function () {
+      await addr1Caller.depositForMany(
+        [addr2.address, addr3.address], deployedToken.address, [1000, 3000], 50, minCommitPeriod);
+      const [dep1, dep2] = (await deployed.queryFilter(deployed.filters.Deposited()))
+        .map((e) => e.args.tokenId);
+      await expect(addr1Caller.withdrawWithPenalty(dep1)).to.revertedWith("not deposit owner");
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await deployed.connect(addr2).withdrawWithBonus(dep1);
+      await deployed.connect(addr3).withdrawWithBonus(dep2);
+      expect(await deployedToken.balanceOf(addr2.address)).to.eq(1000);
+      expect(await deployedToken.balanceOf(addr3.address)).to.eq(3000);
+    });
+
+    it("validates the batch", async function () {
+      await expect(addr1Caller.depositForMany(
+        [], deployedToken.address, [], 50, 20)).to.revertedWith("no accounts");
+      await expect(addr1Caller.depositForMany(
+        [addr2.address], deployedToken.address, [1000, 2000], 50, 20))
+        .to.revertedWith("accounts and amounts mismatch");
+      await expect(addr1Caller.depositForMany(
+        [addr2.address, addr3.address], deployedToken.address, [1000, 0], 50, 20))
+        .to.revertedWith("empty deposit");
+      await expect(addr1Caller.depositForMany(
+        [addr2.address], deployedToken.address, [1000], 1, 20))
+        .to.revertedWith("penalty too small");
+      await expect(addr1Caller.depositForMany(
+        [addr2.address], deployedToken.address, [10000], 50, 20))
+        .to.revertedWith("ERC20: transfer amount exceeds allowance");
+      expect(await deployed.balanceOf(addr2.address)).to.eq(0);
+    });
+
+    it("fails for paused pools", async function () {
+      const guarded = await contract.deploy(...deployArgs, deployedWETH.address, owner.address);
+      await guarded.setDepositsPaused(deployedToken.address, true);
+      await expect(guarded.connect(addr1).depositForMany(
+        [addr2.address], deployedToken.address, [1000], 50, 20)).to.revertedWith("deposits paused");
+    });
+
+  });
+
+  describe("fee-on-transfer tokens", function () {
+    let deployedFeeToken;
+    const tokenFeePercent = 10;
+    const transferRatio = (100 - tokenFeePercent) / 100;
+
+    beforeEach(async () => {
+      const feeTokenContract = await ethers.getContractFactory(feeTokenContractName);
+      deployedFeeToken = await feeTokenContract.deploy(
+        "FeeToken", "FeeTK", addr1.address, utils.parseUnits("1", 18), tokenFeePercent);
+      await deployedFeeToken.connect(addr1).approve(deployed.address, 10000);
+    });
+
+    it("splits amount received proportionally", async function () {
+      await deployed.connect(addr1).depositForMany(
+        [addr2.address, addr3.address], deployedFeeToken.address, [1000, 3000], 50, 20);
+      const events = await deployed.queryFilter(deployed.filters.Deposited());
+      expect(events[0].args.amountReceived).to.eq(1000 * transferRatio);
+      expect(events[1].args.amountReceived).to.eq(3000 * transferRatio);
+      expect(await deployedFeeToken.balanceOf(deployed.address)).to.eq(4000 * transferRatio);
+
+      // deposits' balances are the same proportional shares
+      const dep1 = await Utils.depositDetails(deployed, events[0].args.tokenId);
+      const dep2 = await Utils.depositDetails(deployed, events[1].args.tokenId);
+      expect(dep1.balance).to.eq(1000 * transferRatio);
+      expect(dep2.balance).to.eq(3000 * transferRatio);
+    });
+
+    it("split amounts sum up to amount received", async function () {
+      // amounts that don't split evenly
+      await deployed.connect(addr1).depositForMany(
+        [addr2.address, addr3.address, addr2.address], deployedFeeToken.address, [333, 333, 334], 50, 20);
+      const events = await deployed.queryFilter(deployed.filters.Deposited());
+      const received = events.reduce((sum, e) => sum.add(e.args.amountReceived), ethers.BigNumber.from(0));
+      expect(received).to.eq(await deployedFeeToken.balanceOf(deployed.address));
+      expect(received).to.eq(1000 * transferRatio);
+      // rounded down, with the remainder in the last one
+      expect(events[0].args.amountReceived).to.eq(Math.floor(900 * 333 / 1000));
+      expect(events[2].args.amountReceived).to.eq(900 - 2 * Math.floor(900 * 333 / 1000));
+    });
+
+    it("beneficiaries withdraw their shares", async function () {
+      await deployed.connect(addr1).depositForMany(
+        [addr2.address, addr3.address], deployedFeeToken.address, [1000, 3000], 50, minCommitPeriod);
+      const [dep1, dep2] = (await deployed.queryFilter(deployed.filters.Deposited()))
+        .map((e) => e.args.tokenId);
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await deployed.connect(addr2).withdrawWithBonus(dep1);
+      await deployed.connect(addr3).withdrawWithBonus(dep2);
+      // paying the fee again on the way out
+      expect(await deployedFeeToken.balanceOf(addr2.address))
+        .to.eq(1000 * transferRatio * transferRatio);
+      expect(await deployedFeeToken.balanceOf(addr3.address))
+        .to.eq(3000 * transferRatio * transferRatio);
+    });
+
+  });
+
+  describe("ETH", function () {
+    let addr1Caller;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+    });
+
+    it("mints a deposit for each account", async function () {
+      await addr1Caller.depositETHForMany(
+        [addr2.address, addr3.address], [1000, 2000], 50, 20, {value: 3000});
+      expect(await deployed.balanceOf(addr2.address)).to.eq(1);
+      expect(await deployed.balanceOf(addr3.address)).to.eq(1);
+      expect(await deployedWETH.balanceOf(deployed.address)).to.eq(3000);
+      const events = await deployed.queryFilter(deployed.filters.Deposited());
+      expect(events.map((e) => e.args.asset)).to.eql([deployedWETH.address, deployedWETH.address]);
+      expect(events.map((e) => e.args.amountReceived.toNumber())).to.eql([1000, 2000]);
+      const pool = await Utils.poolDetails(deployed, deployedWETH);
+      expect(pool.depositsSum).to.eq(3000);
+    });
+
+    it("beneficiaries can withdraw as ETH", async function () {
+      await addr1Caller.depositETHForMany(
+        [addr2.address, addr3.address], [1000, 2000], 50, minCommitPeriod, {value: 3000});
+      const dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const res = await Utils.callCaptureEventAndBalanceETH(
+        addr3.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        async () => await deployed.connect(addr3).withdrawWithBonusETH(dep2),
+      );
+      expect(res.lastEvent.amount).to.eq(2000);
+    });
+
+    it("fails if amounts don't sum to value", async function () {
+      await expect(addr1Caller.depositETHForMany(
+        [addr2.address, addr3.address], [1000, 2000], 50, 20, {value: 2000}))
+        .to.revertedWith("amounts don't sum to value");
+      await expect(addr1Caller.depositETHForMany(
+        [addr2.address, addr3.address], [1000, 2000], 50, 20, {value: 4000}))
+        .to.revertedWith("amounts don't sum to value");
+    });
+
+  });
+
+});
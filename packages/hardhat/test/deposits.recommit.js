@@ -0,0 +1,182 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} deposits: recommit`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("token deposit", function () {
+    let addr1Caller;
+    let addr2Caller;
+    let dep1;
+    let dep2;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      addr2Caller = deployed.connect(addr2);
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await deployedToken.connect(addr1).transfer(addr2.address, 2000);
+      await deployedToken.connect(addr2).approve(deployed.address, 2000);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      // add some bonus to the pool
+      await addr2Caller.deposit(deployedToken.address, 1000, 100, 1000);
+      await addr2Caller.withdrawWithPenalty((await Utils.lastDepositEvent(deployed)).tokenId);
+      // another deposit that stays in the pool
+      await addr2Caller.deposit(deployedToken.address, 1000, 20, minCommitPeriod);
+      dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("cannot recommit before commitment end", async function () {
+      await expect(addr1Caller.recommit(dep1, 50, minCommitPeriod))
+        .to.revertedWith("cannot recommit before commitment end");
+    });
+
+    it("non-owner cannot recommit", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr2Caller.recommit(dep1, 50, minCommitPeriod))
+        .to.revertedWith("not deposit owner");
+    });
+
+    it("new commitment params are validated", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr1Caller.recommit(dep1, minInitialPenaltyPercent - 1, minCommitPeriod))
+        .to.revertedWith("too small");
+      await expect(addr1Caller.recommit(dep1, 50, minCommitPeriod - 1))
+        .to.revertedWith("too short");
+    });
+
+    it("bonus is added to principal with new commitment", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const poolBefore = await Utils.poolDetails(deployed, deployedToken);
+
+      await expect(addr1Caller.recommit(dep1, 100, minCommitPeriod * 2))
+        .to.emit(deployed, "Recommitted");
+      const event = (await deployed.queryFilter(deployed.filters.Recommitted())).pop().args;
+      const bonus = event.holdBonus.add(event.commitBonus);
+      expect(event.tokenId).to.eq(dep1);
+      expect(event.holdBonus).to.gt(0);
+      expect(event.commitBonus).to.gt(0);
+      expect(event.amount).to.eq(bonus.add(1000));
+
+      // same token, new deposit state
+      expect(await deployed.ownerOf(dep1)).to.eq(addr1.address);
+      const state = await Utils.depositDetails(deployed, dep1);
+      expect(state.balance).to.eq(event.amount);
+      expect(state.initialPenaltyPercent).to.eq(100);
+      expect(state.commitPeriod).to.eq(minCommitPeriod * 2);
+      expect(state.timeLeftToHold).to.eq(minCommitPeriod * 2);
+      expect(state.holdPoints).to.eq(0);
+      expect(state.commitPoints).to.eq(event.amount.mul(100).mul(minCommitPeriod * 2).div(200));
+      expect(state.holdBonus).to.eq(0);  // no hold points yet
+
+      // bonus moved from the bonus pools into deposits
+      const poolAfter = await Utils.poolDetails(deployed, deployedToken);
+      expect(poolAfter.depositsSum).to.eq(poolBefore.depositsSum.add(bonus));
+      expect(poolAfter.holdBonusesSum).to.eq(poolBefore.holdBonusesSum.sub(event.holdBonus));
+      expect(poolAfter.commitBonusesSum).to.eq(poolBefore.commitBonusesSum.sub(event.commitBonus));
+      const state2 = await Utils.depositDetails(deployed, dep2);
+      expect(poolAfter.totalCommitPoints).to.eq(state.commitPoints.add(state2.commitPoints));
+    });
+
+    it("recommitted deposit withdraws with penalty on new amount", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.recommit(dep1, 100, 1000);
+      const amount = (await deployed.queryFilter(deployed.filters.Recommitted())).pop().args.amount;
+      const res = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        async () => await addr1Caller.withdrawWithPenalty(dep1),
+      );
+      expect(res.lastEvent.depositAmount).to.eq(amount);
+      expect(res.lastEvent.penalty).to.gt(amount.mul(99).div(100));
+      expect(res.delta).to.eq(amount.sub(res.lastEvent.penalty));
+    });
+
+    it("pool is empty after all withdrawals", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.recommit(dep1, 50, minCommitPeriod);
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.withdrawWithBonus(dep1);
+      await addr2Caller.withdrawWithBonus(dep2);
+
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(0);
+      expect(pool.totalHoldPoints).to.eq(0);
+      expect(pool.totalCommitPoints).to.eq(0);
+      // only rounding leftovers can remain
+      expect(pool.holdBonusesSum.add(pool.commitBonusesSum)).to.lt(10);
+      expect(await deployedToken.balanceOf(deployed.address)).to.lt(10);
+    });
+  });
+
+  describe("ETH deposit", function () {
+    let addr1Caller;
+    let dep1;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await addr1Caller.depositETH(50, minCommitPeriod, {value: 1000});
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("recommit and withdraw as ETH", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await addr1Caller.recommit(dep1, 20, minCommitPeriod);
+      await expect(addr1Caller.withdrawWithBonusETH(dep1))
+        .to.revertedWith("cannot withdraw without penalty yet");
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const res = await Utils.callCaptureEventAndBalanceETH(
+        deployedWETH.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        async () => await addr1Caller.withdrawWithBonusETH(dep1),
+      );
+      expect(res.delta).to.eq(-1000);
+    });
+  });
+
+});
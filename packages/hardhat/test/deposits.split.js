@@ -0,0 +1,222 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} deposits: split & merge`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+  let addr1Caller;
+  let dep1;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  // pool's points totals should always be the sums of its deposits' points
+  async function expectPointsConserved(tokenIds) {
+    const pool = await Utils.poolDetails(deployed, deployedToken);
+    let holdPoints = ethers.BigNumber.from(0);
+    let commitPoints = ethers.BigNumber.from(0);
+    for (const tokenId of tokenIds) {
+      const dep = await Utils.depositDetails(deployed, tokenId);
+      holdPoints = holdPoints.add(dep.holdPoints);
+      commitPoints = commitPoints.add(dep.commitPoints);
+    }
+    expect(pool.totalHoldPoints).to.eq(holdPoints);
+    expect(pool.totalCommitPoints).to.eq(commitPoints);
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+
+    addr1Caller = deployed.connect(addr1);
+    await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+    // odd amounts and params to have rounding in commit points
+    await addr1Caller.deposit(deployedToken.address, 1001, 33, 17);
+    dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+  });
+
+  describe("split", function () {
+
+    it("mints a deposit with same terms", async function () {
+      await expect(addr1Caller.split(dep1, 333)).to.emit(deployed, "Split");
+      const event = (await deployed.queryFilter(deployed.filters.Split())).pop().args;
+      expect(event.tokenId).to.eq(dep1);
+      expect(event.amount).to.eq(333);
+      expect(event.account).to.eq(addr1.address);
+      const dep2 = event.newTokenId;
+      expect(await deployed.ownerOf(dep2)).to.eq(addr1.address);
+
+      const { params } = await Utils.depositsOfOwner(deployed, addr1);
+      expect(params.length).to.eq(2);
+      expect(params[0].amount).to.eq(668);
+      expect(params[1].amount).to.eq(333);
+      for (const field of ["asset", "time", "initialPenaltyPercent", "commitPeriod"]) {
+        expect(params[1][field]).to.eq(params[0][field]);
+      }
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(1001);
+    });
+
+    it("conserves pool points", async function () {
+      // the parts' commit points round down to one less than the whole's
+      await addr1Caller.split(dep1, 6);
+      const dep2 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+      await expectPointsConserved([dep1, dep2]);
+      await addr1Caller.split(dep2, 1);  // no rounding difference
+      const dep3 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+      await Utils.evmIncreaseTime(5);
+      await expectPointsConserved([dep1, dep2, dep3]);
+    });
+
+    it("parts can be transferred and withdrawn separately", async function () {
+      // some bonus in the pool
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+      await deployed.connect(addr2).deposit(deployedToken.address, 1000, 100, 1000);
+      await deployed.connect(addr2).withdrawWithPenalty((await Utils.lastDepositEvent(deployed)).tokenId);
+
+      await addr1Caller.split(dep1, 501);
+      const dep2 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+      await addr1Caller.transferFrom(addr1.address, addr2.address, dep2);
+
+      await Utils.evmIncreaseTime(17);
+      await addr1Caller.withdrawWithBonus(dep1);
+      await deployed.connect(addr2).withdrawWithBonus(dep2);
+      const [w1, w2] = (await deployed.queryFilter(deployed.filters.Withdrawed())).slice(-2)
+        .map((e) => e.args);
+      expect(w1.depositAmount).to.eq(500);
+      expect(w2.depositAmount).to.eq(501);
+      expect(w2.holdBonus.add(w2.commitBonus)).to.gt(w1.holdBonus.add(w1.commitBonus));
+
+      // nothing is left in the pool's accounting
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(0);
+      expect(pool.totalHoldPoints).to.eq(0);
+      expect(pool.totalCommitPoints).to.eq(0);
+    });
+
+    it("parts can be withdrawn with penalty", async function () {
+      await addr1Caller.split(dep1, 501);
+      const dep2 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+      await addr1Caller.withdrawWithPenalty(dep2);
+      const withdrawal = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(withdrawal.penalty).to.gt(0);
+      expect(withdrawal.amount.add(withdrawal.penalty)).to.eq(501);
+      await expectPointsConserved([dep1]);
+    });
+
+    it("dust parts can't be withdrawn early without penalty", async function () {
+      // some bonus in the pool
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+      await deployed.connect(addr2).deposit(deployedToken.address, 1000, 100, 1000);
+      await deployed.connect(addr2).withdrawWithPenalty((await Utils.lastDepositEvent(deployed)).tokenId);
+
+      await addr1Caller.split(dep1, 1);
+      const dep2 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+      expect((await Utils.depositDetails(deployed, dep2)).penalty).to.eq(1);
+      await addr1Caller.withdrawWithPenalty(dep2);
+      const withdrawal = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(withdrawal.penalty).to.eq(1);
+      expect(withdrawal.amount).to.eq(0);
+      expect(withdrawal.holdBonus).to.eq(0);
+      expect(withdrawal.commitBonus).to.eq(0);
+    });
+
+    it("fails for invalid amounts", async function () {
+      await expect(addr1Caller.split(dep1, 0)).to.revertedWith("invalid split amount");
+      await expect(addr1Caller.split(dep1, 1001)).to.revertedWith("invalid split amount");
+    });
+
+    it("fails if not owner", async function () {
+      await expect(deployed.connect(addr2).split(dep1, 1)).to.revertedWith("not deposit owner");
+      await expect(addr1Caller.split(1000, 1)).to.revertedWith("ERC721: owner query for nonexistent token");
+    });
+
+  });
+
+  describe("merge", function () {
+    let dep2;
+
+    beforeEach(async () => {
+      await addr1Caller.split(dep1, 333);
+      dep2 = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+    });
+
+    it("merges back a split deposit", async function () {
+      await expect(addr1Caller.merge(dep1, dep2)).to.emit(deployed, "Merged");
+      const event = (await deployed.queryFilter(deployed.filters.Merged())).pop().args;
+      expect(event.mergedTokenId).to.eq(dep2);
+      expect(event.amount).to.eq(1001);
+      await expect(deployed.ownerOf(dep2)).to.revertedWith("ERC721: owner query for nonexistent token");
+      expect(await deployed.balanceOf(addr1.address)).to.eq(1);
+      const dep = await Utils.depositDetails(deployed, dep1);
+      expect(dep.balance).to.eq(1001);
+      await expectPointsConserved([dep1]);
+    });
+
+    it("merges deposits made in the same batch", async function () {
+      await addr1Caller.depositForMany(
+        [addr2.address, addr2.address], deployedToken.address, [100, 200], 50, 20);
+      const [a, b] = (await deployed.queryFilter(deployed.filters.Deposited())).slice(-2)
+        .map((e) => e.args.tokenId);
+      await deployed.connect(addr2).merge(b, a);
+      expect((await Utils.depositDetails(deployed, b)).balance).to.eq(300);
+      await expectPointsConserved([dep1, dep2, b]);
+    });
+
+    it("fails for incompatible deposits", async function () {
+      await addr1Caller.deposit(deployedToken.address, 1001, 33, 18);
+      const dep3 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await expect(addr1Caller.merge(dep1, dep3)).to.revertedWith("deposits not compatible");
+      // same terms, different time
+      await addr1Caller.deposit(deployedToken.address, 1001, 33, 17);
+      const dep4 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await expect(addr1Caller.merge(dep1, dep4)).to.revertedWith("deposits not compatible");
+      await expect(addr1Caller.merge(dep1, dep1)).to.revertedWith("same deposit");
+    });
+
+    it("fails if not owner of both", async function () {
+      await addr1Caller.transferFrom(addr1.address, addr2.address, dep2);
+      await expect(addr1Caller.merge(dep1, dep2)).to.revertedWith("not deposit owner");
+      await expect(deployed.connect(addr2).merge(dep2, dep1)).to.revertedWith("not deposit owner");
+    });
+
+  });
+
+});
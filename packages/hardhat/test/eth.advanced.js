@@ -37,7 +37,7 @@ describe(`${contractName} ETH: advanced logic`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("commitment params: first deposit", function () {
@@ -329,8 +329,8 @@ describe(`${contractName} ETH: advanced logic`, function () {
       addr2Caller = deployed.connect(addr2);      
       // deposit and withdraw to have bonus in the pool
       period1 = 20;
-      // tweak the deposit to have penalty of 1000 exactly for easy calc
-      await addr1Caller.depositETH(100, 365 * 86400, { value: 1001 });
+      // tweak the deposit to have penalty of 1000 exactly for easy calc (rounded up)
+      await addr1Caller.depositETH(100, 365 * 86400, { value: 1000 });
       const dep0 = (await Utils.lastDepositEvent(deployed)).tokenId;
       await addr1Caller.withdrawWithPenaltyETH(dep0);
       // deposit and hold
@@ -36,7 +36,7 @@ describe(`${contractName} ETH: basic logic`, function () {
     
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("ETH: single account deposits & withdrawals", function () {
@@ -0,0 +1,324 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} guardian`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedToken2;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let guardian;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, guardian, ...addrs] = await ethers.getSigners();
+
+    // deploy tokens
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+    deployedToken2 = await tokenContract.deploy(
+      "Token2", "TK2", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, guardian.address);
+  });
+
+  describe("role", function () {
+
+    it("guardian is set on deployment", async function () {
+      expect(await deployed.guardian()).to.eq(guardian.address);
+      const events = await deployed.queryFilter(deployed.filters.GuardianSet());
+      expect(events.pop().args.guardian).to.eq(guardian.address);
+    });
+
+    it("only guardian can use guardian actions", async function () {
+      const addr1Caller = deployed.connect(addr1);
+      await expect(addr1Caller.setDepositsPaused(deployedToken.address, true))
+        .to.revertedWith("not guardian");
+      await expect(addr1Caller.setEmergencyWithdrawals(deployedToken.address, true))
+        .to.revertedWith("not guardian");
+      await expect(addr1Caller.setGuardian(addr1.address))
+        .to.revertedWith("not guardian");
+    });
+
+    it("guardian can be transferred and renounced", async function () {
+      await expect(deployed.connect(guardian).setGuardian(addr2.address))
+        .to.emit(deployed, "GuardianSet").withArgs(addr2.address);
+      expect(await deployed.guardian()).to.eq(addr2.address);
+      await expect(deployed.connect(guardian).setDepositsPaused(deployedToken.address, true))
+        .to.revertedWith("not guardian");
+
+      await deployed.connect(addr2).setGuardian(ethers.constants.AddressZero);
+      expect(await deployed.guardian()).to.eq(ethers.constants.AddressZero);
+      await expect(deployed.connect(addr2).setDepositsPaused(deployedToken.address, true))
+        .to.revertedWith("not guardian");
+    });
+
+    it("no guardian deployment", async function () {
+      const noGuardian = await contract.deploy(
+        ...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+      for (const signer of [owner, addr1, guardian]) {
+        await expect(noGuardian.connect(signer).setDepositsPaused(deployedToken.address, true))
+          .to.revertedWith("not guardian");
+      }
+    });
+  });
+
+  describe("pause deposits", function () {
+    let addr1Caller;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await deployedToken2.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await expect(deployed.connect(guardian).setDepositsPaused(deployedToken.address, true))
+        .to.emit(deployed, "DepositsPaused").withArgs(deployedToken.address, true);
+    });
+
+    it("paused pool rejects deposits", async function () {
+      expect(await deployed.depositsPaused(deployedToken.address)).to.eq(true);
+      await expect(addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod))
+        .to.revertedWith("deposits paused");
+      await expect(addr1Caller.depositFor(
+        addr2.address, deployedToken.address, 1000, 50, minCommitPeriod))
+        .to.revertedWith("deposits paused");
+    });
+
+    it("other pools are not affected", async function () {
+      await addr1Caller.deposit(deployedToken2.address, 1000, 50, minCommitPeriod);
+      expect((await Utils.lastDepositEvent(deployed)).asset).to.eq(deployedToken2.address);
+    });
+
+    it("paused ETH pool rejects ETH deposits", async function () {
+      await deployed.connect(guardian).setDepositsPaused(deployedWETH.address, true);
+      await expect(addr1Caller.depositETH(50, minCommitPeriod, { value: 1000 }))
+        .to.revertedWith("deposits paused");
+    });
+
+    it("unpause", async function () {
+      await deployed.connect(guardian).setDepositsPaused(deployedToken.address, false);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      expect((await Utils.lastDepositEvent(deployed)).amount).to.eq(1000);
+    });
+
+    it("withdrawals and no recommits while paused", async function () {
+      await deployed.connect(guardian).setDepositsPaused(deployedToken.address, false);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      const dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      const dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await deployed.connect(guardian).setDepositsPaused(deployedToken.address, true);
+
+      await addr1Caller.withdrawWithPenalty(dep1);
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr1Caller.recommit(dep2, 50, minCommitPeriod))
+        .to.revertedWith("deposits paused");
+      const { delta, lastEvent } = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        () => addr1Caller.withdrawWithBonus(dep2),
+      );
+      // got the penalty of the first deposit as bonus
+      expect(lastEvent.holdBonus.add(lastEvent.commitBonus)).to.gt(0);
+      expect(delta).to.eq(lastEvent.amount);
+    });
+  });
+
+  describe("emergency withdrawals", function () {
+    let addr1Caller;
+    let addr2Caller;
+    let dep1;
+    let dep2;
+    let depETH;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      addr2Caller = deployed.connect(addr2);
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await deployedToken.connect(addr1).transfer(addr2.address, 2000);
+      await deployedToken.connect(addr2).approve(deployed.address, 2000);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, 1000);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      // add some bonus to the pool
+      await addr2Caller.deposit(deployedToken.address, 1000, 100, 1000);
+      await addr2Caller.withdrawWithPenalty((await Utils.lastDepositEvent(deployed)).tokenId);
+      // a deposit that will be matured
+      await addr2Caller.deposit(deployedToken.address, 1000, 20, minCommitPeriod);
+      dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr1Caller.depositETH(50, 1000, { value: 1000 });
+      depETH = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("not possible unless enabled", async function () {
+      await expect(addr1Caller.emergencyWithdraw(dep1))
+        .to.revertedWith("no emergency withdrawals");
+      // enabled for another asset
+      await deployed.connect(guardian).setEmergencyWithdrawals(deployedWETH.address, true);
+      await expect(addr1Caller.emergencyWithdraw(dep1))
+        .to.revertedWith("no emergency withdrawals");
+    });
+
+    it("enabling pauses deposits and emits events", async function () {
+      const tx = deployed.connect(guardian).setEmergencyWithdrawals(deployedToken.address, true);
+      await expect(tx).to.emit(deployed, "EmergencyWithdrawalsSet")
+        .withArgs(deployedToken.address, true);
+      await expect(tx).to.emit(deployed, "DepositsPaused")
+        .withArgs(deployedToken.address, true);
+      expect(await deployed.emergencyWithdrawals(deployedToken.address)).to.eq(true);
+      expect(await deployed.depositsPaused(deployedToken.address)).to.eq(true);
+    });
+
+    it("principal without penalty or bonus", async function () {
+      await deployed.connect(guardian).setEmergencyWithdrawals(deployedToken.address, true);
+      const { delta, lastEvent } = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        () => addr1Caller.emergencyWithdraw(dep1),
+      );
+      expect(delta).to.eq(1000);
+      expect(lastEvent.amount).to.eq(1000);
+      expect(lastEvent.penalty).to.eq(0);
+      expect(lastEvent.holdBonus).to.eq(0);
+      expect(lastEvent.commitBonus).to.eq(0);
+      await expect(deployed.ownerOf(dep1)).to.revertedWith("nonexistent");
+    });
+
+    it("bonus remains for matured deposits", async function () {
+      const bonusesBefore = await deployed.poolDetails(deployedToken.address);
+      await deployed.connect(guardian).setEmergencyWithdrawals(deployedToken.address, true);
+      await addr1Caller.emergencyWithdraw(dep1);
+      const poolAfter = await deployed.poolDetails(deployedToken.address);
+      expect(poolAfter[1].add(poolAfter[2])).to.eq(bonusesBefore[1].add(bonusesBefore[2]));
+
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const { delta, lastEvent } = await Utils.callCaptureEventAndBalanceToken(
+        addr2.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        () => addr2Caller.withdrawWithBonus(dep2),
+      );
+      // all of the bonus pool goes to the only remaining deposit
+      expect(lastEvent.holdBonus.add(lastEvent.commitBonus))
+        .to.eq(bonusesBefore[1].add(bonusesBefore[2]));
+      expect(delta).to.eq(lastEvent.amount);
+    });
+
+    it("ETH deposits are withdrawn as WETH", async function () {
+      await deployed.connect(guardian).setEmergencyWithdrawals(deployedWETH.address, true);
+      const { delta } = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedWETH,
+        () => addr1Caller.emergencyWithdraw(depETH),
+      );
+      expect(delta).to.eq(1000);
+    });
+
+    it("only deposit owner can emergency withdraw", async function () {
+      await deployed.connect(guardian).setEmergencyWithdrawals(deployedToken.address, true);
+      await expect(addr2Caller.emergencyWithdraw(dep1)).to.revertedWith("not deposit owner");
+    });
+  });
+
+  describe("guardian can't take funds", function () {
+    let guardianCaller;
+    let dep1;
+    let depETH;
+
+    beforeEach(async () => {
+      guardianCaller = deployed.connect(guardian);
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await deployed.connect(addr1).deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await deployed.connect(addr1).depositETH(50, minCommitPeriod, { value: 1000 });
+      depETH = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("guardian can't withdraw or transfer deposits", async function () {
+      await guardianCaller.setEmergencyWithdrawals(deployedToken.address, true);
+      await guardianCaller.setEmergencyWithdrawals(deployedWETH.address, true);
+      for (const tokenId of [dep1, depETH]) {
+        await expect(guardianCaller.emergencyWithdraw(tokenId)).to.revertedWith("not deposit owner");
+        await expect(guardianCaller.withdrawWithPenalty(tokenId)).to.revertedWith("not deposit owner");
+        await expect(guardianCaller.transferFrom(addr1.address, guardian.address, tokenId))
+          .to.revertedWith("not owner nor approved");
+      }
+      await expect(guardianCaller.withdrawWithPenaltyETH(depETH)).to.revertedWith("not deposit owner");
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(guardianCaller.withdrawWithBonus(dep1)).to.revertedWith("not deposit owner");
+      await expect(guardianCaller.withdrawWithBonusETH(depETH)).to.revertedWith("not deposit owner");
+      await expect(guardianCaller.withdrawWithBonusBatch([dep1])).to.revertedWith("not deposit owner");
+      await expect(guardianCaller.recommit(dep1, 50, minCommitPeriod))
+        .to.revertedWith("not deposit owner");
+    });
+
+    it("guardian actions don't move funds", async function () {
+      const tokenBalance = await deployedToken.balanceOf(deployed.address);
+      const wethBalance = await deployedWETH.balanceOf(deployed.address);
+      const guardianTokenBalance = await deployedToken.balanceOf(guardian.address);
+      const guardianWETHBalance = await deployedWETH.balanceOf(guardian.address);
+
+      for (const asset of [deployedToken.address, deployedWETH.address]) {
+        await guardianCaller.setDepositsPaused(asset, true);
+        await guardianCaller.setEmergencyWithdrawals(asset, true);
+        await guardianCaller.setEmergencyWithdrawals(asset, false);
+        await guardianCaller.setDepositsPaused(asset, false);
+      }
+      await guardianCaller.setGuardian(addr2.address);
+
+      expect(await deployedToken.balanceOf(deployed.address)).to.eq(tokenBalance);
+      expect(await deployedWETH.balanceOf(deployed.address)).to.eq(wethBalance);
+      expect(await deployedToken.balanceOf(guardian.address)).to.eq(guardianTokenBalance);
+      expect(await deployedWETH.balanceOf(guardian.address)).to.eq(guardianWETHBalance);
+      expect(await deployed.balanceOf(guardian.address)).to.eq(0);
+      expect(await deployed.ownerOf(dep1)).to.eq(addr1.address);
+      expect(await deployed.ownerOf(depETH)).to.eq(addr1.address);
+    });
+
+    it("emergency withdrawals pay only the deposit owner", async function () {
+      await guardianCaller.setEmergencyWithdrawals(deployedToken.address, true);
+      const guardianBalance = await deployedToken.balanceOf(guardian.address);
+      const { delta } = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        () => deployed.connect(addr1).emergencyWithdraw(dep1),
+      );
+      expect(delta).to.eq(1000);
+      expect(await deployedToken.balanceOf(guardian.address)).to.eq(guardianBalance);
+      expect(await deployedToken.balanceOf(deployed.address)).to.eq(0);
+    });
+  });
+
+});
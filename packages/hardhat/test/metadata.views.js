@@ -3,6 +3,7 @@ const { use, expect } = require("chai");
 const { solidity } = require("ethereum-waffle");
 
 const { TestUtils } = require("./utils.js")
+const { decodeTokenURI } = require("@scaffold-eth/sdk");
 
 const contractName = "HodlPoolV3";
 const tokenContractName = "SomeToken";
@@ -44,7 +45,7 @@ describe(`${contractName} views and metadata`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("ERC721 tokenURI", function () {
@@ -65,7 +66,9 @@ describe(`${contractName} views and metadata`, function () {
     });
 
     it("existing deposit", async function () {
-      const metadata = JSON.parse(await deployed.tokenURI(dep1));
+      const uri = await deployed.tokenURI(dep1);
+      expect(uri).to.match(/^data:application\/json;base64,/);
+      const metadata = decodeTokenURI(uri);
       // name contains id
       expect(metadata.name).to.contain(dep1.toString());
       // description contains token address
@@ -74,6 +77,69 @@ describe(`${contractName} views and metadata`, function () {
           deployedToken.address.toLowerCase());
       // console.log(metadata);
     });
+
+    it("image is a base64 SVG with the deposit's state", async function () {
+      const metadata = decodeTokenURI(await deployed.tokenURI(dep1));
+      expect(metadata.image).to.match(/^data:image\/svg\+xml;base64,/);
+      const svg = utils.toUtf8String(utils.base64.decode(metadata.image.split(",")[1]));
+      expect(svg).to.match(/^<svg .*<\/svg>$/);
+      expect(svg).to.contain("TK1");
+      expect(svg).to.contain("#1<");  // tokenId
+      expect(svg).to.contain("Penalty now: 50% (initial 50%)");
+      expect(svg).to.contain("COMMITTED");
+    });
+
+    it("attributes", async function () {
+      const metadata = decodeTokenURI(await deployed.tokenURI(dep1));
+      const attributes = Object.fromEntries(
+        metadata.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes["Asset"]).to.eq("TK1");
+      // 1000 wei of an 18 decimals token
+      expect(attributes["Amount"]).to.eq(0);
+      expect(attributes["Initial penalty percent"]).to.eq(50);
+      expect(attributes["Current penalty percent"]).to.eq(50);
+      expect(attributes["Commitment progress"]).to.eq(0);
+      expect(attributes["Status"]).to.eq("Committed");
+    });
+
+    it("amount in token units", async function () {
+      await addr1Caller.deposit(deployedToken.address, utils.parseUnits("1.25", 15), 50, 20);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      const metadata = decodeTokenURI(await deployed.tokenURI(dep2));
+      expect(metadata.attributes.find((a) => a.trait_type == "Amount").value).to.eq(0.0012);
+      expect(metadata.description).to.contain("0.0012 TK1");
+    });
+
+    it("progress and maturity", async function () {
+      await TestUtils.evmIncreaseTime(10);
+      let metadata = decodeTokenURI(await deployed.tokenURI(dep1));
+      let attributes = Object.fromEntries(
+        metadata.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes["Commitment progress"]).to.be.within(50, 60);
+      expect(attributes["Current penalty percent"]).to.be.within(20, 26);
+      expect(attributes["Status"]).to.eq("Committed");
+
+      await TestUtils.evmIncreaseTime(10);
+      metadata = decodeTokenURI(await deployed.tokenURI(dep1));
+      attributes = Object.fromEntries(
+        metadata.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes["Commitment progress"]).to.eq(100);
+      expect(attributes["Current penalty percent"]).to.eq(0);
+      expect(attributes["Status"]).to.eq("Matured");
+      const svg = utils.toUtf8String(utils.base64.decode(metadata.image.split(",")[1]));
+      expect(svg).to.contain("MATURED");
+    });
+
+    it("placeholder symbol for a non-standard token", async function () {
+      const oddToken = await (await ethers.getContractFactory("OddSymbolToken")).deploy(
+        addr1.address, 1000);
+      await oddToken.connect(addr1).approve(deployed.address, 1000);
+      await addr1Caller.deposit(oddToken.address, 1000, 50, 20);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      const metadata = decodeTokenURI(await deployed.tokenURI(dep2));
+      expect(metadata.attributes.find((a) => a.trait_type == "Asset").value).to.eq("???");
+      expect(metadata.description).to.contain(" ???");
+    });
   
   });
 
@@ -0,0 +1,493 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const campaignsContractName = "RewardCampaigns";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} reward campaigns`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedReward;
+  let deployedWETH;
+  let campaigns;
+  let owner;
+  let addr1;
+  let addr2;
+  let addr3;
+  let addrs;
+  let addr1Caller;
+  let addr3Caller;
+  let sponsorCampaigns;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  const campaignDetails = async (campaignId) => {
+    const details = await campaigns.campaignDetails(campaignId);
+    return {
+      asset: utils.getAddress(details[0].toHexString().slice(2).padStart(40, "0")),
+      rewardToken: utils.getAddress(details[1].toHexString().slice(2).padStart(40, "0")),
+      commitWeighted: details[2].eq(1),
+      periodFinish: details[3],
+      rewardsLeft: details[4],
+      rewardsSum: details[5],
+      unallocated: details[6],
+      totalPoints: details[7],
+    };
+  }
+
+  const credited = async (signer) => campaigns.rewardsOf(signer.address, deployedReward.address);
+
+  const deposit = async (caller, amount, penalty, commitPeriod) => {
+    await caller.deposit(deployedToken.address, amount, penalty, commitPeriod);
+    return (await Utils.lastDepositEvent(deployed)).tokenId;
+  }
+
+  // starts a campaign for each of count other sponsors (one campaign per creator and asset)
+  const startCampaigns = async (asset, count, amount, period) => {
+    for (let i = 0; i < count; i++) {
+      await deployedReward.connect(addr2).transfer(addrs[i].address, amount);
+      await deployedReward.connect(addrs[i]).approve(campaigns.address, amount);
+      await campaigns.connect(addrs[i]).startCampaign(
+        asset, deployedReward.address, amount, period, i % 2 === 0);
+    }
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3, ...addrs] = await ethers.getSigners();
+
+    // deploy a token, and the reward token (for the sponsor)
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+    deployedReward = await tokenContract.deploy(
+      "Reward", "RWD", addr2.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract, addr2 is the guardian and sponsors the campaigns
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, addr2.address);
+    campaigns = await ethers.getContractAt(campaignsContractName, await deployed.campaigns());
+
+    addr1Caller = deployed.connect(addr1);
+    addr3Caller = deployed.connect(addr3);
+    sponsorCampaigns = campaigns.connect(addr2);
+    await deployedToken.connect(addr1).approve(deployed.address, 10000);
+    await deployedToken.connect(addr1).transfer(addr3.address, 10000);
+    await deployedToken.connect(addr3).approve(deployed.address, 10000);
+    await deployedReward.connect(addr2).approve(campaigns.address, 100000);
+  });
+
+  it("is deployed by the pool", async function () {
+    expect(await campaigns.pool()).to.eq(deployed.address);
+    expect(await campaigns.MAX_CAMPAIGNS()).to.eq(5);
+    expect(await campaigns.MAX_REWARDS()).to.eq(utils.parseUnits("1", 30));
+  });
+
+  it("starts a campaign", async function () {
+    await expect(
+      sponsorCampaigns.startCampaign(deployedToken.address, deployedReward.address, 1000, 100, false))
+      .to.emit(campaigns, "CampaignStarted")
+      .withArgs(0, deployedToken.address, deployedReward.address, addr2.address, false)
+      .and.to.emit(campaigns, "RewardsAdded");
+    const event = (await campaigns.queryFilter(campaigns.filters.RewardsAdded())).pop().args;
+    expect(event.amount).to.eq(1000);
+    expect(event.amountReceived).to.eq(1000);
+
+    const campaign = await campaignDetails(0);
+    expect(campaign.asset).to.eq(deployedToken.address);
+    expect(campaign.rewardToken).to.eq(deployedReward.address);
+    expect(campaign.commitWeighted).to.eq(false);
+    expect(campaign.periodFinish).to.eq(event.periodFinish);
+    expect(campaign.rewardsLeft).to.eq(1000);
+    expect(campaign.rewardsSum).to.eq(1000);
+    expect(await campaigns.campaignsOf(deployedToken.address)).to.deep.eq([ethers.BigNumber.from(0)]);
+    expect(await deployedReward.balanceOf(campaigns.address)).to.eq(1000);
+  });
+
+  it("anyone starts a campaign per asset and only the creator adds rewards", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    const periodFinish = (await campaignDetails(0)).periodFinish;
+    await expect(campaigns.connect(addr1).addRewards(0, 1000, 100))
+      .to.revertedWith("not campaign creator");
+
+    // the schedule of an active campaign is fixed
+    await Utils.evmIncreaseTime(49);
+    await sponsorCampaigns.addRewards(0, 500, 4 * 365 * 86400);
+    const campaign = await campaignDetails(0);
+    expect(campaign.periodFinish).to.eq(periodFinish);
+    // about half of the first rewards and all of the added ones
+    expect(campaign.rewardsLeft).to.be.closeTo(ethers.BigNumber.from(1000), 20);
+    expect(campaign.rewardsSum).to.eq(1500);
+
+    await Utils.evmIncreaseTime(100);
+    await addr1Caller.withdrawWithBonus(dep);
+    expect(await credited(addr1)).to.be.closeTo(ethers.BigNumber.from(1500), 1);
+
+    // not only the guardian, but one campaign per creator
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, true))
+      .to.revertedWith("creator has a campaign");
+    await startCampaigns(deployedToken.address, 1, 100, 100);
+    expect((await campaigns.queryFilter(campaigns.filters.CampaignStarted())).pop().args.account)
+      .to.eq(addrs[0].address);
+  });
+
+  it("credits the rewards on withdrawal and claims them", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(50);
+    await network.provider.send("evm_mine");
+    const pending = await campaigns.pendingRewards(0, dep);
+    expect(pending).to.be.gt(400);
+    expect(pending).to.be.lt(600);
+
+    await Utils.evmIncreaseTime(100);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(1000);
+    await expect(addr1Caller.withdrawWithBonus(dep))
+      .to.emit(campaigns, "RewardsCredited")
+      .withArgs(0, dep, addr1.address, 1000);
+    expect(await credited(addr1)).to.eq(1000);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(0);
+
+    await expect(campaigns.connect(addr1).claimRewards(deployedReward.address))
+      .to.emit(campaigns, "RewardsClaimed")
+      .withArgs(addr1.address, deployedReward.address, 1000);
+    expect(await deployedReward.balanceOf(addr1.address)).to.eq(1000);
+    expect(await credited(addr1)).to.eq(0);
+    await expect(campaigns.connect(addr1).claimRewards(deployedReward.address))
+      .to.revertedWith("no rewards");
+  });
+
+  it("distributes pro rata to hold-points", async function () {
+    const dep1 = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    const dep3 = await deposit(addr3Caller, 3000, 100, minCommitPeriod * 2);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    expect((await campaignDetails(0)).totalPoints).to.eq(4000);
+
+    await Utils.evmIncreaseTime(200);
+    await addr1Caller.withdrawWithBonus(dep1);
+    await addr3Caller.withdrawWithBonus(dep3);
+    expect(await credited(addr1)).to.eq(250);
+    expect(await credited(addr3)).to.eq(750);
+  });
+
+  it("distributes pro rata to commit-points", async function () {
+    const dep1 = await deposit(addr1Caller, 1000, 50, 100);
+    const dep3 = await deposit(addr3Caller, 1000, 100, 100);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 900, 90, true);
+    // commit-points: 1000 * 50 * 100 / 200 and 1000 * 100 * 100 / 200
+    expect((await campaignDetails(0)).totalPoints).to.eq(75000);
+
+    await Utils.evmIncreaseTime(200);
+    await addr1Caller.withdrawWithBonus(dep1);
+    await addr3Caller.withdrawWithBonus(dep3);
+    expect(await credited(addr1)).to.eq(300);
+    expect(await credited(addr3)).to.eq(600);
+  });
+
+  it("later deposits get only the rest of the period", async function () {
+    const dep1 = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(49);
+    const dep3 = await deposit(addr3Caller, 1000, 50, minCommitPeriod);
+
+    await Utils.evmIncreaseTime(100);
+    await addr1Caller.withdrawWithBonus(dep1);
+    await addr3Caller.withdrawWithBonus(dep3);
+    const rewards1 = await credited(addr1);
+    const rewards3 = await credited(addr3);
+    // half alone, and half of the other half
+    expect(rewards1).to.be.closeTo(ethers.BigNumber.from(750), 10);
+    expect(rewards3).to.be.closeTo(ethers.BigNumber.from(250), 10);
+    expect(rewards1.add(rewards3)).to.be.closeTo(ethers.BigNumber.from(1000), 1);
+  });
+
+  it("early withdrawal forfeits the rewards to other deposits", async function () {
+    const dep1 = await deposit(addr1Caller, 1000, 50, 1000);
+    const dep3 = await deposit(addr3Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(49);
+
+    await expect(addr1Caller.withdrawWithPenalty(dep1))
+      .to.emit(campaigns, "RewardsForfeited");
+    const forfeited = (await campaigns.queryFilter(campaigns.filters.RewardsForfeited())).pop().args;
+    expect(forfeited.tokenId).to.eq(dep1);
+    expect(forfeited.amount).to.be.closeTo(ethers.BigNumber.from(250), 10);
+    expect(await credited(addr1)).to.eq(0);
+
+    await Utils.evmIncreaseTime(100);
+    await addr3Caller.withdrawWithBonus(dep3);
+    expect(await credited(addr3)).to.be.closeTo(ethers.BigNumber.from(1000), 1);
+  });
+
+  it("emergency withdrawal forfeits the rewards to other deposits", async function () {
+    const dep1 = await deposit(addr1Caller, 1000, 50, 1000);
+    const dep3 = await deposit(addr3Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(48);
+    await deployed.connect(addr2).setEmergencyWithdrawals(deployedToken.address, true);
+
+    await expect(addr1Caller.emergencyWithdraw(dep1))
+      .to.emit(campaigns, "RewardsForfeited");
+    const forfeited = (await campaigns.queryFilter(campaigns.filters.RewardsForfeited())).pop().args;
+    expect(forfeited.amount).to.be.closeTo(ethers.BigNumber.from(250), 10);
+    expect(await credited(addr1)).to.eq(0);
+
+    await Utils.evmIncreaseTime(100);
+    await addr3Caller.withdrawWithBonus(dep3);
+    expect(await credited(addr3)).to.be.closeTo(ethers.BigNumber.from(1000), 1);
+  });
+
+  it("partial withdrawal forfeits the rewards of the withdrawn part", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, 1000);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(100);
+
+    await expect(addr1Caller.withdrawPartial(dep, 400))
+      .to.emit(campaigns, "RewardsForfeited")
+      .withArgs(0, dep, 400);
+    // the period is over, so the forfeited rewards are for the next period
+    expect((await campaignDetails(0)).unallocated).to.eq(400);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(600);
+
+    await Utils.evmIncreaseTime(1000);
+    await addr1Caller.withdrawWithBonus(dep);
+    expect(await credited(addr1)).to.eq(600);
+  });
+
+  it("split keeps the rewards and merge moves them", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(49);
+    await addr1Caller.split(dep, 500);
+    const newDep = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+
+    await Utils.evmIncreaseTime(100);
+    const pending = await campaigns.pendingRewards(0, dep);
+    const newPending = await campaigns.pendingRewards(0, newDep);
+    expect(pending).to.be.closeTo(ethers.BigNumber.from(750), 10);
+    expect(pending.add(newPending)).to.be.closeTo(ethers.BigNumber.from(1000), 1);
+
+    await addr1Caller.merge(dep, newDep);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(pending.add(newPending));
+    expect(await campaigns.pendingRewards(0, newDep)).to.eq(0);
+    await addr1Caller.withdrawWithBonus(dep);
+    expect(await credited(addr1)).to.eq(pending.add(newPending));
+  });
+
+  it("rewards streamed without deposits are added to the next period", async function () {
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await Utils.evmIncreaseTime(200);
+    await network.provider.send("evm_mine");
+    expect((await campaignDetails(0)).unallocated).to.eq(1000);
+    expect((await campaignDetails(0)).rewardsLeft).to.eq(0);
+
+    const dep = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await sponsorCampaigns.addRewards(0, 500, 100);
+    const campaign = await campaignDetails(0);
+    expect(campaign.unallocated).to.eq(0);
+    expect(campaign.rewardsLeft).to.eq(1500);
+    expect(campaign.rewardsSum).to.eq(1500);
+
+    await Utils.evmIncreaseTime(200);
+    await addr1Caller.withdrawWithBonus(dep);
+    expect(await credited(addr1)).to.eq(1500);
+  });
+
+  it("only the deposits of the campaign's asset are rewarded", async function () {
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 100, false);
+    await deployed.connect(addr2).depositETH(50, minCommitPeriod, {value: 1000});
+    const ethDep = (await Utils.lastDepositEvent(deployed)).tokenId;
+    expect((await campaignDetails(0)).totalPoints).to.eq(0);
+    await Utils.evmIncreaseTime(200);
+    await deployed.connect(addr2).withdrawWithBonusETH(ethDep);
+    expect(await credited(addr2)).to.eq(0);
+  });
+
+  it("fails for invalid params", async function () {
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 0, 100, false))
+      .to.revertedWith("empty rewards");
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 0, false))
+      .to.revertedWith("empty campaign period");
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 1000, 4 * 365 * 86400 + 1, false))
+      .to.revertedWith("campaign period too long");
+    await expect(sponsorCampaigns.addRewards(0, 1000, 100))
+      .to.revertedWith("no such campaign");
+
+    // the rewards of a campaign are capped
+    const largeReward = await tokenContract.deploy(
+      "Large", "LRG", addr2.address, utils.parseUnits("2", 30));
+    await largeReward.connect(addr2).approve(campaigns.address, utils.parseUnits("2", 30));
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, largeReward.address, utils.parseUnits("1", 30).add(1), 100, false))
+      .to.revertedWith("too many rewards");
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, largeReward.address, utils.parseUnits("1", 30), 100, false);
+    await expect(sponsorCampaigns.addRewards(0, 1, 100))
+      .to.revertedWith("too many rewards");
+
+    await startCampaigns(deployedToken.address, 4, 100, 100);
+    await expect(campaigns.connect(addr3).startCampaign(
+      deployedToken.address, deployedReward.address, 100, 100, false))
+      .to.revertedWith("too many campaigns");
+  });
+
+  it("ended campaigns are replaced once their rewards are recorded", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, minCommitPeriod);
+    await startCampaigns(deployedToken.address, 5, 100, 100);
+    await expect(campaigns.recordRewards(0, [dep]))
+      .to.revertedWith("campaign not ended");
+    await Utils.evmIncreaseTime(200);
+    // the deposit's rewards in the ended campaigns aren't recorded yet
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 100, 100, false))
+      .to.revertedWith("too many campaigns");
+
+    // anyone can record them, deposits after the end have no rewards in the ended campaigns
+    const dep3 = await deposit(addr3Caller, 1000, 50, minCommitPeriod);
+    await campaigns.connect(addr3).recordRewards(0, [dep, dep3, dep]);
+    await expect(campaigns.releaseRewards(0, [dep]))
+      .to.revertedWith("campaign not removed");
+    await expect(sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 100, 100, false))
+      .to.emit(campaigns, "CampaignRemoved")
+      .withArgs(0, 0);
+    const campaignIds = await campaigns.campaignsOf(deployedToken.address);
+    expect(campaignIds.map((id) => id.toNumber())).to.deep.eq([4, 1, 2, 3, 5]);
+    // a removed campaign can't be restarted or recorded
+    await expect(campaigns.connect(addrs[0]).addRewards(0, 100, 100))
+      .to.revertedWith("campaign removed");
+    await expect(campaigns.recordRewards(0, [dep]))
+      .to.revertedWith("campaign removed");
+
+    // the deposit's rewards in the removed campaign are released after its withdrawal
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(100);
+    await expect(campaigns.releaseRewards(0, [dep]))
+      .to.revertedWith("deposit not withdrawn");
+    await addr1Caller.withdrawWithBonus(dep);
+    const creditedBefore = await credited(addr1);
+    await expect(campaigns.releaseRewards(0, [dep, dep3]))
+      .to.emit(campaigns, "RewardsCredited")
+      .withArgs(0, dep, addr1.address, 100);
+    expect(await credited(addr1)).to.eq(creditedBefore.add(100));
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(0);
+    // released only once
+    await campaigns.releaseRewards(0, [dep]);
+    expect(await credited(addr1)).to.eq(creditedBefore.add(100));
+  });
+
+  it("unallocated rewards of a replaced campaign are credited to its creator", async function () {
+    await startCampaigns(deployedWETH.address, 5, 100, 100);
+    // a deposit during the period can have rewards in the campaigns
+    await deployed.connect(addr1).depositETH(50, minCommitPeriod, {value: 1000});
+    const ethDep = (await Utils.lastDepositEvent(deployed)).tokenId;
+    await Utils.evmIncreaseTime(200);
+    await expect(sponsorCampaigns.startCampaign(
+      deployedWETH.address, deployedReward.address, 100, 100, false))
+      .to.revertedWith("too many campaigns");
+
+    await deployed.connect(addr1).withdrawWithBonusETH(ethDep);
+    await sponsorCampaigns.startCampaign(
+      deployedWETH.address, deployedReward.address, 100, 100, false);
+    const removed = (await campaigns.queryFilter(campaigns.filters.CampaignRemoved())).pop().args;
+    expect(removed.campaignId).to.eq(0);
+    expect(removed.unallocated).to.be.gt(0);
+    expect(await credited(addrs[0])).to.eq(removed.unallocated);
+    const creditedEvent = (await campaigns.queryFilter(campaigns.filters.RewardsCredited(0))).pop();
+    expect(removed.unallocated.add(creditedEvent.args.amount)).to.eq(100);
+  });
+
+  it("rewards in a removed campaign follow partial withdrawals and merges", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, 1000);
+    await startCampaigns(deployedToken.address, 5, 1000, 100);
+    await Utils.evmIncreaseTime(200);
+    await campaigns.recordRewards(0, [dep]);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 100, 100, false);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(1000);
+
+    // split keeps the rewards, half of the rest is withdrawn
+    await addr1Caller.split(dep, 500);
+    const newDep = (await deployed.queryFilter(deployed.filters.Split())).pop().args.newTokenId;
+    await addr1Caller.withdrawPartial(dep, 250);
+    expect(await campaigns.pendingRewards(0, dep)).to.eq(500);
+    // the rewards are released by the withdrawal of the deposit it's merged into
+    await addr1Caller.merge(newDep, dep);
+    await expect(campaigns.releaseRewards(0, [dep]))
+      .to.revertedWith("deposit not withdrawn");
+
+    await Utils.evmIncreaseTime(1000);
+    await addr1Caller.withdrawWithBonus(newDep);
+    const creatorCredited = await credited(addrs[0]);
+    await expect(campaigns.releaseRewards(0, [dep]))
+      .to.emit(campaigns, "RewardsCredited")
+      .withArgs(0, dep, addr1.address, 500)
+      .and.to.emit(campaigns, "RewardsForfeited")
+      .withArgs(0, dep, 500);
+    expect(await credited(addrs[0])).to.eq(creatorCredited.add(500));
+  });
+
+  it("rewards in a removed campaign are forfeited to its creator by early withdrawal", async function () {
+    const dep = await deposit(addr1Caller, 1000, 50, 1000);
+    await startCampaigns(deployedToken.address, 5, 1000, 100);
+    await Utils.evmIncreaseTime(200);
+    await campaigns.recordRewards(0, [dep]);
+    await sponsorCampaigns.startCampaign(
+      deployedToken.address, deployedReward.address, 100, 100, false);
+
+    await addr1Caller.withdrawWithPenalty(dep);
+    const creatorCredited = await credited(addrs[0]);
+    await expect(campaigns.releaseRewards(0, [dep]))
+      .to.emit(campaigns, "RewardsForfeited")
+      .withArgs(0, dep, 1000);
+    expect(await credited(addrs[0])).to.eq(creatorCredited.add(1000));
+    expect(await credited(addr1)).to.eq(0);
+  });
+
+  it("pool updates only by the pool", async function () {
+    await expect(campaigns.connect(addr1).updateDeposit(deployedToken.address, 1, 1000, 0))
+      .to.revertedWith("not pool");
+    await expect(campaigns.connect(addr1).removeDeposit(deployedToken.address, 1, addr1.address))
+      .to.revertedWith("not pool");
+    await expect(campaigns.connect(addr1).forfeitRewards(deployedToken.address, 1, 1, 2))
+      .to.revertedWith("not pool");
+    await expect(campaigns.connect(addr1).moveRewards(deployedToken.address, 1, 2))
+      .to.revertedWith("not pool");
+  });
+
+});
@@ -0,0 +1,695 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+const {
+  HodlPool, projectWithdrawal, estimateDeposit, poolHistory, realizedAPY, tokenSafetyWarnings,
+  queryFilterPaged, queryEvents, plainEvent, serializeEvents, deserializeEvents,
+  getAssetsInfo, accountRecords, recordsToCSV, parsePriceFile, parseBulkDeposits, bulkDepositsTotal,
+  groupBulkDeposits, penaltyAt, minAmountOut,
+} = require("@scaffold-eth/sdk");
+
+const { TestUtils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const feeTokenContractName = "FeeToken";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} sdk wrapper`, function () {
+
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+  let pool;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract, addr1 is the guardian (who can start reward campaigns)
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, addr1.address);
+
+    // wrapper using only the sdk's ABI
+    pool = HodlPool.at(deployed.address, addr1);
+  });
+
+  it("views are decoded", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 20);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+
+    const deposit = await pool.getDeposit(tokenId);
+    expect(deposit.tokenId).to.eq(tokenId);
+    expect(deposit.asset).to.eq(deployedToken.address);
+    expect(deposit.account).to.eq(addr1.address);
+    expect(deposit.balance).to.eq(1000);
+    expect(deposit.initialPenaltyPercent).to.eq(50);
+    expect(deposit.commitPeriod).to.eq(20);
+    expect(deposit.penalty).to.eq(500);
+
+    const poolState = await pool.getPool(deployedToken.address);
+    expect(poolState.depositsSum).to.eq(1000);
+    expect(poolState.totalCommitPoints).to.eq(deposit.commitPoints);
+    expect(poolState.depositsPaused).to.eq(false);
+    expect(poolState.emergencyWithdrawals).to.eq(false);
+
+    const owned = await pool.getDepositsOfOwner(addr1.address);
+    expect(owned.tokenIds.length).to.eq(1);
+    expect(owned.deposits[0].tokenId).to.eq(tokenId);
+    expect(owned.deposits[0].amount).to.eq(1000);
+  });
+
+  it("split and merge", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 20);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+
+    await expect(pool.split(tokenId, 400)).to.emit(deployed, "Split");
+    let owned = await pool.getDepositsOfOwner(addr1.address);
+    expect(owned.deposits.map((d) => d.amount.toNumber())).to.deep.eq([600, 400]);
+    expect(owned.deposits[1].time).to.eq(owned.deposits[0].time);
+
+    await expect(pool.merge(tokenId, owned.tokenIds[1])).to.emit(deployed, "Merged");
+    owned = await pool.getDepositsOfOwner(addr1.address);
+    expect(owned.deposits.map((d) => d.amount.toNumber())).to.deep.eq([1000]);
+  });
+
+  it("withdraw requires allowPenalty before commitment end", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 20);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+
+    let failed = false;
+    await pool.withdraw(tokenId).catch(() => { failed = true; });
+    expect(failed).to.eq(true);
+
+    const tx = pool.withdraw(tokenId, { allowPenalty: true });
+    await expect(tx).to.emit(deployed, "Withdrawed");
+    expect(await deployedToken.balanceOf(deployed.address)).to.gt(0);  // penalty
+  });
+
+  it("withdraw with minAmountOut uses the slippage protected methods", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 100);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+    const deposit = await pool.getDeposit(tokenId);
+    const expected = deposit.balance.sub(deposit.penalty);
+
+    // penalty only decreases with time, so the expected amount is the least amount out
+    await expect(pool.withdraw(tokenId, { allowPenalty: true, minAmountOut: expected.add(10) }))
+      .to.revertedWith("amount out too small");
+    const deadline = (await ethers.provider.getBlock("latest")).timestamp;
+    await expect(pool.withdraw(
+      tokenId, { allowPenalty: true, minAmountOut: 0, deadline: deadline - 1 }))
+      .to.revertedWith("deadline passed");
+    await expect(pool.withdraw(
+      tokenId, { allowPenalty: true, minAmountOut: minAmountOut(expected, 0.5) }))
+      .to.emit(deployed, "Withdrawed");
+    expect(minAmountOut(1000, 0.5)).to.eq(995);
+  });
+
+  it("partial withdrawal penalty matches penaltyAt", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 100);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+    const params = (await pool.getDepositsOfOwner(addr1.address)).deposits[0];
+
+    const receipt = await (await pool.withdrawPartial(tokenId, 300)).wait();
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const withdrawal = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+    expect(withdrawal.penalty).to.eq(penaltyAt({ ...params, amount: 300 }, timestamp));
+    expect((await pool.getDeposit(tokenId)).balance).to.eq(700);
+  });
+
+  it("sponsorship is added to the bonus pools", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.addBonus(deployedToken.address, 1000, 20);
+    await pool.addBonusETH(500, 100);
+    const poolState = await pool.getPool(deployedToken.address);
+    expect(poolState.holdBonusesSum).to.eq(200);
+    expect(poolState.commitBonusesSum).to.eq(800);
+    const ethPool = await pool.getPool(deployedWETH.address);
+    expect(ethPool.holdBonusesSum).to.eq(500);
+    const history = poolHistory(await pool.getPoolEvents(deployedToken.address));
+    expect(history.map((p) => p.event)).to.deep.eq(["BonusAdded"]);
+    expect(history[0].sponsorshipsSum).to.eq(1000);
+    expect(history[0].holdBonusesSum).to.eq(poolState.holdBonusesSum);
+    expect(history[0].commitBonusesSum).to.eq(poolState.commitBonusesSum);
+  });
+
+  it("reward campaign rewards are credited and claimed", async function () {
+    const rewardToken = await tokenContract.deploy(
+      "Reward", "RWD", addr1.address, utils.parseUnits("1", 18));
+    await deployedToken.connect(addr1).approve(deployed.address, 1000);
+    await pool.deposit(deployedToken.address, 1000, 50, 20);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+
+    const campaigns = await pool.getCampaignsContract();
+    await rewardToken.connect(addr1).approve(campaigns.address, 1500);
+    await pool.startCampaign(deployedToken.address, rewardToken.address, 1000, 100, false);
+    await pool.addCampaignRewards(0, 500, 100);
+    const [campaign] = await pool.getCampaigns(deployedToken.address);
+    expect(campaign.campaignId).to.eq(0);
+    expect(campaign.rewardToken).to.eq(rewardToken.address);
+    expect(campaign.commitWeighted).to.eq(false);
+    expect(campaign.rewardsSum).to.eq(1500);
+    expect(campaign.totalPoints).to.eq(1000);
+
+    await TestUtils.evmIncreaseTime(200);
+    await network.provider.send("evm_mine");
+    const [pending] = await pool.getPendingRewards(tokenId);
+    expect(pending.rewardToken).to.eq(rewardToken.address);
+    // the added rewards are streamed over the rest of the period
+    expect(pending.amount).to.be.closeTo(ethers.BigNumber.from(1500), 1);
+
+    await pool.withdraw(tokenId);
+    const credited = await campaigns.rewardsOf(addr1.address, rewardToken.address);
+    expect(credited).to.eq(pending.amount);
+    const balanceBefore = await rewardToken.balanceOf(addr1.address);
+    await pool.claimRewards(rewardToken.address);
+    expect(await rewardToken.balanceOf(addr1.address)).to.eq(balanceBefore.add(credited));
+  });
+
+  it("withdraw picks ETH method for WETH deposits", async function () {
+    await pool.depositETH(1000, 50, 10);
+    const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+    await TestUtils.evmIncreaseTime(10);
+
+    // WETH is unwrapped and sent as ETH
+    const startBalance = await ethers.provider.getBalance(deployedWETH.address);
+    await expect(pool.withdraw(tokenId)).to.emit(deployed, "Withdrawed");
+    const endBalance = await ethers.provider.getBalance(deployedWETH.address);
+    expect(startBalance.sub(endBalance)).to.eq(1000);
+  });
+
+  it("deposit estimate matches contract commit points", async function () {
+    await deployedToken.connect(addr1).approve(deployed.address, 3000);
+    await pool.deposit(deployedToken.address, 1000, 50, 20);
+    const poolBefore = await pool.getPool(deployedToken.address);
+
+    const estimate = estimateDeposit({
+      amount: 2000, initialPenaltyPercent: 30, commitPeriod: 40, pool: poolBefore });
+    await pool.deposit(deployedToken.address, 2000, 30, 40);
+    const deposit = await pool.getDeposit((await TestUtils.lastDepositEvent(deployed)).tokenId);
+    expect(estimate.commitPoints).to.eq(deposit.commitPoints);
+    expect(estimate.totalCommitPoints).to.eq(
+      (await pool.getPool(deployedToken.address)).totalCommitPoints);
+    expect(estimate.maxPenalty).to.eq(600);
+  });
+
+  describe("withdrawal projections", function () {
+    let addr2Pool;
+    let dep1;
+
+    beforeEach(async () => {
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+      addr2Pool = pool.connect(addr2);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    async function projectionInput() {
+      return {
+        deposit: (await pool.getDepositsOfOwner(addr1.address)).deposits[0],
+        pool: await pool.getPool(deployedToken.address),
+        now: (await ethers.provider.getBlock("latest")).timestamp,
+      };
+    }
+
+    async function withdrawAndProject(input, earlyExits) {
+      const receipt = await (await pool.withdraw(dep1)).wait();
+      const at = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+      const event = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      return { event, projected: projectWithdrawal({ ...input, at, earlyExits }) };
+    }
+
+    it("matches contract bonuses without early exits", async function () {
+      // fill the bonus pools and add another deposit
+      await addr2Pool.deposit(deployedToken.address, 100, 100, 20);
+      await addr2Pool.withdraw((await TestUtils.lastDepositEvent(deployed)).tokenId, { allowPenalty: true });
+      await addr2Pool.deposit(deployedToken.address, 200, 20, 10);
+
+      const input = await projectionInput();
+      expect(projectWithdrawal({ ...input, at: input.now }).penalty).to.gt(0);
+
+      await TestUtils.evmIncreaseTime(20);
+      const { event, projected } = await withdrawAndProject(input);
+      expect(projected.penalty).to.eq(0);
+      expect(projected.holdBonus).to.gt(0);
+      expect(projected.holdBonus).to.eq(event.holdBonus);
+      expect(projected.commitBonus).to.eq(event.commitBonus);
+      expect(projected.amountOut).to.eq(event.amount);
+    });
+
+    it("models other depositors' early exits", async function () {
+      await addr2Pool.deposit(deployedToken.address, 100, 100, 20);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      const input = await projectionInput();
+
+      // 100% initial penalty on 100 tokens: penalty percent equals penalty amount
+      await addr2Pool.withdraw(dep2, { allowPenalty: true });
+      const exitPenalty = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args.penalty;
+      expect(exitPenalty).to.gt(0);
+
+      await TestUtils.evmIncreaseTime(20);
+      const { event, projected } = await withdrawAndProject(
+        input, { amount: 100, penaltyPercent: exitPenalty.toNumber() });
+      expect(projected.holdBonus).to.eq(event.holdBonus);
+      expect(projected.commitBonus).to.eq(event.commitBonus);
+      expect(projected.holdBonus.add(projected.commitBonus)).to.eq(exitPenalty);
+    });
+
+  });
+
+  describe("pool history", function () {
+
+    beforeEach(async () => {
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+    });
+
+    it("reconstructs pool state from events", async function () {
+      const addr2Pool = pool.connect(addr2);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 500, 50, 20);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 300, 20, 100);
+      const dep3 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      // early withdrawal
+      await addr2Pool.withdraw(dep2, { allowPenalty: true });
+      await TestUtils.evmIncreaseTime(10);
+      // matured withdrawal and recommitment
+      await pool.withdraw(dep1);
+      await TestUtils.evmIncreaseTime(100);
+      await addr2Pool.recommit(dep3, 20, 100);
+
+      const events = await pool.getPoolEvents(deployedToken.address);
+      expect(events.map((e) => e.event)).to.deep.eq(
+        ["Deposited", "Deposited", "Deposited", "Withdrawed", "Withdrawed", "Recommitted"]);
+      events.forEach((e) => expect(e.timestamp).to.gt(0));
+
+      const history = poolHistory(events);
+      expect(history.length).to.eq(6);
+      const last = history[history.length - 1];
+      const poolState = await pool.getPool(deployedToken.address);
+      expect(last.depositsSum).to.eq(poolState.depositsSum);
+      expect(last.holdBonusesSum).to.eq(poolState.holdBonusesSum);
+      expect(last.commitBonusesSum).to.eq(poolState.commitBonusesSum);
+      expect(last.penaltiesSum).to.gt(0);
+      expect(last.depositsCount).to.eq(3);
+      expect(last.earlyWithdrawalsCount).to.eq(1);
+      expect(last.maturedWithdrawalsCount).to.eq(1);
+
+      // penalty collected at the early withdrawal
+      expect(history[3].penaltiesSum).to.eq(last.penaltiesSum);
+      expect(history[3].depositsSum).to.eq(1300);
+    });
+
+    it("deposits sum in shares for fee-on-transfer tokens", async function () {
+      const feeToken = await (await ethers.getContractFactory(feeTokenContractName)).deploy(
+        "FeeToken", "FEE", addr1.address, 10000, 10);
+      await feeToken.connect(addr1).approve(deployed.address, 2000);
+      await pool.deposit(feeToken.address, 1000, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await pool.deposit(feeToken.address, 1000, 50, 100);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await TestUtils.evmIncreaseTime(10);
+      // matured without a bonus (empty bonus pools), and an emergency withdrawal
+      await pool.withdraw(dep1);
+      await deployed.connect(addr1).setEmergencyWithdrawals(feeToken.address, true);
+      await pool.emergencyWithdraw(dep2);
+
+      const history = poolHistory(await pool.getPoolEvents(feeToken.address));
+      expect(history.map((p) => p.depositsSum.toNumber())).to.deep.eq([1000, 2000, 1000, 0]);
+      const last = history[history.length - 1];
+      expect(last.depositsSum).to.eq((await pool.getPool(feeToken.address)).depositsSum);
+      expect(last.maturedWithdrawalsCount).to.eq(1);
+      expect(last.earlyWithdrawalsCount).to.eq(0);
+    });
+
+    it("realized APY of matured withdrawals in trailing windows", async function () {
+      const addr2Pool = pool.connect(addr2);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 1000, 100, 100);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.withdraw(dep2, { allowPenalty: true });
+      await TestUtils.evmIncreaseTime(10);
+      await pool.withdraw(dep1);
+
+      const events = await pool.getPoolEvents(deployedToken.address);
+      const withdrawal = events[events.length - 1].args;
+      const now = events[events.length - 1].timestamp;
+      const apy = realizedAPY(events, now, 30);
+      // only the matured withdrawal is a sample
+      expect(apy.sampleSize).to.eq(1);
+      expect(apy.confidence).to.eq("low");
+      const bonus = withdrawal.holdBonus.add(withdrawal.commitBonus);
+      const expected = bonus.toNumber() / 1000 / withdrawal.timeHeld.toNumber() * 365 * 86400 * 100;
+      expect(apy.apyPercent).to.be.closeTo(expected, 0.001);
+
+      // outside of the window
+      const later = realizedAPY(events, now + 31 * 86400, 30);
+      expect(later.sampleSize).to.eq(0);
+      expect(later.apyPercent).to.eq(null);
+      expect(realizedAPY(events, now + 31 * 86400, 90).sampleSize).to.eq(1);
+    });
+
+    it("realized APY counts matured withdrawals without bonus", async function () {
+      const addr2Pool = pool.connect(addr2);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 1000, 100, 100);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.withdraw(dep2, { allowPenalty: true });
+      await TestUtils.evmIncreaseTime(10);
+      // the only deposit gets all of the bonus
+      await pool.withdraw(dep1);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const dep3 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await TestUtils.evmIncreaseTime(10);
+      await pool.withdraw(dep3);
+
+      const events = await pool.getPoolEvents(deployedToken.address);
+      const [w1, w3] = events.filter((e) => e.event === "Withdrawed").slice(-2).map((e) => e.args);
+      expect(w3.holdBonus.add(w3.commitBonus)).to.eq(0);
+      const now = events[events.length - 1].timestamp;
+      const apy = realizedAPY(events, now, 30);
+      // a 0% sample
+      expect(apy.sampleSize).to.eq(2);
+      const bonus = w1.holdBonus.add(w1.commitBonus).toNumber();
+      const principalTime = 1000 * w1.timeHeld.toNumber() + 1000 * w3.timeHeld.toNumber();
+      expect(apy.apyPercent).to.be.closeTo(bonus / principalTime * 365 * 86400 * 100, 0.001);
+    });
+
+    it("realized APY excludes early and emergency withdrawals", async function () {
+      const addr2Pool = pool.connect(addr2);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 600, 100, 100);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.deposit(deployedToken.address, 400, 100, 100);
+      const dep3 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await addr2Pool.withdraw(dep2, { allowPenalty: true });
+      await TestUtils.evmIncreaseTime(10);
+      await pool.withdraw(dep1);
+      // emergency withdrawal of a deposit in a pool with bonuses
+      await deployed.connect(addr1).setEmergencyWithdrawals(deployedToken.address, true);
+      await addr2Pool.emergencyWithdraw(dep3);
+
+      const events = await pool.getPoolEvents(deployedToken.address);
+      const now = events[events.length - 1].timestamp;
+      const withApy = realizedAPY(events.slice(0, -1), now, 30);
+      const apy = realizedAPY(events, now, 30);
+      expect(apy.sampleSize).to.eq(1);
+      expect(apy.apyPercent).to.eq(withApy.apyPercent);
+    });
+
+    it("ignores other assets' events", async function () {
+      await pool.depositETH(1000, 50, 10);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const history = poolHistory(await pool.getPoolEvents(deployedToken.address));
+      expect(history.length).to.eq(1);
+      expect(history[0].depositsSum).to.eq(1000);
+    });
+
+  });
+
+  describe("token safety", function () {
+
+    it("no warnings for a plain token", async function () {
+      expect(await tokenSafetyWarnings(deployedToken.address, ethers.provider)).to.deep.eq([]);
+    });
+
+    it("fee on transfer detected from deposit events", async function () {
+      const feeToken = await (await ethers.getContractFactory(feeTokenContractName)).deploy(
+        "FeeToken", "FEE", addr1.address, 10000, 10);
+      await feeToken.connect(addr1).approve(deployed.address, 1000);
+      const events = () => pool.getPoolEvents(feeToken.address);
+      // no deposits yet
+      expect(await tokenSafetyWarnings(feeToken.address, ethers.provider, { events: await events() }))
+        .to.deep.eq([]);
+
+      await pool.deposit(feeToken.address, 1000, 50, 10);
+      const warnings = await tokenSafetyWarnings(
+        feeToken.address, ethers.provider, { events: await events() });
+      expect(warnings.map((w) => w.check)).to.deep.eq(["feeOnTransfer"]);
+      expect(warnings[0].level).to.eq("warning");
+    });
+
+    it("minimal proxy detected", async function () {
+      // EIP-1167 clone of the token
+      const cloneCode = "0x3d602d80600a3d3981f3363d3d373d3d3d363d73" +
+        deployedToken.address.slice(2).toLowerCase() + "5af43d82803e903d91602b57fd5bf3";
+      const receipt = await (await owner.sendTransaction({ data: cloneCode })).wait();
+      const warnings = await tokenSafetyWarnings(receipt.contractAddress, ethers.provider);
+      expect(warnings.map((w) => w.check)).to.deep.eq(["proxy"]);
+    });
+
+    it("missing decimals detected", async function () {
+      // contract with only a STOP opcode, calls succeed without returning anything
+      const receipt = await (await owner.sendTransaction({ data: "0x600060005360016000f3" })).wait();
+      const warnings = await tokenSafetyWarnings(receipt.contractAddress, ethers.provider);
+      expect(warnings.map((w) => w.check)).to.deep.eq(["decimals"]);
+    });
+
+    it("deny and allow lists", async function () {
+      const denyList = { [deployedToken.address.toLowerCase()]: "scam" };
+      const warnings = await tokenSafetyWarnings(deployedToken.address, ethers.provider, { denyList });
+      expect(warnings.length).to.eq(1);
+      expect(warnings[0].level).to.eq("error");
+      expect(warnings[0].message).to.contain("scam");
+
+      const allowList = [deployed.address];
+      expect(await tokenSafetyWarnings(deployed.address, ethers.provider, { allowList }))
+        .to.deep.eq([]);
+    });
+
+  });
+
+  describe("event history", function () {
+
+    beforeEach(async () => {
+      await deployedToken.connect(addr1).approve(deployed.address, 3000);
+      for (const period of [10, 20, 30]) {
+        await pool.deposit(deployedToken.address, 1000, 50, period);
+      }
+    });
+
+    it("paged query matches a single query", async function () {
+      const filter = deployed.filters.Deposited(deployedToken.address);
+      const all = await deployed.queryFilter(filter);
+      const paged = await queryFilterPaged(deployed, filter, 0, "latest", { pageSize: 2 });
+      expect(paged.map((e) => e.transactionHash)).to.deep.eq(all.map((e) => e.transactionHash));
+      expect(paged.length).to.eq(3);
+    });
+
+    it("failed pages are retried", async function () {
+      let failures = 1;
+      const flaky = {
+        provider: deployed.provider,
+        queryFilter: (...args) => failures-- > 0 ?
+          Promise.reject(new Error("range too large")) : deployed.queryFilter(...args),
+      };
+      const filter = deployed.filters.Deposited();
+      const events = await queryFilterPaged(flaky, filter, 0, "latest", { retryDelay: 0 });
+      expect(events.length).to.eq(3);
+
+      failures = 2;
+      const error = await queryFilterPaged(flaky, filter, 0, "latest", { retries: 1, retryDelay: 0 })
+        .catch((e) => e);
+      expect(error.message).to.eq("range too large");
+    });
+
+    it("events of several filters without duplicates and serialized", async function () {
+      const tokenId = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await deployed.connect(addr1).transferFrom(addr1.address, addr1.address, tokenId);
+      const events = await queryEvents(deployed, [
+        ["Deposited", [null, addr1.address]],
+        ["Transfer", [addr1.address]],
+        ["Transfer", [null, addr1.address]],
+      ], 0, "latest");
+      // 3 deposits with their mints, and one transfer that matches both transfer filters
+      expect(events.map((e) => e.event)).to.deep.eq(
+        ["Transfer", "Deposited", "Transfer", "Deposited", "Transfer", "Deposited", "Transfer"]);
+      events.forEach((e) => expect(e.timestamp).to.gt(0));
+
+      const cached = deserializeEvents(serializeEvents(events.map(plainEvent)));
+      expect(cached.length).to.eq(events.length);
+      expect(cached[1].args.amount).to.eq(1000);
+      expect(cached[1].args.tokenId).to.eq(events[1].args.tokenId);
+      expect(cached[6].args.tokenId).to.eq(tokenId);
+      expect(poolHistory(cached)).to.deep.eq(poolHistory(events));
+    });
+
+  });
+
+  describe("accounting records", function () {
+
+    it("rows of deposits, withdrawals and recommits with formatted amounts", async function () {
+      const amount = utils.parseUnits("0.1", 18);
+      await deployedToken.connect(addr1).approve(deployed.address, amount.mul(2));
+      await pool.deposit(deployedToken.address, amount, 50, 10);
+      const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await pool.deposit(deployedToken.address, amount, 100, 100);
+      const dep2 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+      await pool.withdraw(dep2, { allowPenalty: true });
+      await TestUtils.evmIncreaseTime(10);
+      await pool.recommit(dep1, 50, 10);
+      await TestUtils.evmIncreaseTime(86400);
+      await pool.withdraw(dep1);
+
+      const events = await queryEvents(deployed, ["Deposited", "Withdrawed", "Recommitted"].map(
+        (name) => [name, [null, addr1.address]]), 0, "latest");
+      const assets = await getAssetsInfo(events.map((e) => e.args.asset), ethers.provider);
+      expect(assets[deployedToken.address]).to.deep.eq({ symbol: "TK1", decimals: 18 });
+
+      const rows = accountRecords(events, assets);
+      expect(rows.map((r) => r.type)).to.deep.eq(
+        ["deposit", "deposit", "early withdrawal", "recommit", "withdrawal"]);
+      expect(rows[0].amount).to.eq("0.1");
+      expect(rows[0].symbol).to.eq("TK1");
+      expect(rows[0].txHash).to.eq(events[0].transactionHash);
+      expect(rows[0].date).to.match(/^\d{4}-\d{2}-\d{2}$/);
+      const penalty = utils.parseUnits(rows[2].penalty, 18);
+      expect(penalty.add(utils.parseUnits(rows[2].amount, 18))).to.eq(amount);
+      // the penalty is the recommitted deposit's bonus
+      const bonus = utils.parseUnits(rows[3].holdBonus, 18).add(utils.parseUnits(rows[3].commitBonus, 18));
+      expect(bonus).to.eq(penalty);
+      expect(rows[3].amount).to.eq("0.0");
+      expect(utils.parseUnits(rows[3].principal, 18)).to.eq(amount.add(bonus));
+      expect(rows[4].amount).to.eq(rows[3].principal);
+      expect(parseFloat(rows[4].holdingDays)).to.be.closeTo(1, 0.01);
+
+      const csv = recordsToCSV(rows).split("\n");
+      expect(csv[0]).to.eq("date,timestamp,txHash,type,symbol,asset,amount,principal," +
+        "penalty,holdBonus,commitBonus,holdingDays");
+      expect(csv.length).to.eq(rows.length + 2);  // with a trailing newline
+    });
+
+    it("fiat values from a prices file", async function () {
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await pool.deposit(deployedToken.address, 1000, 50, 10);
+      const events = await queryEvents(deployed, [["Deposited", [null, addr1.address]]], 0, "latest");
+      const date = new Date(events[0].timestamp * 1000).toISOString().split("T")[0];
+      // 1 unit of a token with 3 decimals
+      const assets = { [deployedToken.address]: { symbol: "TK1", decimals: 3 } };
+
+      for (const file of [
+        `date,symbol,price\n${date},tk1,2.5\n`,
+        JSON.stringify({ TK1: { [date]: 2.5 } }),
+      ]) {
+        const rows = accountRecords(events, assets, parsePriceFile(file));
+        expect(rows[0].fiatPrice).to.eq(2.5);
+        expect(rows[0].fiatValue).to.eq(2.5);
+        expect(recordsToCSV(rows).split("\n")[0]).to.match(/,fiatPrice,fiatValue$/);
+      }
+      // unknown date or symbol
+      const rows = accountRecords(events, assets, parsePriceFile("date,symbol,price\n2000-01-01,TK1,1"));
+      expect(rows[0].fiatValue).to.eq("");
+      expect(() => parsePriceFile("day,symbol,price")).to.throw("date");
+    });
+
+  });
+
+  describe("bulk deposits", function () {
+
+    it("parsed CSV deposits can be submitted with depositFor", async function () {
+      const csv = "beneficiary, amount, penalty, days\n" +
+        `${addr2.address},0.5,50,10\n` +
+        "\n" +
+        `${addrs[0].address},0.25,20,0.5\n`;
+      const { deposits, errors } = parseBulkDeposits(csv, 18);
+      expect(errors).to.deep.eq([]);
+      expect(deposits.length).to.eq(2);
+      expect(deposits[1]).to.deep.eq({
+        line: 4,
+        account: addrs[0].address,
+        amount: utils.parseUnits("0.25", 18),
+        initialPenaltyPercent: 20,
+        commitPeriod: 43200,
+      });
+
+      await deployedToken.connect(addr1).approve(deployed.address, bulkDepositsTotal(deposits));
+      for (const d of deposits) {
+        await pool.depositFor(
+          d.account, deployedToken.address, d.amount, d.initialPenaltyPercent, d.commitPeriod);
+      }
+      const owned = await pool.getDepositsOfOwner(addrs[0].address);
+      expect(owned.tokenIds.length).to.eq(1);
+      const deposit = await pool.getDeposit(owned.tokenIds[0]);
+      expect(deposit.balance).to.eq(utils.parseUnits("0.25", 18));
+      expect(deposit.commitPeriod).to.eq(43200);
+    });
+
+    it("grouped deposits can be submitted with depositForMany", async function () {
+      const csv = "beneficiary,amount,penalty,days\n" +
+        `${addr2.address},0.5,50,10\n` +
+        `${addrs[0].address},0.25,20,0.5\n` +
+        `${addrs[1].address},0.125,50,10\n`;
+      const groups = groupBulkDeposits(parseBulkDeposits(csv, 18).deposits);
+      expect(groups.map((g) => g.deposits.map((d) => d.line))).to.deep.eq([[2, 4], [3]]);
+      expect(groups[0].commitPeriod).to.eq(864000);
+
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("0.875", 18));
+      for (const group of groups) {
+        await pool.depositForMany(
+          group.deposits.map((d) => d.account), deployedToken.address,
+          group.deposits.map((d) => d.amount), group.initialPenaltyPercent, group.commitPeriod);
+      }
+      const owned = await pool.getDepositsOfOwner(addrs[1].address);
+      expect((await pool.getDeposit(owned.tokenIds[0])).balance).to.eq(utils.parseUnits("0.125", 18));
+
+      await pool.depositETHForMany([addr2.address, addrs[0].address], [1000, 2000], 50, 10);
+      const WETH = await pool.getWETHAddress();
+      expect((await pool.getPool(WETH)).depositsSum).to.eq(3000);
+    });
+
+    it("invalid rows are reported with line numbers", async function () {
+      const csv = "beneficiary,amount,penalty,days\n" +
+        "someone.eth,1,50,10\n" +
+        "0x123,0,50,10\n" +
+        `${addr2.address},1,101,-1\n`;
+      const { deposits, errors } = parseBulkDeposits(csv, 18);
+      expect(deposits.map((d) => d.account)).to.deep.eq(["someone.eth"]);
+      expect(errors).to.deep.eq([
+        'line 3: invalid beneficiary "0x123", invalid amount "0"',
+        'line 4: invalid penalty "101", invalid days "-1"',
+      ]);
+      expect(parseBulkDeposits("address,amount\n", 18).errors).to.deep.eq(
+        ["missing columns: beneficiary, penalty, days"]);
+    });
+
+  });
+
+});
@@ -45,7 +45,7 @@ describe(`${contractName} tokens: advanced logic`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("commitment params: first deposit", function () {
@@ -362,8 +362,8 @@ describe(`${contractName} tokens: advanced logic`, function () {
       await addr2TokenCaller.approve(deployed.address, utils.parseUnits("0.5", 18));        
       // deposit and withdraw to have bonus in the pool
       period1 = 20;
-      // tweak the deposit to have penalty of 1000 exactly for easy calc
-      await addr1Caller.deposit(deployedToken.address, 1001, 100, 365 * 86400);
+      // tweak the deposit to have penalty of 1000 exactly for easy calc (rounded up)
+      await addr1Caller.deposit(deployedToken.address, 1000, 100, 365 * 86400);
       const dep0 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
       await addr1Caller.withdrawWithPenalty(dep0);
       // deposit and hold
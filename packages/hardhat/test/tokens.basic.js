@@ -44,7 +44,7 @@ describe(`${contractName} tokens: basic logic`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("tokens: single account deposits & withdrawals", function () {
@@ -189,7 +189,7 @@ describe(`${contractName} tokens: basic logic`, function () {
 
     it("smaller initial penalty accounting", async function () {
       const penaltyPercent = 10
-      deployed = await contract.deploy(penaltyPercent, minCommitPeriod, deployedWETH.address);
+      deployed = await contract.deploy(penaltyPercent, minCommitPeriod, deployedWETH.address, ethers.constants.AddressZero);
       addr1Caller = deployed.connect(addr1);
       const dep = 1000;
       await addr1TokenCaller.approve(deployed.address, dep);
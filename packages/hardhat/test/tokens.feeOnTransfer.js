@@ -46,7 +46,7 @@ describe(`${contractName} fee-on-transfer tokens`, function () {
 
     // deploy contract
     contract = await ethers.getContractFactory(contractName);
-    deployed = await contract.deploy(...deployArgs, deployedWETH.address);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
   });
 
   describe("single account deposits & withdrawals", function () {
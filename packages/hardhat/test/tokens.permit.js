@@ -0,0 +1,161 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+const { HodlPool, supportsPermit, signPermit } = require("@scaffold-eth/sdk");
+
+const { TestUtils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const permitTokenContractName = "PermitToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} tokens: deposit with permit`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+
+  let contract;
+  let tokenContract;
+  let permitTokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedPermitToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+  let addr1Caller;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+
+    // deploy tokens
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+    permitTokenContract = await ethers.getContractFactory(permitTokenContractName);
+    deployedPermitToken = await permitTokenContract.deploy(
+      "PermitToken", "PTK", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+
+    addr1Caller = deployed.connect(addr1);
+  });
+
+  async function deadlineIn(seconds) {
+    return (await ethers.provider.getBlock("latest")).timestamp + seconds;
+  }
+
+  it("permit support detection", async function () {
+    expect(await supportsPermit(
+      deployedPermitToken.address, ethers.provider, addr1.address)).to.eq(true);
+    expect(await supportsPermit(
+      deployedToken.address, ethers.provider, addr1.address)).to.eq(false);
+    expect(await supportsPermit(
+      deployedWETH.address, ethers.provider, addr1.address)).to.eq(false);
+  });
+
+  it("deposit without approve", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    const tx = addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s);
+    await expect(tx).to.emit(deployed, "Deposited");
+
+    const dep1 = (await TestUtils.lastDepositEvent(deployed)).tokenId;
+    const state = await TestUtils.depositDetails(deployed, dep1);
+    expect(state.account).to.eq(addr1.address);
+    expect(state.balance).to.eq(1000);
+    expect(await deployedPermitToken.balanceOf(deployed.address)).to.eq(1000);
+    // permit allowance was fully used
+    expect(await deployedPermitToken.allowance(addr1.address, deployed.address)).to.eq(0);
+  });
+
+  it("deposit if the permit was already used", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    // anyone can submit the signature first (e.g. front-running from the mempool)
+    await deployedPermitToken.connect(addr2).permit(
+      addr1.address, deployed.address, 1000, permit.deadline, permit.v, permit.r, permit.s);
+    const tx = addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s);
+    await expect(tx).to.emit(deployed, "Deposited");
+    expect(await deployedPermitToken.balanceOf(deployed.address)).to.eq(1000);
+    // but not if the allowance was used in the meantime
+    await expect(addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.revertedWith("invalid signature");
+  });
+
+  it("deposit via sdk", async function () {
+    const pool = HodlPool.at(deployed.address, addr1);
+    await expect(pool.depositWithPermit(deployedPermitToken.address, 1000, 50, 20))
+      .to.emit(deployed, "Deposited");
+    expect(await deployedPermitToken.balanceOf(deployed.address)).to.eq(1000);
+  });
+
+  it("commitment params are validated", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    await expect(addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 1000, 101, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.revertedWith("100%");
+  });
+
+  it("fails for a different amount than signed", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    await expect(addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 2000, 50, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.revertedWith("invalid signature");
+  });
+
+  it("fails for another sender", async function () {
+    await deployedPermitToken.connect(addr1).transfer(addr2.address, 1000);
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    await expect(deployed.connect(addr2).depositWithPermit(
+      deployedPermitToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.revertedWith("invalid signature");
+  });
+
+  it("fails after deadline", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(5));
+    await TestUtils.evmIncreaseTime(10);
+    await expect(addr1Caller.depositWithPermit(
+      deployedPermitToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.revertedWith("expired deadline");
+  });
+
+  it("fails for token without permit", async function () {
+    const permit = await signPermit(
+      addr1, deployedPermitToken.address, deployed.address, 1000, await deadlineIn(100));
+    await expect(addr1Caller.depositWithPermit(
+      deployedToken.address, 1000, 50, 20, permit.deadline, permit.v, permit.r, permit.s))
+      .to.be.reverted;
+  });
+
+  it("permit token works with approve flow", async function () {
+    await deployedPermitToken.connect(addr1).approve(deployed.address, 1000);
+    await expect(addr1Caller.deposit(deployedPermitToken.address, 1000, 50, 20))
+      .to.emit(deployed, "Deposited");
+  });
+
+});
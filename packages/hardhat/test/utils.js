@@ -1,4 +1,5 @@
 const { ethers, network, config } = require("hardhat");
+const { decodeDepositDetails, decodePoolDetails } = require("@scaffold-eth/sdk");
 
 class TestUtils {
     
@@ -10,36 +11,14 @@ class TestUtils {
         }
     }
 
-    // all contract views in a single object
+    // decoded deposit details view
     static async depositDetails(contract, depositId) {
-        const depositDetails = await contract.depositDetails(depositId);
-        const numToAddress = (v) => ethers.utils.getAddress(`0x${v.toHexString().slice(-40)}`);
-        return {
-            asset: numToAddress(depositDetails[0]),
-            account: numToAddress(depositDetails[1]),
-            balance: depositDetails[2],
-            timeLeftToHold: depositDetails[3],
-            penalty: depositDetails[4],
-            holdBonus: depositDetails[5],
-            commitBonus: depositDetails[6],
-            holdPoints: depositDetails[7],
-            commitPoints: depositDetails[8],
-            initialPenaltyPercent: depositDetails[9],
-            currentPenaltyPercent: depositDetails[10],
-            commitPeriod: depositDetails[11],
-        }
+        return decodeDepositDetails(await contract.depositDetails(depositId));
     }
 
-    // all contract views in a single object
+    // decoded pool details view
     static async poolDetails(contract, tokenContract) {
-        const poolDetails = await contract.poolDetails(tokenContract.address);
-        return {
-            depositsSum: poolDetails[0],
-            holdBonusesSum: poolDetails[1],
-            commitBonusesSum: poolDetails[2],
-            totalHoldPoints: poolDetails[3],
-            totalCommitPoints: poolDetails[4],
-        }
+        return decodePoolDetails(await contract.poolDetails(tokenContract.address));
     }
 
     // all contract views in a single object
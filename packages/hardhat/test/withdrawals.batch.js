@@ -0,0 +1,156 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} withdrawals: batch`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("tokens", function () {
+    let addr1Caller;
+    let addr2Caller;
+    let dep1;
+    let dep2;
+    let dep3;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      addr2Caller = deployed.connect(addr2);
+      await deployedToken.connect(addr1).approve(deployed.address, utils.parseUnits("1", 18));
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+      // add some bonus to the pool
+      await addr2Caller.deposit(deployedToken.address, 1000, 100, 1000);
+      await addr2Caller.withdrawWithPenalty((await Utils.lastDepositEvent(deployed)).tokenId);
+      // deposits
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr1Caller.deposit(deployedToken.address, 2000, 20, minCommitPeriod);
+      dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr1Caller.deposit(deployedToken.address, 3000, 50, minCommitPeriod * 10);
+      dep3 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("withdraws all matured with bonus", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const tx = addr1Caller.withdrawWithBonusBatch([dep1, dep2]);
+      await expect(tx).to.emit(deployed, "Withdrawed");
+      expect(await deployed.balanceOf(addr1.address)).to.eq(1);
+      expect(await deployed.ownerOf(dep3)).to.eq(addr1.address);
+
+      const events = (await deployed.queryFilter(deployed.filters.Withdrawed())).slice(-2);
+      expect(events.length).to.eq(2);
+      for (const event of events) {
+        expect(event.args.penalty).to.eq(0);
+        expect(event.args.holdBonus.add(event.args.commitBonus)).to.gt(0);
+      }
+      // only the not matured deposit remains
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(3000);
+    });
+
+    it("fails if any deposit not matured", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr1Caller.withdrawWithBonusBatch([dep1, dep3]))
+        .to.revertedWith("cannot withdraw without penalty yet");
+      expect(await deployed.balanceOf(addr1.address)).to.eq(3);
+    });
+
+    it("fails if any deposit not owned", async function () {
+      await addr1Caller.transferFrom(addr1.address, addr2.address, dep2);
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr1Caller.withdrawWithBonusBatch([dep1, dep2]))
+        .to.revertedWith("not deposit owner");
+    });
+
+    it("transfers the sum of withdrawed amounts", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const res = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        async () => await addr1Caller.withdrawWithBonusBatch([dep1, dep2]),
+      );
+      const events = (await deployed.queryFilter(deployed.filters.Withdrawed())).slice(-2);
+      expect(res.delta).to.eq(events[0].args.amount.add(events[1].args.amount));
+      expect(res.delta).to.gt(3000);
+    });
+
+  });
+
+  describe("ETH", function () {
+    let addr1Caller;
+    let dep1;
+    let dep2;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await addr1Caller.depositETH(50, minCommitPeriod, {value: 1000});
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr1Caller.depositETH(50, minCommitPeriod, {value: 2000});
+      dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("withdraws all matured as ETH", async function () {
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      const startBalance = await ethers.provider.getBalance(deployedWETH.address);
+      await addr1Caller.withdrawWithBonusBatchETH([dep1, dep2]);
+      const endBalance = await ethers.provider.getBalance(deployedWETH.address);
+      expect(startBalance.sub(endBalance)).to.eq(3000);
+      expect(await deployed.balanceOf(addr1.address)).to.eq(0);
+    });
+
+    it("cannot withdraw token deposits as ETH", async function () {
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, minCommitPeriod);
+      const dep3 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await Utils.evmIncreaseTime(minCommitPeriod);
+      await expect(addr1Caller.withdrawWithBonusBatchETH([dep1, dep3]))
+        .to.revertedWith("not an ETH / WETH deposit");
+    });
+
+  });
+
+});
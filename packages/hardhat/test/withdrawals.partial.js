@@ -0,0 +1,181 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} withdrawals: partial`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+  
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+    
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("tokens", function () {
+    let addr1Caller;
+    let dep1;
+    const period = 100;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, period);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("penalty only for the withdrawn part", async function () {
+      const res = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        async () => await expect(addr1Caller.withdrawPartial(dep1, 400))
+          .to.emit(deployed, "PartiallyWithdrawed")
+          .withArgs(deployedToken.address, addr1.address, dep1, 600),
+      );
+      const w = res.lastEvent;
+      expect(w.depositAmount).to.eq(400);
+      // 50% of 400 for almost the whole commitment period
+      expect(w.penalty).to.lte(200);
+      expect(w.penalty).to.gte(195);
+      expect(w.amount).to.eq(res.delta);
+      expect(w.amount.add(w.penalty)).to.eq(400);
+      expect(w.holdBonus.add(w.commitBonus)).to.eq(0);
+    });
+
+    it("rest of the deposit keeps its commitment", async function () {
+      const before = (await Utils.depositsOfOwner(deployed, addr1)).params[0];
+      await addr1Caller.withdrawPartial(dep1, 400);
+      const after = (await Utils.depositsOfOwner(deployed, addr1)).params[0];
+      expect(after.amount).to.eq(600);
+      expect(after.time).to.eq(before.time);
+      expect(after.initialPenaltyPercent).to.eq(50);
+      expect(after.commitPeriod).to.eq(period);
+      expect(await deployed.ownerOf(dep1)).to.eq(addr1.address);
+
+      // penalty went to the bonus pools and the pool's points are the deposit's
+      await Utils.evmIncreaseTime(10);
+      const penalty = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args.penalty;
+      const state = await Utils.getState(deployed, deployedToken, dep1);
+      expect(state.depositsSum).to.eq(600);
+      expect(state.holdBonusesSum.add(state.commitBonusesSum)).to.eq(penalty);
+      expect(state.totalHoldPoints).to.eq(state.holdPoints);
+      expect(state.totalCommitPoints).to.eq(state.commitPoints);
+    });
+
+    it("rest of the deposit can be withdrawn with the bonus", async function () {
+      await addr1Caller.withdrawPartial(dep1, 400);
+      const penalty = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args.penalty;
+      await Utils.evmIncreaseTime(period);
+      await addr1Caller.withdrawWithBonus(dep1);
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      // the only deposit gets all of the bonus (up to rounding)
+      expect(w.amount).to.lte(penalty.add(600));
+      expect(w.amount).to.gte(penalty.add(600).sub(1));
+
+      const pool = await Utils.poolDetails(deployed, deployedToken);
+      expect(pool.depositsSum).to.eq(0);
+      expect(pool.totalHoldPoints).to.eq(0);
+      expect(pool.totalCommitPoints).to.eq(0);
+    });
+
+    it("several partial withdrawals", async function () {
+      await addr1Caller.withdrawPartial(dep1, 100);
+      await addr1Caller.withdrawPartial(dep1, 100);
+      await addr1Caller.withdrawPartial(dep1, 100);
+      const events = await deployed.queryFilter(deployed.filters.PartiallyWithdrawed());
+      expect(events.map((e) => e.args.amountLeft.toNumber())).to.eql([900, 800, 700]);
+      expect((await Utils.depositDetails(deployed, dep1)).balance).to.gte(700);
+    });
+
+    it("penalty of small parts is rounded up", async function () {
+      // 50% of 1 or of 3 for almost the whole commitment period
+      await addr1Caller.withdrawPartial(dep1, 1);
+      let w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.penalty).to.eq(1);
+      expect(w.amount).to.eq(0);
+      await addr1Caller.withdrawPartial(dep1, 3);
+      w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.penalty).to.eq(2);
+      expect(w.amount).to.eq(1);
+    });
+
+    it("fails for invalid amounts", async function () {
+      await expect(addr1Caller.withdrawPartial(dep1, 0)).to.revertedWith("invalid partial amount");
+      await expect(addr1Caller.withdrawPartial(dep1, 1000)).to.revertedWith("invalid partial amount");
+    });
+
+    it("fails after commitment period", async function () {
+      await Utils.evmIncreaseTime(period);
+      await expect(addr1Caller.withdrawPartial(dep1, 400))
+        .to.revertedWith("commitment period is over, use withdrawWithBonus()");
+    });
+
+    it("fails if not owner", async function () {
+      await expect(deployed.connect(addr2).withdrawPartial(dep1, 400))
+        .to.revertedWith("not deposit owner");
+      await expect(addr1Caller.withdrawPartialETH(dep1, 400))
+        .to.revertedWith("not an ETH / WETH deposit");
+    });
+
+  });
+
+  describe("ETH", function () {
+    let addr1Caller;
+    let dep1;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await addr1Caller.depositETH(50, 100, {value: 1000});
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("withdraws part as ETH", async function () {
+      const startBalance = await ethers.provider.getBalance(deployedWETH.address);
+      await addr1Caller.withdrawPartialETH(dep1, 400);
+      const endBalance = await ethers.provider.getBalance(deployedWETH.address);
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(startBalance.sub(endBalance)).to.eq(w.amount);
+      expect(w.amount.add(w.penalty)).to.eq(400);
+      expect((await Utils.poolDetails(deployed, deployedWETH)).depositsSum).to.eq(600);
+    });
+
+  });
+
+});
@@ -0,0 +1,216 @@
+const { ethers, network, config } = require("hardhat");
+const { use, expect } = require("chai");
+const { solidity } = require("ethereum-waffle");
+
+const { TestUtils: Utils } = require("./utils.js")
+
+const contractName = "HodlPoolV3";
+const tokenContractName = "SomeToken";
+const wethContractName = "WETH";
+const utils = ethers.utils;
+
+use(solidity);
+
+describe(`${contractName} withdrawals: slippage protection`, function () {
+
+  this.retries(3);  // some time dependant tests are flaky
+  this.timeout(4000);  // some tests are slow in isolation (several interactions)
+
+  let contract;
+  let tokenContract;
+  let WETHContract;
+  let deployed;
+  let deployedToken;
+  let deployedWETH;
+  let owner;
+  let addr1;
+  let addr2;
+  let addrs;
+
+  const minInitialPenaltyPercent = 10;
+  const minCommitPeriod = 10;
+  const deployArgs = [minInitialPenaltyPercent, minCommitPeriod];
+
+  const deadlineIn = async (seconds) =>
+    (await ethers.provider.getBlock("latest")).timestamp + seconds;
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners();
+
+    // deploy a token
+    tokenContract = await ethers.getContractFactory(tokenContractName);
+    deployedToken = await tokenContract.deploy(
+      "Token1", "TK1", addr1.address, utils.parseUnits("1", 18));
+
+    // deploy WETH
+    WETHContract = await ethers.getContractFactory(wethContractName);
+    deployedWETH = await WETHContract.deploy();
+
+    // deploy contract
+    contract = await ethers.getContractFactory(contractName);
+    deployed = await contract.deploy(...deployArgs, deployedWETH.address, ethers.constants.AddressZero);
+  });
+
+  describe("tokens", function () {
+    let addr1Caller;
+    let addr2Caller;
+    let dep1;
+    let dep2;
+    const period = 100;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      addr2Caller = deployed.connect(addr2);
+      await deployedToken.connect(addr1).transfer(addr2.address, 1000);
+      await deployedToken.connect(addr1).approve(deployed.address, 1000);
+      await deployedToken.connect(addr2).approve(deployed.address, 1000);
+      await addr1Caller.deposit(deployedToken.address, 1000, 50, period);
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await addr2Caller.deposit(deployedToken.address, 1000, 50, period);
+      dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("withdraws with bonus if the amount out is enough", async function () {
+      await addr2Caller.withdrawWithPenalty(dep2);
+      await Utils.evmIncreaseTime(period);
+      const details = await Utils.depositDetails(deployed, dep1);
+      const expected = details.balance.add(details.holdBonus).add(details.commitBonus);
+
+      await expect(addr1Caller.withdrawWithBonusMinOut(dep1, expected.add(1), await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      const res = await Utils.callCaptureEventAndBalanceToken(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        deployedToken,
+        async () => await addr1Caller.withdrawWithBonusMinOut(dep1, expected, await deadlineIn(10)),
+      );
+      expect(res.delta).to.eq(expected);
+      expect(res.lastEvent.amount).to.eq(expected);
+    });
+
+    it("amount out is the one at execution", async function () {
+      await Utils.evmIncreaseTime(period);
+      const expected = (await Utils.depositDetails(deployed, dep1)).balance;
+      // a bonus is added before the withdrawal, half of it for this deposit
+      await deployedToken.connect(addr1).approve(deployed.address, 2000);
+      await addr1Caller.addBonus(deployedToken.address, 1000, 50);
+      await addr1Caller.withdrawWithBonusMinOut(dep1, expected.add(500), await deadlineIn(10));
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.amount).to.gte(1500);
+    });
+
+    it("withdraws with penalty if the amount out is enough", async function () {
+      const details = await Utils.depositDetails(deployed, dep1);
+      // the penalty only decreases with time
+      const expected = details.balance.sub(details.penalty);
+      await expect(addr1Caller.withdrawWithPenaltyMinOut(dep1, 1000, await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      await addr1Caller.withdrawWithPenaltyMinOut(dep1, expected, await deadlineIn(10));
+      const w = (await deployed.queryFilter(deployed.filters.Withdrawed())).pop().args;
+      expect(w.amount).to.gte(expected);
+      expect(w.amount).to.lt(1000);
+    });
+
+    it("withdraws a part if the amount out is enough", async function () {
+      await expect(addr1Caller.withdrawPartialMinOut(dep1, 400, 400, await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      await expect(addr1Caller.withdrawPartialMinOut(dep1, 400, 200, await deadlineIn(10)))
+        .to.emit(deployed, "PartiallyWithdrawed")
+        .withArgs(deployedToken.address, addr1.address, dep1, 600);
+    });
+
+    it("fails after the deadline", async function () {
+      const deadline = await deadlineIn(10);
+      await Utils.evmIncreaseTime(period);
+      await expect(addr1Caller.withdrawWithBonusMinOut(dep1, 0, deadline))
+        .to.revertedWith("deadline passed");
+      await expect(addr1Caller.withdrawWithPenaltyMinOut(dep1, 0, deadline))
+        .to.revertedWith("deadline passed");
+      await expect(addr1Caller.withdrawPartialMinOut(dep1, 400, 0, deadline))
+        .to.revertedWith("deadline passed");
+      // deadline in the same block is fine
+      await network.provider.send("evm_setNextBlockTimestamp", [deadline + period + 10]);
+      await addr1Caller.withdrawWithBonusMinOut(dep1, 0, deadline + period + 10);
+    });
+
+    it("same checks as the methods without slippage protection", async function () {
+      await expect(addr1Caller.withdrawWithBonusMinOut(dep1, 0, await deadlineIn(10)))
+        .to.revertedWith("cannot withdraw without penalty yet, use withdrawWithPenalty()");
+      await expect(addr2Caller.withdrawWithPenaltyMinOut(dep1, 0, await deadlineIn(10)))
+        .to.revertedWith("not deposit owner");
+      await expect(addr1Caller.withdrawWithPenaltyETHMinOut(dep1, 0, await deadlineIn(10)))
+        .to.revertedWith("not an ETH / WETH deposit");
+    });
+
+    it("withdraws a batch if each amount out is enough", async function () {
+      await addr2Caller.transferFrom(addr2.address, addr1.address, dep2);
+      await Utils.evmIncreaseTime(period);
+      await expect(addr1Caller.withdrawWithBonusBatchMinOut(
+        [dep1, dep2], [1000, 1001], await deadlineIn(10))
+      ).to.revertedWith("amount out too small");
+      await expect(addr1Caller.withdrawWithBonusBatchMinOut(
+        [dep1, dep2], [1000], await deadlineIn(10))
+      ).to.revertedWith("tokenIds and minimums mismatch");
+      const deadline = await deadlineIn(10);
+      await Utils.evmIncreaseTime(20);
+      await expect(addr1Caller.withdrawWithBonusBatchMinOut([dep1, dep2], [1000, 1000], deadline))
+        .to.revertedWith("deadline passed");
+      await addr1Caller.withdrawWithBonusBatchMinOut([dep1, dep2], [1000, 1000], await deadlineIn(10));
+      expect(await deployed.balanceOf(addr1.address)).to.eq(0);
+    });
+
+  });
+
+  describe("ETH", function () {
+    let addr1Caller;
+    let dep1;
+    const period = 100;
+
+    beforeEach(async () => {
+      addr1Caller = deployed.connect(addr1);
+      await addr1Caller.depositETH(50, period, {value: 1000});
+      dep1 = (await Utils.lastDepositEvent(deployed)).tokenId;
+    });
+
+    it("withdraws with bonus if the amount out is enough", async function () {
+      await Utils.evmIncreaseTime(period);
+      await expect(addr1Caller.withdrawWithBonusETHMinOut(dep1, 1001, await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      const res = await Utils.callCaptureEventAndBalanceETH(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        async () => await addr1Caller.withdrawWithBonusETHMinOut(dep1, 1000, await deadlineIn(10)),
+      );
+      expect(res.lastEvent.amount).to.eq(1000);
+    });
+
+    it("withdraws with penalty and partially if the amount out is enough", async function () {
+      await expect(addr1Caller.withdrawPartialETHMinOut(dep1, 400, 400, await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      await addr1Caller.withdrawPartialETHMinOut(dep1, 400, 200, await deadlineIn(10));
+      await expect(addr1Caller.withdrawWithPenaltyETHMinOut(dep1, 600, await deadlineIn(10)))
+        .to.revertedWith("amount out too small");
+      await addr1Caller.withdrawWithPenaltyETHMinOut(dep1, 300, await deadlineIn(10));
+      expect(await deployed.balanceOf(addr1.address)).to.eq(0);
+    });
+
+    it("withdraws a batch as ETH if each amount out is enough", async function () {
+      await addr1Caller.depositETH(50, period, {value: 500});
+      const dep2 = (await Utils.lastDepositEvent(deployed)).tokenId;
+      await Utils.evmIncreaseTime(period);
+      await expect(addr1Caller.withdrawWithBonusBatchETHMinOut(
+        [dep1, dep2], [1000, 501], await deadlineIn(10))
+      ).to.revertedWith("amount out too small");
+      const res = await Utils.callCaptureEventAndBalanceETH(
+        addr1.address,
+        () => deployed.queryFilter(deployed.filters.Withdrawed()),
+        async () => await addr1Caller.withdrawWithBonusBatchETHMinOut(
+          [dep1, dep2], [1000, 500], await deadlineIn(10)),
+      );
+      expect(res.lastEvent.amount).to.eq(500);
+      expect(await deployed.balanceOf(addr1.address)).to.eq(0);
+    });
+
+  });
+
+});
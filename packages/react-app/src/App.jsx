@@ -1,13 +1,13 @@
 import WalletConnectProvider from "@walletconnect/web3-provider";
 import WalletLink from "walletlink";
-import { Alert, Button, Col, Menu, Row, Empty, Space } from "antd";
+import { Alert, Button, Col, Menu, Row, Empty, Space, Select } from "antd";
 import "antd/dist/antd.css";
-import React, { useCallback, useEffect, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useState } from "react";
 import Web3Modal from "web3modal";
 import "./App.css";
 import { Account, Faucet, GasGauge, Header, Ramp, ThemeSwitch } from "./components";
 import { INFURA_ID, NETWORK, NETWORKS, defaultNetwork, contractName } from "./constants";
-import { Transactor } from "./helpers";
+import { Transactor, deploymentOf, supportedNetworks, switchWalletNetwork } from "./helpers";
 import {
   useBalance,
   useContractLoader,
@@ -15,6 +15,7 @@ import {
   useEventListener,
   useExchangePrice,
   useGasPrice,
+  useLocalStorage,
   useOnBlock,
   useUserSigner,
 } from "./hooks";
@@ -26,9 +27,6 @@ import { HodlPoolV3UI } from "./views";
 
 const { ethers, constants } = require("ethers");
 
-/// 📡 What chain are your contracts deployed to?
-const targetNetwork = NETWORKS[defaultNetwork];
-
 // 😬 Sorry for all the console logging
 const DEBUG = true;
 const NETWORKCHECK = true;
@@ -46,16 +44,6 @@ const mainnetInfura = navigator.onLine ?
     new ethers.providers.StaticJsonRpcProvider("https://mainnet.infura.io/v3/" + INFURA_ID) : null;
 // ( ⚠️ Getting "failed to meet quorum" errors? Check your INFURA_I )
 
-// 🏠 Your local provider is usually pointed at your local blockchain
-const localProviderUrl = targetNetwork.rpcUrl;
-// as you deploy to other networks you can set REACT_APP_PROVIDER=https://dai.poa.network in packages/react-app/.env
-const localProviderUrlFromEnv = process.env.REACT_APP_PROVIDER ? process.env.REACT_APP_PROVIDER : localProviderUrl;
-if (DEBUG) console.log("🏠 Connecting to provider:", localProviderUrlFromEnv);
-const localProvider = new ethers.providers.StaticJsonRpcProvider(localProviderUrlFromEnv);
-
-// 🔭 block explorer URL
-const blockExplorer = targetNetwork.blockExplorer;
-
 // Coinbase walletLink init
 const walletLink = new WalletLink({
   appName: "coinbase",
@@ -132,6 +120,23 @@ function App(props) {
   const [injectedProvider, setInjectedProvider] = useState();
   const [address, setAddress] = useState();
 
+  /// 📡 What chain are your contracts deployed to? (switchable between the deployed networks)
+  const [targetChainId, setTargetChainId] = useLocalStorage("targetChainId", NETWORKS[defaultNetwork].chainId);
+  const targetNetwork = supportedNetworks().find((n) => n.chainId === targetChainId) || NETWORKS[defaultNetwork];
+
+  // 🏠 Your local provider is usually pointed at your local blockchain
+  // as you deploy to other networks you can set REACT_APP_PROVIDER=https://dai.poa.network in packages/react-app/.env
+  // (only used for the default network)
+  const localProviderUrl = process.env.REACT_APP_PROVIDER && targetNetwork === NETWORKS[defaultNetwork] ?
+    process.env.REACT_APP_PROVIDER : targetNetwork.rpcUrl;
+  const localProvider = useMemo(() => {
+    if (DEBUG) console.log("🏠 Connecting to provider:", localProviderUrl);
+    return new ethers.providers.StaticJsonRpcProvider(localProviderUrl);
+  }, [localProviderUrl]);
+
+  // 🔭 block explorer URL
+  const blockExplorer = targetNetwork.blockExplorer;
+
   const logoutOfWeb3Modal = async () => {
     await web3Modal.clearCachedProvider();
     if (injectedProvider && injectedProvider.provider && typeof injectedProvider.provider.disconnect == "function"){
@@ -158,7 +163,8 @@ function App(props) {
   }, [userSigner]);
 
   // You can warn the user if you would like them to be on a specific network
-  const localChainId = localProvider && localProvider._network && localProvider._network.chainId;
+  const localChainId = (localProvider && localProvider._network && localProvider._network.chainId) ||
+    targetNetwork.chainId;
   const selectedChainId =
     userSigner && userSigner.provider && userSigner.provider._network && userSigner.provider._network.chainId;
 
@@ -170,7 +176,15 @@ function App(props) {
   // Faucet Tx can be used to send funds from the faucet
   const faucetTx = Transactor(localProvider, gasPrice);
 
-  const contractsConfig = { chainId: localChainId, customAddresses: targetNetwork?.overrideAddresses };
+  // contract address from the deployments registry if it has this network
+  const deployment = deploymentOf(localChainId);
+  const contractsConfig = {
+    chainId: localChainId,
+    customAddresses: {
+      ...targetNetwork?.overrideAddresses,
+      ...(deployment ? { [contractName]: deployment.address } : {}),
+    },
+  };
 
   // Load in your local 📝 contract and read a value from it:
   const readContracts = useContractLoader(localProvider, contractsConfig);
@@ -208,49 +222,23 @@ function App(props) {
             description={
               <div>
                 You have <b>{networkSelected && networkSelected.name}</b> selected and you need to be on{" "}
-                <Button
-                  onClick={async () => {
-                    const ethereum = window.ethereum;
-                    const data = [
-                      {
-                        chainId: "0x" + targetNetwork.chainId.toString(16),
-                        chainName: targetNetwork.name,
-                        nativeCurrency: targetNetwork.nativeCurrency,
-                        rpcUrls: [targetNetwork.rpcUrl],
-                        blockExplorerUrls: [targetNetwork.blockExplorer],
-                      },
-                    ];
-                    console.log("data", data);
-
-                    // https://docs.metamask.io/guide/rpc-api.html#other-rpc-methods
-                    try {
-                      await ethereum.request({
-                        method: 'wallet_switchEthereumChain',
-                        params: [{ chainId: data[0].chainId }],
-                      });
-                    } catch (switchError) {
-                      // This error code indicates that the chain has not been added to MetaMask.
-                      if (switchError.code === 4902) {
-                        try {
-                          await ethereum.request({
-                            method: 'wallet_addEthereumChain',
-                            params: data,
-                          });
-                        } catch (addError) {
-                          // handle "add" error
-                        }
-                      }
-                      // handle other "switch" errors
-                    }
-
-                    if (tx) {
-                      console.log(tx);
-                    }
-                  }}
-                >
-                  <b>{networkLocal && networkLocal.name}</b>
-                </Button>
-                .
+                <b>{networkLocal && networkLocal.name}</b>, or switch to another network with a deployment:
+                <div>
+                  <Space wrap style={{ marginTop: 8 }}>
+                    {supportedNetworks().map((network) => (
+                      <Button
+                        key={network.chainId}
+                        type={network.chainId === selectedChainId ? "primary" : "default"}
+                        onClick={async () => {
+                          setTargetChainId(network.chainId);
+                          if (network.chainId !== selectedChainId) await switchWalletNetwork(network);
+                        }}
+                      >
+                        <b>{network.name}</b>
+                      </Button>
+                    ))}
+                  </Space>
+                </div>
               </div>
             }
             type="error"
@@ -261,8 +249,24 @@ function App(props) {
     }
   } else {
     networkDisplay = (
-      <div style={{ zIndex: -1, position: "absolute", right: 154, top: 28, padding: 16, color: targetNetwork.color }}>
-        {targetNetwork.name}
+      <div style={{ zIndex: 1, position: "absolute", right: 154, top: 28, padding: 16 }}>
+        <Select
+          value={targetNetwork.chainId}
+          onChange={async (chainId) => {
+            setTargetChainId(chainId);
+            if (selectedChainId && chainId !== selectedChainId) {
+              await switchWalletNetwork(supportedNetworks().find((n) => n.chainId === chainId));
+            }
+          }}
+          bordered={false}
+          style={{ color: targetNetwork.color, minWidth: 120 }}
+        >
+          {supportedNetworks().map((network) => (
+            <Select.Option key={network.chainId} value={network.chainId}>
+              <span style={{ color: network.color }}>{network.name}</span>
+            </Select.Option>
+          ))}
+        </Select>
       </div>
     );
   }
@@ -302,7 +306,7 @@ function App(props) {
   let faucetHint = "";
 
   if (
-    localProvider?._network?.chainId === 31337
+    localChainId === 31337
   ) {
     faucetHint = (
       <div style={{ padding: 16 }}>
@@ -354,6 +358,7 @@ function App(props) {
                 readContracts={readContracts}
                 contractName={contractName}
                 signer={userSigner}
+                mainnetProvider={mainnetProvider}
                 blockExplorer={blockExplorer}
               />
 
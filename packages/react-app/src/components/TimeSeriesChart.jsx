@@ -0,0 +1,80 @@
+import React from "react";
+
+/*
+  ~ What it does? ~
+
+  Displays one or more series of values over time as a simple SVG step chart
+  (values hold until the next point, like balances changing by events)
+
+  ~ How can I use? ~
+
+  <TimeSeriesChart
+    data={[{ timestamp: 1630000000, deposits: 1.5, bonuses: 0.1 }, ...]}
+    series={[
+      { key: "deposits", label: "Deposits", color: "#1890ff" },
+      { key: "bonuses", label: "Bonuses", color: "#52c41a" },
+    ]}
+    formatValue={(v) => v.toFixed(2)}
+  />
+
+  ~ Features ~
+
+  - timestamps are unix seconds, values are numbers
+  - hover a point to see its value and date
+*/
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = 40;
+
+export default function TimeSeriesChart({ data, series, formatValue, height = HEIGHT }) {
+  formatValue = formatValue || ((v) => v.toPrecision(3));
+  if (!data || data.length === 0) return "";
+
+  const minTime = data[0].timestamp;
+  const maxTime = Math.max(data[data.length - 1].timestamp, minTime + 1);
+  const values = data.flatMap((point) => series.map((s) => point[s.key]));
+  const maxValue = Math.max(...values, 0) || 1;
+  const minValue = Math.min(...values, 0);
+
+  const x = (timestamp) => PADDING + (timestamp - minTime) / (maxTime - minTime) * (WIDTH - 2 * PADDING);
+  const y = (value) => height - PADDING - (value - minValue) / (maxValue - minValue) * (height - 2 * PADDING);
+  const date = (timestamp) => new Date(timestamp * 1000).toISOString().split("T")[0];
+
+  // horizontal then vertical segments between points
+  const stepPath = (key) => data.map((point, i) => (i === 0 ?
+    `M ${x(point.timestamp)} ${y(point[key])}` :
+    `H ${x(point.timestamp)} V ${y(point[key])}`)).join(" ");
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} style={{ width: "100%", maxWidth: WIDTH }}>
+        <line x1={PADDING} y1={y(minValue)} x2={WIDTH - PADDING} y2={y(minValue)} stroke="#ccc" />
+        <line x1={PADDING} y1={PADDING} x2={PADDING} y2={height - PADDING} stroke="#ccc" />
+        <text x={PADDING - 4} y={y(maxValue)} fontSize="10" textAnchor="end">{formatValue(maxValue)}</text>
+        <text x={PADDING - 4} y={y(minValue)} fontSize="10" textAnchor="end">{formatValue(minValue)}</text>
+        <text x={PADDING} y={height - PADDING + 14} fontSize="10">{date(minTime)}</text>
+        <text x={WIDTH - PADDING} y={height - PADDING + 14} fontSize="10" textAnchor="end">
+          {date(maxTime)}
+        </text>
+
+        {series.map((s) => (
+          <g key={s.key}>
+            <path d={stepPath(s.key)} fill="none" stroke={s.color} strokeWidth="2" />
+            {data.map((point, i) => (
+              <circle key={i} cx={x(point.timestamp)} cy={y(point[s.key])} r="3" fill={s.color}>
+                <title>{`${s.label}: ${formatValue(point[s.key])} (${date(point.timestamp)})`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+
+      <div style={{ textAlign: "center" }}>
+        {series.map((s) => (
+          <span key={s.key} style={{ color: s.color, margin: "0 10px" }}>■ {s.label}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -18,3 +18,4 @@ export { default as TokenBalance } from "./TokenBalance";
 export { default as Wallet } from "./Wallet";
 export { default as TokenSelection } from "./TokenSelection";
 export { default as L2Bridge } from "./L2Bridge";
+export { default as TimeSeriesChart } from "./TimeSeriesChart";
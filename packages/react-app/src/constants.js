@@ -10,15 +10,26 @@ export const BLOCKNATIVE_DAPPID = "0b58206a-f3c0-4701-a62f-73c7243e8c77";
 
 export const DAI_ADDRESS = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
 
-// default network to use
+// default network to use (others with a deployment can be switched to in the app,
+// see helpers/deployments.js), can be set with REACT_APP_NETWORK in packages/react-app/.env
 // export const defaultNetwork = "localhost";
-export const defaultNetwork = "kovan";
+export const defaultNetwork = process.env.REACT_APP_NETWORK || "kovan";
 
 // deployed contract
 export const contractName = "HodlPoolV3";
 export const tokenContractName = "SomeToken";
 export const feeTokenContractName = "FeeToken";
 
+// token safety lists (addresses on any network), see tokenSafetyWarnings in the sdk
+// tokens that shouldn't be deposited: {address: reason}
+export const TOKEN_DENY_LIST = {
+  // "0x...": "known scam token",
+};
+// reviewed tokens for which the heuristic checks (fees, proxy, decimals) are skipped
+export const TOKEN_ALLOW_LIST = [
+  DAI_ADDRESS,
+];
+
 export const NETWORKS = {
   localhost: {
     name: "localhost",
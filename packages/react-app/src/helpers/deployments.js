@@ -0,0 +1,68 @@
+import { NETWORK, NETWORKS, defaultNetwork } from "../constants";
+
+/*
+  Deployments registry generated by the hardhat deploy script (published by
+  scripts/publish.js), keyed by chainId:
+    { network, address, deployBlock, WETHAddress, minInitialPenaltyPercent, minCommitPeriod, guardian }
+*/
+
+let registry = {};
+try {
+  registry = require("../contracts/deployments.js");
+} catch (e) {
+  console.log("no deployments registry, using the default network only");
+}
+
+export const DEPLOYMENTS = registry;
+
+export function deploymentOf(chainId) {
+  return DEPLOYMENTS[chainId];
+}
+
+// block from which to query the contract's events (0 if it's not in the registry)
+export function deployBlockOf(chainId, contractAddress) {
+  const deployment = DEPLOYMENTS[chainId];
+  return (deployment && deployment.address.toLowerCase() === contractAddress.toLowerCase() &&
+    deployment.deployBlock) || 0;
+}
+
+// networks (from NETWORKS) that have a deployment, the default network is always included
+export function supportedNetworks() {
+  const networks = Object.keys(DEPLOYMENTS).map((chainId) => NETWORK(parseInt(chainId))).filter(Boolean);
+  if (!networks.includes(NETWORKS[defaultNetwork])) networks.unshift(NETWORKS[defaultNetwork]);
+  return networks;
+}
+
+// asks the injected wallet (e.g. MetaMask) to switch to the network, adding it if needed
+// https://docs.metamask.io/guide/rpc-api.html#other-rpc-methods
+export async function switchWalletNetwork(network) {
+  const ethereum = window.ethereum;
+  if (!ethereum) return;
+  const data = [
+    {
+      chainId: "0x" + network.chainId.toString(16),
+      chainName: network.name,
+      nativeCurrency: network.nativeCurrency,
+      rpcUrls: [network.rpcUrl],
+      blockExplorerUrls: [network.blockExplorer],
+    },
+  ];
+  try {
+    await ethereum.request({
+      method: "wallet_switchEthereumChain",
+      params: [{ chainId: data[0].chainId }],
+    });
+  } catch (switchError) {
+    // This error code indicates that the chain has not been added to MetaMask.
+    if (switchError.code === 4902) {
+      try {
+        await ethereum.request({
+          method: "wallet_addEthereumChain",
+          params: data,
+        });
+      } catch (addError) {
+        console.log(addError);
+      }
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import { serializeEvents, deserializeEvents } from "@scaffold-eth/sdk";
+
+/*
+  IndexedDB cache of queried events (see useEventHistory), one record per key
+  (chainId, contract and account): { lastBlock, events }.
+  All failures (e.g. IndexedDB not available in private mode) are logged and
+  treated as a cache miss, so the events are just queried again.
+*/
+
+const DB_NAME = "hodl-pool-events";
+const STORE_NAME = "events";
+
+let dbPromise;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+function request(mode, fn) {
+  return openDB().then((db) => new Promise((resolve, reject) => {
+    const req = fn(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }));
+}
+
+export function eventsCacheKey(chainId, contractAddress, account) {
+  return `${chainId}:${contractAddress.toLowerCase()}:${account}`;
+}
+
+// returns { lastBlock, events } or undefined
+export async function loadCachedEvents(key) {
+  try {
+    const record = await request("readonly", (store) => store.get(key));
+    return record && { lastBlock: record.lastBlock, events: deserializeEvents(record.events) };
+  } catch (e) {
+    console.log("events cache read failed", e);
+  }
+}
+
+export async function saveCachedEvents(key, lastBlock, events) {
+  try {
+    await request("readwrite", (store) => store.put({ lastBlock, events: serializeEvents(events) }, key));
+  } catch (e) {
+    console.log("events cache write failed", e);
+  }
+}
@@ -1 +1,5 @@
 export { default as Transactor } from "./Transactor";
+export {
+  DEPLOYMENTS, deploymentOf, deployBlockOf, supportedNetworks, switchWalletNetwork,
+} from "./deployments";
+export { eventsCacheKey, loadCachedEvents, saveCachedEvents } from "./eventsCache";
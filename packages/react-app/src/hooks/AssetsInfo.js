@@ -0,0 +1,28 @@
+import { useState, useEffect } from "react";
+import { getAssetsInfo } from "@scaffold-eth/sdk";
+
+/*
+  Symbols and decimals of several ERC20 tokens (see getAssetsInfo in the sdk),
+  WETH is shown as "ETH" because ETH deposits are held as WETH.
+
+  const assets = useAssetsInfo(addresses, provider, WETHAddress)
+  assets[address]: {symbol, decimals}, or undefined while loading
+*/
+
+export function useAssetsInfo(addresses, provider, WETHAddress) {
+  const [assets, setAssets] = useState({});
+  const addressesKey = [...new Set(addresses)].sort().join();
+
+  useEffect(() => {
+    let isMounted = true;
+    if (provider && addressesKey) {
+      getAssetsInfo(addressesKey.split(","), provider).then((info) => {
+        if (info[WETHAddress]) info[WETHAddress].symbol = "ETH";
+        if (isMounted) setAssets(info);
+      }).catch((e) => console.log(e));
+    }
+    return () => { isMounted = false };
+  }, [addressesKey, provider, WETHAddress]);
+
+  return assets;
+}
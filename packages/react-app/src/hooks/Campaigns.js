@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from "react";
+import { ethers } from "ethers";
+import { REWARD_CAMPAIGNS_ABI, decodeCampaignDetails } from "@scaffold-eth/sdk";
+import useOnBlock from "./OnBlock";
+
+/*
+  Reward campaigns of an asset's pool (from the pool's RewardCampaigns contract),
+  with the rewards of the account's deposits in each one and the rewards already
+  credited to the account (that can be claimed). Updates on every block.
+
+  const { contract, campaigns } = useCampaigns(poolContract, asset, tokenIds, account)
+  campaigns: [{campaignId, ...decodeCampaignDetails, pending, credited}]
+*/
+
+export function useCampaigns(poolContract, asset, tokenIds, account) {
+  const [contract, setContract] = useState();
+  const [campaigns, setCampaigns] = useState([]);
+
+  // tokenIds array is recreated by callers, so depend on its contents
+  const idsKey = (tokenIds || []).map(id => id.toString()).join(",");
+
+  useEffect(() => {
+    let isMounted = true;
+    if (poolContract) {
+      poolContract.campaigns().then((address) => {
+        if (isMounted) {
+          setContract(new ethers.Contract(address, REWARD_CAMPAIGNS_ABI, poolContract.provider));
+        }
+      }).catch((e) => console.log(e));
+    }
+    return () => { isMounted = false };
+  }, [poolContract]);
+
+  const updateCampaigns = useCallback(
+    async () => {
+      if (!contract || !asset) {
+        setCampaigns([]);
+        return;
+      }
+      try {
+        const ids = idsKey ? idsKey.split(",") : [];
+        const campaignIds = await contract.campaignsOf(asset);
+        setCampaigns(await Promise.all(campaignIds.map(async (campaignId) => {
+          const details = decodeCampaignDetails(await contract.campaignDetails(campaignId));
+          const pending = await Promise.all(ids.map(id => contract.pendingRewards(campaignId, id)));
+          return {
+            campaignId,
+            ...details,
+            pending: pending.reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0)),
+            credited: account ?
+              await contract.rewardsOf(account, details.rewardToken) : ethers.BigNumber.from(0),
+          };
+        })));
+      } catch (e) {
+        console.log(e);
+      }
+    },
+    [contract, asset, idsKey, account],
+  );
+
+  useEffect(() => {
+    updateCampaigns();
+  }, [updateCampaigns]);
+
+  useOnBlock(contract && contract.provider, updateCampaigns);
+
+  return { contract, campaigns };
+}
@@ -0,0 +1,43 @@
+import { useState, useEffect, useCallback } from "react";
+import { decodeDepositDetails } from "@scaffold-eth/sdk";
+import useOnBlock from "./OnBlock";
+
+/*
+  Decoded depositDetails of multiple deposits, keyed by tokenId.
+  Updates on every block (so can be used for variable lists of deposits,
+  unlike calling useContractReader for each one).
+
+  const details = useDepositsDetails(contract, tokenIds)
+*/
+
+export function useDepositsDetails(contract, tokenIds) {
+  const [details, setDetails] = useState({});
+
+  // tokenIds array is recreated by callers, so depend on its contents
+  const idsKey = (tokenIds || []).map(id => id.toString()).join(",");
+
+  const updateDetails = useCallback(
+    async () => {
+      if (!contract || !idsKey) {
+        setDetails({});
+        return;
+      }
+      try {
+        const ids = idsKey.split(",");
+        const results = await Promise.all(ids.map(id => contract.depositDetails(id)));
+        setDetails(Object.fromEntries(ids.map((id, i) => [id, decodeDepositDetails(results[i])])));
+      } catch (e) {
+        console.log(e);
+      }
+    },
+    [contract, idsKey],
+  );
+
+  useEffect(() => {
+    updateDetails();
+  }, [updateDetails]);
+
+  useOnBlock(contract && contract.provider, updateDetails);
+
+  return details;
+}
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { queryEvents, plainEvent } from "@scaffold-eth/sdk";
+import { deployBlockOf, eventsCacheKey, loadCachedEvents, saveCachedEvents } from "../helpers";
+import useOnBlock from "./OnBlock";
+
+/*
+  Full event history of a contract for several filters, for providers that limit
+  the block range of log queries (see queryEvents in the sdk):
+  - starts from the contract's deploy block in the deployments registry
+  - queries in bounded block ranges (pages) with retries
+  - caches the events in IndexedDB per chain, contract and account, and on the
+    next visit only queries the blocks after the cached ones
+  - then adds new blocks' events as they come
+
+  const { events, loading } = useEventHistory(
+    contract, [["Deposited", [null, address]], ["Transfer", [address]]], address)
+
+  events are plain objects in chain order:
+    { event, blockNumber, logIndex, transactionHash, timestamp, args: { ...named args } }
+  account is part of the cache key, so it should identify the filters (e.g. the
+  filtered account, or the asset for a pool's events)
+*/
+
+export function useEventHistory(contract, filters, account, pageSize) {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // last queried block, and whether a query is running (to not overlap on fast blocks)
+  const lastBlock = useRef();
+  const querying = useRef(false);
+  const cacheKey = useRef();
+  // incremented on any change, to discard results of queries for the previous filters
+  const generation = useRef(0);
+  const eventsRef = useRef([]);
+  const filtersKey = JSON.stringify(filters);
+
+  const updateEvents = useCallback(
+    async () => {
+      if (!contract || lastBlock.current === undefined || querying.current) return;
+      const queryGeneration = generation.current;
+      querying.current = true;
+      try {
+        const toBlock = await contract.provider.getBlockNumber();
+        if (toBlock > lastBlock.current) {
+          const newEvents = await queryEvents(
+            contract, JSON.parse(filtersKey), lastBlock.current + 1, toBlock, { pageSize });
+          if (queryGeneration !== generation.current) return;
+          lastBlock.current = toBlock;
+          if (newEvents.length) {
+            eventsRef.current = eventsRef.current.concat(newEvents.map(plainEvent));
+            setEvents(eventsRef.current);
+          }
+          saveCachedEvents(cacheKey.current, toBlock, eventsRef.current);
+        }
+      } catch (e) {
+        console.log(e);
+      } finally {
+        if (queryGeneration === generation.current) querying.current = false;
+      }
+    },
+    [contract, filtersKey, pageSize],
+  );
+
+  // restart from the cache (or the deploy block) for a different contract, filters or account
+  useEffect(() => {
+    let isMounted = true;
+    const startGeneration = ++generation.current;
+    lastBlock.current = undefined;
+    querying.current = false;
+    eventsRef.current = [];
+    setEvents([]);
+    if (!contract) return () => { isMounted = false };
+
+    const start = async () => {
+      const { chainId } = await contract.provider.getNetwork();
+      cacheKey.current = eventsCacheKey(chainId, contract.address, `${account}:${filtersKey}`);
+      const cached = await loadCachedEvents(cacheKey.current);
+      if (startGeneration !== generation.current) return;
+      if (cached) {
+        eventsRef.current = cached.events;
+        setEvents(cached.events);
+        lastBlock.current = cached.lastBlock;
+      } else {
+        lastBlock.current = deployBlockOf(chainId, contract.address) - 1;
+      }
+      await updateEvents();
+    };
+    setLoading(true);
+    start().catch((e) => console.log(e)).finally(() => isMounted && setLoading(false));
+    return () => { isMounted = false };
+  }, [updateEvents, account]);
+
+  useOnBlock(contract && contract.provider, updateEvents);
+
+  return { events, loading };
+}
@@ -0,0 +1,25 @@
+import { useState, useEffect } from "react";
+import { supportsPermit } from "@scaffold-eth/sdk";
+
+/*
+  Whether an ERC20 token supports EIP-2612 permit (standard domain only),
+  so deposits can use a signature instead of a separate approve transaction.
+
+  const permitSupported = usePermitSupport(tokenAddress, provider, userAddress)
+*/
+
+export function usePermitSupport(tokenAddress, provider, userAddress) {
+  const [supported, setSupported] = useState(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    setSupported(false);
+    if (tokenAddress && provider && userAddress) {
+      supportsPermit(tokenAddress, provider, userAddress).then(
+        (result) => isMounted && setSupported(result));
+    }
+    return () => { isMounted = false };
+  }, [tokenAddress, provider, userAddress]);
+
+  return supported;
+}
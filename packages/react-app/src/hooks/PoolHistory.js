@@ -0,0 +1,21 @@
+import { useMemo } from "react";
+import { poolHistory } from "@scaffold-eth/sdk";
+import { useEventHistory } from "./EventHistory";
+
+/*
+  Time series of a pool's state, reconstructed from its Deposited / Withdrawed /
+  Recommitted / BonusAdded events (see poolHistory in the sdk). The events are queried and cached
+  by useEventHistory, so only new blocks' events are queried on next visits.
+
+  const { points, events, loading } = usePoolHistory(contract, asset)
+*/
+
+export function usePoolHistory(contract, asset) {
+  const { events, loading } = useEventHistory(
+    asset && contract,
+    ["Deposited", "Withdrawed", "Recommitted", "BonusAdded"].map((name) => [name, [asset]]),
+    `pool:${asset}`);
+
+  const points = useMemo(() => poolHistory(events), [events]);
+  return { points, events, loading };
+}
@@ -0,0 +1,33 @@
+import { useState, useEffect } from "react";
+import { tokenSafetyWarnings } from "@scaffold-eth/sdk";
+import { TOKEN_DENY_LIST, TOKEN_ALLOW_LIST } from "../constants";
+
+/*
+  Safety warnings for a token before depositing it (see tokenSafetyWarnings in the sdk):
+  deny list, fee-on-transfer (from the pool's Deposited events), proxy and decimals checks.
+
+  const warnings = useTokenSafety(tokenAddress, provider, poolEvents)
+*/
+
+export function useTokenSafety(tokenAddress, provider, events) {
+  const [warnings, setWarnings] = useState([]);
+  // only Deposited events matter, so only rerun the checks when there are new ones
+  const depositsCount = (events || []).filter((e) => e.event === "Deposited").length;
+
+  useEffect(() => {
+    let isMounted = true;
+    if (tokenAddress && provider) {
+      tokenSafetyWarnings(tokenAddress, provider, {
+        events: events || [],
+        denyList: TOKEN_DENY_LIST,
+        allowList: TOKEN_ALLOW_LIST,
+      }).then((result) => isMounted && setWarnings(result))
+        .catch((e) => console.log(e));
+    } else {
+      setWarnings([]);
+    }
+    return () => { isMounted = false };
+  }, [tokenAddress, provider, depositsCount]);
+
+  return warnings;
+}
@@ -13,6 +13,13 @@ export { default as useOnBlock } from "./OnBlock";
 export { default as usePoller } from "./Poller";
 export { default as useResolveName } from "./ResolveName";
 export { default as useTokenList } from "./TokenList";
+export { useAssetsInfo } from "./AssetsInfo";
 export { useBlockTimestamp } from "./BlockTimestamp";
+export { useCampaigns } from "./Campaigns";
+export { useDepositsDetails } from "./DepositsDetails";
+export { useEventHistory } from "./EventHistory";
+export { usePermitSupport } from "./PermitSupport";
+export { usePoolHistory } from "./PoolHistory";
+export { useTokenSafety } from "./TokenSafety";
 export { default as useUserSigner } from "./UserSigner";
 export { default as useBurnerSigner } from "./BurnerSigner";
@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { Button, List, Tag, Tooltip } from "antd";
+import { ethers } from "ethers";
+import { Address } from "../components";
+import { useAssetsInfo } from "../hooks";
+
+
+// reward campaigns of the pool (streaming another token to the pool's deposits), with
+// the rewards of the user's deposits and a claim button for the credited rewards
+export function CampaignsList({ contractState, campaignsTx }) {
+  const { contract, campaigns } = contractState.campaigns;
+  const [claiming, claimingSet] = useState(false);
+
+  const assets = useAssetsInfo(
+    campaigns.map((c) => c.rewardToken), contract?.provider, contractState.WETHAddress);
+
+  if (!campaigns.length) return "";
+
+  const now = contractState.blockTimestamp;
+
+  function formatRewards(amount, rewardToken) {
+    const info = assets[rewardToken];
+    const value = info ? parseFloat(ethers.utils.formatUnits(amount, info.decimals)) : 0;
+    return `${value.toPrecision(4)} ${info?.symbol || ""}`;
+  }
+
+  function periodString(campaign) {
+    if (!now || campaign.periodFinish <= now) return "ended";
+    const daysLeft = ((campaign.periodFinish - now) / 86400).toPrecision(2);
+    return `ends in ${daysLeft} days (${new Date(campaign.periodFinish * 1000).toLocaleString()})`;
+  }
+
+  return (
+    <div>
+      <h3>Reward campaigns</h3>
+      <List
+        size="small"
+        dataSource={campaigns}
+        renderItem={(campaign) =>
+          <List.Item
+            key={campaign.campaignId.toString()}
+            actions={campaign.credited.gt(0) ? [
+              <Button
+                type="primary"
+                loading={claiming}
+                onClick={() => {
+                  claimingSet(true);
+                  campaignsTx("claimRewards", [campaign.rewardToken], () => claimingSet(false));
+                }}>
+                Claim {formatRewards(campaign.credited, campaign.rewardToken)}
+              </Button>
+            ] : []}
+          >
+            <List.Item.Meta
+              title={<span>
+                <Address address={campaign.rewardToken} fontSize={14} />&nbsp;
+                <Tooltip title={campaign.commitWeighted ?
+                  "Pro rata to the deposits' commitment points" :
+                  "Pro rata to the deposits' amounts for the time they are held"}>
+                  <Tag color={campaign.commitWeighted ? "purple" : "blue"}>
+                    {campaign.commitWeighted ? "commitment points" : "hold points"}
+                  </Tag>
+                </Tooltip>
+              </span>}
+              description={<span>
+                {formatRewards(campaign.rewardsLeft, campaign.rewardToken)} left
+                of {formatRewards(campaign.rewardsSum, campaign.rewardToken)}, {periodString(campaign)}
+                {campaign.pending.gt(0) ?
+                  <b>, your deposits: {formatRewards(campaign.pending, campaign.rewardToken)}</b> : ""}
+              </span>}
+            />
+          </List.Item>}
+      />
+      <p className="seconary-text">
+        Campaign rewards are credited when a deposit is withdrawn without penalty, early and
+        emergency withdrawals forfeit them to the other deposits.
+      </p>
+    </div>
+  );
+}
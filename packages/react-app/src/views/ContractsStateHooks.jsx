@@ -1,7 +1,11 @@
 import { useState, useEffect } from "react";
 import { notification} from "antd";
 import { ethers } from "ethers";
-import { useContractReader, useBlockTimestamp } from "../hooks";
+import { decodeDepositDetails, decodePoolDetails, decodeTokenURI } from "@scaffold-eth/sdk";
+import {
+  useContractReader, useBlockTimestamp, useDepositsDetails, usePermitSupport, usePoolHistory,
+  useCampaigns,
+} from "../hooks";
 
 
 export class HodlPoolV3StateHooks {
@@ -27,16 +31,35 @@ export class HodlPoolV3StateHooks {
     // filter only chosen asset
     this.poolTokenIds = this.allTokenIds && this.allTokenIds.filter(
       (tokenId) => this.depositParams[tokenId]?.asset === tokenAddress);
+
+    // details of all deposits in chosen pool, and the ones that can be withdrawn with bonus
+    this.poolDepositsDetails = useDepositsDetails(contract, this.poolTokenIds);
+    this.maturedTokenIds = this.poolTokenIds && this.poolTokenIds.filter(
+      (tokenId) => this.poolDepositsDetails[tokenId]?.timeLeftToHold?.eq(0));
     
     // pool details view
     this.poolDetails = useContractReader(
       tokenAddress && contract, "poolDetails", [tokenAddress]);
-    this.depositsSum = this.poolDetails && this.poolDetails[0]; 
-    this.holdBonusesSum = this.poolDetails && this.poolDetails[1]; 
-    this.commitBonusesSum = this.poolDetails && this.poolDetails[2]; 
-    this.totalHoldPoints = this.poolDetails && this.poolDetails[3]; 
-    this.totalCommitPoints = this.poolDetails && this.poolDetails[4]; 
+    const pool = decodePoolDetails(this.poolDetails);
+    this.depositsSum = pool?.depositsSum;
+    this.holdBonusesSum = pool?.holdBonusesSum;
+    this.commitBonusesSum = pool?.commitBonusesSum;
+    this.totalHoldPoints = pool?.totalHoldPoints;
+    this.totalCommitPoints = pool?.totalCommitPoints;
     this.bonusesPool = this.holdBonusesSum?.add(this.commitBonusesSum);
+
+    // guardian flags of the pool
+    this.depositsPaused = useContractReader(
+      tokenAddress && contract, "depositsPaused", [tokenAddress]);
+    this.emergencyWithdrawals = useContractReader(
+      tokenAddress && contract, "emergencyWithdrawals", [tokenAddress]);
+
+    // pool's event history: {points, events, loading}
+    this.poolHistory = usePoolHistory(tokenAddress && contract, tokenAddress);
+
+    // reward campaigns of the pool: {contract, campaigns}, with the rewards of the
+    // account's deposits in the pool
+    this.campaigns = useCampaigns(contract, tokenAddress, this.poolTokenIds, address);
   }
 
   getDepositDetails(tokenId) {
@@ -44,19 +67,12 @@ export class HodlPoolV3StateHooks {
       tokenId && this.contract, "depositDetails", [tokenId]);
     
     // basic details
+    const decoded = decodeDepositDetails(depositDetails);
     const details = {
       depositDetails: depositDetails,
       tokenId: tokenId,
-      balance: depositDetails && depositDetails[2],
-      timeLeft: depositDetails && depositDetails[3], 
-      penalty: depositDetails && depositDetails[4], 
-      holdBonus: depositDetails && depositDetails[5], 
-      commitBonus: depositDetails && depositDetails[6], 
-      holdPoints: depositDetails && depositDetails[7], 
-      commitPoints: depositDetails && depositDetails[8], 
-      initialPenaltyPercent: depositDetails && depositDetails[9], 
-      currentPenaltyPercent: depositDetails && depositDetails[10], 
-      commitPeriod: depositDetails && depositDetails[11],
+      ...decoded,
+      timeLeft: decoded?.timeLeftToHold,
     }
 
     // add derived data
@@ -73,6 +89,22 @@ export class HodlPoolV3StateHooks {
     return details;
   }
 
+  getDepositMetadata(tokenId) {
+    const tokenURI = useContractReader(tokenId && this.contract, "tokenURI", [tokenId]);
+    return decodeTokenURI(tokenURI);
+  }
+
+  // other deposits in the pool that can be merged with this one (same time and terms)
+  mergeableTokenIds(tokenId) {
+    const params = this?.depositParams && this.depositParams[tokenId];
+    return (params && this.poolTokenIds?.filter((otherId) => {
+      const other = this.depositParams[otherId];
+      return !otherId.eq(tokenId) && other.time === params.time &&
+        other.initialPenaltyPercent === params.initialPenaltyPercent &&
+        other.commitPeriod === params.commitPeriod;
+    })) || [];
+  }
+
   depositDatetime(tokenId) {
     return this?.depositParams && this?.depositParams[tokenId]?.time ?
       (new Date(this?.depositParams[tokenId]?.time * 1000)) : null;
@@ -120,6 +152,7 @@ export class ERC20StateHooks {
       contract, "balanceOf", [userAddress], 0, null, onFail);
     this.allowance = useContractReader(
       contract, "allowance", [userAddress, spenderAddress], 0, null, onFail);
+    this.permitSupported = usePermitSupport(this.address, contract?.provider, userAddress);
 
     // notify of failure
     useEffect(() => {
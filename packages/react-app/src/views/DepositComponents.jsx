@@ -1,16 +1,22 @@
 import React, { useState, useEffect } from "react";
 import { Button, Input, Card, Row, Col, Modal, Tooltip, Divider,
-  Steps, Empty, InputNumber} from "antd";
+  Steps, Empty, InputNumber, Radio, Table, Tag, Progress, Alert, Upload} from "antd";
 import { ethers } from "ethers";
-import { LoadingOutlined, WarningTwoTone, DollarTwoTone, InfoCircleTwoTone } from "@ant-design/icons";
+import { estimateDeposit, parseBulkDeposits, bulkDepositsTotal, groupBulkDeposits } from "@scaffold-eth/sdk";
+import { LoadingOutlined, WarningTwoTone, DollarTwoTone, InfoCircleTwoTone, UploadOutlined } from "@ant-design/icons";
+import { Address, AddressInput } from "../components";
 
 
 export function NewDepositCard(
-  {contractState, contractTx, tokenTx, loading, tokenState, ethMode}
+  {contractState, contractTx, tokenTx, permitDepositTx, loading, tokenState, ethMode, depositDenied,
+    ensProvider}
 ) {
   // commitment params
   const [penalty, penaltySet] = useState();
   const [period, periodSet] = useState();
+  // deposit for the user, for someone else (beneficiary), or for many from a CSV
+  const [mode, modeSet] = useState("self");
+  const [beneficiary, beneficiarySet] = useState("");
 
   useEffect(() => {
     // set defaults when available
@@ -29,40 +35,82 @@ export function NewDepositCard(
     >
 
       {notReady ? <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No token chosen"/> :
+        contractState.depositsPaused ?
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="Deposits to this pool are paused"/> :
+        depositDenied ?
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="This token is on the deny list"/> :
         <div>
-          <CommitmentInput
-            contractState={contractState}
-            penalty={penalty}
-            period={period}
-            penaltySet={penaltySet}
-            periodSet={periodSet}
-          />
+          <Radio.Group
+            value={mode}
+            onChange={(e) => modeSet(e.target.value)}
+            optionType="button"
+            buttonStyle="solid"
+            style={{ margin: 8 }}
+          >
+            <Radio.Button value="self">For myself</Radio.Button>
+            <Radio.Button value="other">For someone else</Radio.Button>
+            <Radio.Button value="bulk">Bulk from CSV</Radio.Button>
+          </Radio.Group>
 
-          {ethMode ?
-            <DepositElementETH
-              contractState={contractState}
-              contractTx={contractTx}
-              penalty={penalty}
-              period={period}
-            />
-            :
-            <DepositElementERC20
+          {mode === "bulk" ?
+            <BulkDeposits
               contractState={contractState}
               contractTx={contractTx}
               tokenTx={tokenTx}
               tokenState={tokenState}
-              penalty={penalty}
-              period={period}
+              ethMode={ethMode}
+              ensProvider={ensProvider}
             />
-          }   
+            :
+            <div>
+              {mode === "other" ?
+                <div style={{ width: 420, margin: "8px auto" }}>
+                  <AddressInput
+                    ensProvider={ensProvider}
+                    placeholder="Beneficiary address or ENS name"
+                    value={beneficiary}
+                    onChange={beneficiarySet}
+                  />
+                </div> : ""}
+
+              <CommitmentInput
+                contractState={contractState}
+                penalty={penalty}
+                period={period}
+                penaltySet={penaltySet}
+                periodSet={periodSet}
+              />
+
+              {ethMode ?
+                <DepositElementETH
+                  contractState={contractState}
+                  contractTx={contractTx}
+                  penalty={penalty}
+                  period={period}
+                  beneficiary={mode === "other" ? beneficiary : undefined}
+                />
+                :
+                <DepositElementERC20
+                  contractState={contractState}
+                  contractTx={contractTx}
+                  tokenTx={tokenTx}
+                  permitDepositTx={permitDepositTx}
+                  tokenState={tokenState}
+                  penalty={penalty}
+                  period={period}
+                  beneficiary={mode === "other" ? beneficiary : undefined}
+                />
+              }
+            </div>
+          }
         </div>
       }
     </Card>
   );
 }
 
-function CommitmentInput(
-   { contractState, penalty, penaltySet, period, periodSet } ) 
+export function CommitmentInput(
+   { contractState, penalty, penaltySet, period, periodSet, label = "Deposit for" } ) 
 {
   const [daysValue, daysValueSet] = useState(period);
   const minPeriodSec = contractState?.minCommitPeriod?.toNumber();
@@ -85,7 +133,7 @@ function CommitmentInput(
   
   return (
     <h3>
-      Deposit for:&nbsp;
+      {label}:&nbsp;
       <InputNumber
         style={{ margin: 8, width: "8rem" }}
         size="large"
@@ -114,13 +162,21 @@ function CommitmentInput(
     </h3>)
 }
 
-function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, penalty, period }) {
+// beneficiary: address to deposit for (using depositFor), or undefined to deposit for the user
+function DepositElementERC20(
+  { contractState, contractTx, tokenState, tokenTx, permitDepositTx, penalty, period, beneficiary }
+) {
   const [amountToSend, setAmountToSend] = useState("0");
   const [depositModalVisible, setDepositModalVisible] = useState(false);
   const [depositButtonEnabled, setDepositButtonEnabled] = useState(false);
   const [approveButtonEnabled, setApproveButtonEnabled] = useState(false);
   const [approving, approvingSet] = useState(false);
   const [depositting, deposittingSet] = useState(false);
+  // tokens with permit skip the approve step by signing a permit (unless already approved),
+  // there's no permit version of depositFor
+  const permitMode = tokenState.permitSupported && beneficiary === undefined;
+  const usePermit = permitMode && approveButtonEnabled;
+  const beneficiaryValid = beneficiary === undefined || ethers.utils.isAddress(beneficiary);
 
   useEffect(() => {
     const sendAmountBig = tokenState.decimals && ethers.utils.parseUnits(amountToSend, tokenState.decimals);
@@ -134,13 +190,19 @@ function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, p
     <div style={{ margin: 8 }}>
       <Row justify="center" style={{ margin: 12 }}>
         <Col span={20}>
-          <Steps current={
-            (depositting || depositButtonEnabled) ? 2 : ((approving || approveButtonEnabled) ? 1 : 0)
-          } size="small">
-            <Steps.Step title="Set amount" />
-            <Steps.Step title="Approve" icon={approving ? <LoadingOutlined /> : null} />
-            <Steps.Step title="Deposit" icon={depositting ? <LoadingOutlined /> : null} />
-          </Steps>
+          {permitMode ?
+            <Steps current={(depositting || depositButtonEnabled || usePermit) ? 1 : 0} size="small">
+              <Steps.Step title="Set amount" />
+              <Steps.Step title="Sign & Deposit" icon={depositting ? <LoadingOutlined /> : null} />
+            </Steps>
+            :
+            <Steps current={
+              (depositting || depositButtonEnabled) ? 2 : ((approving || approveButtonEnabled) ? 1 : 0)
+            } size="small">
+              <Steps.Step title="Set amount" />
+              <Steps.Step title="Approve" icon={approving ? <LoadingOutlined /> : null} />
+              <Steps.Step title="Deposit" icon={depositting ? <LoadingOutlined /> : null} />
+            </Steps>}
         </Col>
       </Row>
 
@@ -156,7 +218,7 @@ function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, p
           />
         </Col>
 
-        <Col span={8}>
+        {permitMode ? "" : <Col span={8}>
           <Tooltip
             title={approveButtonEnabled ? `Approve ${amountToSend} ${tokenState.symbol}` : ""}
             placement="top"
@@ -180,18 +242,18 @@ function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, p
               {approveButtonEnabled ? `Approve` : "Approved"}
             </Button>
           </Tooltip>
-        </Col>
+        </Col>}
 
         <Col span={8}>
           <Button
             onClick={() => setDepositModalVisible(true)}
             type="primary"
             size="large"
-            disabled={!depositButtonEnabled || depositting}
+            disabled={!(depositButtonEnabled || usePermit) || depositting || !beneficiaryValid}
             style={{ width: "100%", textAlign: "center" }}
           >
-            {contractState?.balance?.gt(0) ?
-              "Add another deposit" : "Make a deposit"}
+            {beneficiary !== undefined ? "Deposit for beneficiary" :
+              contractState?.balance?.gt(0) ? "Add another deposit" : "Make a deposit"}
           </Button>
         </Col>
       </Row>
@@ -204,16 +266,19 @@ function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, p
           setDepositModalVisible(false);
           deposittingSet(true);
           if (amountToSend && amountToSend > 0 && tokenState.decimals) {
-            contractTx(
-              "deposit",
-              [
-                tokenState.address,
-                ethers.utils.parseUnits(amountToSend, tokenState.decimals),
-                penalty,
-                period,
-              ],
-              () => deposittingSet(false)
-            );
+            const args = [
+              tokenState.address,
+              ethers.utils.parseUnits(amountToSend, tokenState.decimals),
+              penalty,
+              period,
+            ];
+            if (beneficiary !== undefined) {
+              contractTx("depositFor", [beneficiary, ...args], () => deposittingSet(false));
+            } else if (usePermit) {
+              permitDepositTx(args, () => deposittingSet(false));
+            } else {
+              contractTx("deposit", args, () => deposittingSet(false));
+            }
           }
         }}
         onCancel={() => setDepositModalVisible(false)}>
@@ -221,14 +286,23 @@ function DepositElementERC20({ contractState, contractTx, tokenState, tokenTx, p
             contractState={contractState} 
             period={period} 
             penalty={penalty}
-            title={<h1 style={{textAlign: "center"}}>
-              Confirm deposit of {amountToSend} {tokenState.symbol}</h1>}
+            amount={tokenState.decimals && ethers.utils.parseUnits(amountToSend, tokenState.decimals)}
+            decimals={tokenState.decimals}
+            symbol={tokenState.symbol}
+            title={<div>
+              <h1 style={{textAlign: "center"}}>
+                Confirm deposit of {amountToSend} {tokenState.symbol}</h1>
+              {beneficiary !== undefined ? <BeneficiaryNote beneficiary={beneficiary} /> : ""}
+              {usePermit ? <h3 style={{textAlign: "center"}}>
+                ✍️ You will be asked to sign a permit for {amountToSend} {tokenState.symbol} (no approve
+                transaction needed)</h3> : ""}
+              </div>}
             />
       </Modal>     
     </div>)
 }
 
-function DepositElementETH({ contractState, contractTx, penalty, period }) {
+function DepositElementETH({ contractState, contractTx, penalty, period, beneficiary }) {
   const [amountToSend, setAmountToSend] = useState("0");
   const [depositModalVisible, setDepositModalVisible] = useState(false);
   const [depositButtonEnabled, setDepositButtonEnabled] = useState(false);
@@ -267,11 +341,12 @@ function DepositElementETH({ contractState, contractTx, penalty, period }) {
             onClick={() => setDepositModalVisible(true)}
             type="primary"
             size="large"
-            disabled={!depositButtonEnabled || depositting}
+            disabled={!depositButtonEnabled || depositting ||
+              (beneficiary !== undefined && !ethers.utils.isAddress(beneficiary))}
             style={{ width: "100%", textAlign: "center" }}
           >
-            {contractState?.balance?.gt(0) ?
-              "Add to deposit" : "Make a deposit"}
+            {beneficiary !== undefined ? "Deposit for beneficiary" :
+              contractState?.balance?.gt(0) ? "Add to deposit" : "Make a deposit"}
           </Button>
         </Col>
 
@@ -285,10 +360,12 @@ function DepositElementETH({ contractState, contractTx, penalty, period }) {
           setDepositModalVisible(false);
           deposittingSet(true);
           if (amountToSend && amountToSend > 0) {
-            contractTx(
-              "depositETH",
-              [penalty, period, { value: ethers.utils.parseEther(amountToSend) }],
-              () => deposittingSet(false));
+            const value = { value: ethers.utils.parseEther(amountToSend) };
+            if (beneficiary !== undefined) {
+              contractTx("depositETHFor", [beneficiary, penalty, period, value], () => deposittingSet(false));
+            } else {
+              contractTx("depositETH", [penalty, period, value], () => deposittingSet(false));
+            }
           }
         }}
         onCancel={() => setDepositModalVisible(false)}>
@@ -296,13 +373,163 @@ function DepositElementETH({ contractState, contractTx, penalty, period }) {
           contractState={contractState} 
           period={period} 
           penalty={penalty} 
-          title={<h1 style={{ textAlign: "center" }}>Confirm deposit of {amountToSend} ETH</h1>}/>
+          amount={ethers.utils.parseEther(amountToSend)}
+          decimals={18}
+          symbol="ETH"
+          title={<div>
+            <h1 style={{ textAlign: "center" }}>Confirm deposit of {amountToSend} ETH</h1>
+            {beneficiary !== undefined ? <BeneficiaryNote beneficiary={beneficiary} /> : ""}
+            </div>}/>
       </Modal>
 
     </div>)
 }
 
 
+function BeneficiaryNote({ beneficiary }) {
+  return (
+    <h3 style={{ textAlign: "center" }}>
+      🎁 For <Address address={beneficiary} fontSize={18} />: the deposit NFT will be owned by the
+      beneficiary, and only they will be able to withdraw it.
+    </h3>);
+}
+
+// deposits on behalf of many beneficiaries from a CSV (beneficiary,amount,penalty,days),
+// submitted in batches of same commitment params (after a single approve for the total)
+// with progress tracking
+function BulkDeposits({ contractState, contractTx, tokenTx, tokenState, ethMode, ensProvider }) {
+  const [text, textSet] = useState("");
+  // status by CSV line: "sending", "done" or "failed"
+  const [statuses, statusesSet] = useState({});
+  const [running, runningSet] = useState(false);
+
+  const decimals = ethMode ? 18 : tokenState.decimals;
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const { deposits, errors } = text.trim() && decimals ?
+    parseBulkDeposits(text, decimals) : { deposits: [], errors: [] };
+  const minPenalty = contractState?.minInitialPenaltyPercent?.toNumber();
+  const minPeriod = contractState?.minCommitPeriod?.toNumber();
+  const paramErrors = deposits
+    .filter((d) => d.initialPenaltyPercent < minPenalty || d.commitPeriod < minPeriod)
+    .map((d) => `line ${d.line}: below the pool's minimum penalty (${minPenalty}%) ` +
+      `or commitment period (${(minPeriod / 86400).toPrecision(2)} days)`);
+  const allErrors = errors.concat(paramErrors);
+
+  const doneCount = deposits.filter((d) => statuses[d.line] === "done").length;
+  const remaining = deposits.filter((d) => statuses[d.line] !== "done");
+  const format = (value) => ethers.utils.formatUnits(value, decimals);
+  const setStatus = (line, status) => statusesSet((prev) => ({ ...prev, [line]: status }));
+
+  const submit = async () => {
+    runningSet(true);
+    try {
+      // single approve for all the remaining deposits
+      const total = bulkDepositsTotal(remaining);
+      if (!ethMode && tokenState.allowance?.lt(total)) {
+        const approved = await tokenTx("approve", [contractState.address, total]);
+        if (!approved) return;
+      }
+      // one transaction per group of deposits with the same commitment params
+      for (const group of groupBulkDeposits(remaining)) {
+        const lines = group.deposits.map((d) => d.line);
+        lines.forEach((line) => setStatus(line, "sending"));
+        const accounts = [];
+        for (const d of group.deposits) {
+          const account = ethers.utils.isAddress(d.account) ?
+            d.account : await ensProvider?.resolveName(d.account).catch(() => null);
+          if (!account) {
+            lines.forEach((line) => setStatus(line, line === d.line ? "failed" : undefined));
+            return;
+          }
+          accounts.push(account);
+        }
+        const amounts = group.deposits.map((d) => d.amount);
+        const params = [group.initialPenaltyPercent, group.commitPeriod];
+        const result = ethMode ?
+          await contractTx(
+            "depositETHForMany", [accounts, amounts, ...params, { value: bulkDepositsTotal(group.deposits) }]) :
+          await contractTx(
+            "depositForMany", [accounts, tokenState.address, amounts, ...params]);
+        lines.forEach((line) => setStatus(line, result ? "done" : "failed"));
+        // stop on failure, so that it can be continued after fixing the cause
+        if (!result) return;
+      }
+    } finally {
+      runningSet(false);
+    }
+  };
+
+  const statusTags = {
+    sending: <Tag icon={<LoadingOutlined />} color="processing">sending</Tag>,
+    done: <Tag color="success">done</Tag>,
+    failed: <Tag color="error">failed</Tag>,
+  };
+  const columns = [
+    { title: "Line", dataIndex: "line" },
+    { title: "Beneficiary", dataIndex: "account", render: (account) =>
+      ethers.utils.isAddress(account) ? <Address address={account} fontSize={14} /> : account },
+    { title: "Amount", dataIndex: "amount", render: (amount) => `${format(amount)} ${symbol}` },
+    { title: "Penalty", dataIndex: "initialPenaltyPercent", render: (penalty) => `${penalty}%` },
+    { title: "Days", dataIndex: "commitPeriod", render: (period) => (period / 86400).toPrecision(3) },
+    { title: "Status", dataIndex: "line", render: (line) => statusTags[statuses[line]] || "" },
+  ];
+
+  return (
+    <div style={{ margin: 8 }}>
+      <Input.TextArea
+        rows={5}
+        value={text}
+        disabled={running}
+        placeholder={"beneficiary,amount,penalty,days\n0x...,1.5,50,365\nmember.eth,0.5,20,180"}
+        onChange={(e) => { textSet(e.target.value); statusesSet({}); }}
+      />
+      <Upload
+        accept=".csv,.txt"
+        showUploadList={false}
+        beforeUpload={(file) => {
+          file.text().then((content) => { textSet(content); statusesSet({}); });
+          return false;  // don't upload
+        }}
+      >
+        <Button icon={<UploadOutlined />} disabled={running} style={{ margin: 8 }}>Load CSV file</Button>
+      </Upload>
+
+      {allErrors.length ?
+        <Alert type="error" showIcon message="Invalid rows" description={
+          <ul>{allErrors.map((error) => <li key={error}>{error}</li>)}</ul>} />
+        : ""}
+
+      {deposits.length ?
+        <div>
+          <Table
+            size="small"
+            rowKey="line"
+            dataSource={deposits}
+            columns={columns}
+            pagination={{ pageSize: 10 }}
+          />
+          <Progress percent={Math.round(doneCount / deposits.length * 100)} format={() =>
+            `${doneCount} / ${deposits.length}`} />
+          <Button
+            type="primary"
+            size="large"
+            loading={running}
+            disabled={allErrors.length > 0 || !remaining.length}
+            onClick={submit}
+            style={{ margin: 8 }}
+          >
+            {doneCount > 0 && remaining.length ? "Continue with" : "Submit"} {remaining.length} deposits
+            of {format(bulkDepositsTotal(remaining))} {symbol}
+          </Button>
+          {!ethMode ? <div>
+            One approve transaction for the total, then one transaction per
+            commitment (penalty and days) for all its deposits.</div> : ""}
+        </div>
+        : ""}
+    </div>
+  );
+}
+
 function CommitTimeTooltip({ contractState }) {
   const minPeriodSec = contractState?.minCommitPeriod?.toNumber();
   return (
@@ -344,7 +571,35 @@ function PenaltyTooltip({ contractState }) {
     </Tooltip>);
 }
 
-function DepositModalContent({contractState, period, penalty, title}) {
+function DepositEstimate({contractState, period, penalty, amount, decimals, symbol}) {
+  if (!amount?.gt(0) || !decimals || !period || !penalty || !contractState?.totalCommitPoints) return "";
+
+  const estimate = estimateDeposit({
+    amount,
+    initialPenaltyPercent: penalty,
+    commitPeriod: period,
+    pool: {
+      totalCommitPoints: contractState.totalCommitPoints,
+      commitBonusesSum: contractState.commitBonusesSum,
+    },
+  });
+  const format = (val) => ethers.utils.formatUnits(val, decimals);
+
+  return (
+    <div>
+      <h2>Commit points: {
+        contractState.pointsToTokenDays(estimate.commitPoints, decimals)?.toPrecision(3)
+        } token-days ({(estimate.commitPointsShareBps.toNumber() / 100).toFixed(2)}% of&nbsp;
+        {contractState.pointsToTokenDays(estimate.totalCommitPoints, decimals)?.toPrecision(3)
+        } token-days in pool after deposit)</h2>
+      <h2>Share of current commitment bonus: {format(estimate.commitBonus)} {symbol}
+        &nbsp;(of {format(contractState.commitBonusesSum)} {symbol})</h2>
+      <h2>Maximum penalty (right after deposit): {format(estimate.maxPenalty)} {symbol}</h2>
+    </div>
+  );
+}
+
+function DepositModalContent({contractState, period, penalty, amount, decimals, symbol, title}) {
   return (
     <div>
       { title }
@@ -357,6 +612,14 @@ function DepositModalContent({contractState, period, penalty, title}) {
         contractState.secondsToCommitTimeString(period)
         }</h2>
       <h2>Chosen initial penalty <PenaltyTooltip contractState={contractState}/> : {penalty}%</h2>
+      <DepositEstimate
+        contractState={contractState}
+        period={period}
+        penalty={penalty}
+        amount={amount}
+        decimals={decimals}
+        symbol={symbol}
+      />
       <Divider />      
       <h2>
         <WarningTwoTone twoToneColor="red" />&nbsp;
@@ -1,72 +1,277 @@
-import React from "react";
-import { List, Empty } from "antd";
+import React, { useState } from "react";
+import { List, Empty, Button, Checkbox, Space, Upload, Tooltip, Select, Tag, notification } from "antd";
+import { DownloadOutlined, UploadOutlined } from "@ant-design/icons";
 import { Address } from "../components";
 import { ethers } from "ethers";
-import { useEventListener } from "../hooks";
+import { accountRecords, recordsToCSV, parsePriceFile } from "@scaffold-eth/sdk";
+import { useEventHistory, useAssetsInfo } from "../hooks";
 
+const EVENT_LABELS = {
+  Deposited: "Deposit",
+  Withdrawed: "Withdrawal",
+  Recommitted: "Recommit",
+  Split: "Split",
+  Merged: "Merge",
+  BonusAdded: "Sponsorship",
+  Transfer: "Transfer",
+};
 
-export function EventsList({ contractState, contract, address }) {
-  const depositedEvents = useEventListener(
-    contract, "Deposited", contract?.provider, 0, [null, address]);
-  const withdrawedEvents = useEventListener(
-    contract, "Withdrawed", contract?.provider, 0, [null, address]);
-  const transferFromEvents = useEventListener(
-    contract, "Transfer", contract?.provider, 0, [address, null]);
-  const transferToEvents = useEventListener(
-    contract, "Transfer", contract?.provider, 0, [null, address]);
-  const allEvents = depositedEvents
-    .concat(withdrawedEvents)
-    .concat(transferFromEvents)
-    .concat(transferToEvents)
-    .sort((a, b) => b.blockNumber - a.blockNumber);
+export function EventsList({ contractState, contract, address, blockExplorer }) {
+  const { events } = useEventHistory(address && contract, [
+    ["Deposited", [null, address]],
+    ["Withdrawed", [null, address]],
+    ["Recommitted", [null, address]],
+    ["Split", [null, address]],
+    ["Merged", [null, address]],
+    ["BonusAdded", [null, address]],
+    ["Transfer", [address, null]],
+    ["Transfer", [null, address]],
+  ], address);
+  const assets = useAssetsInfo(
+    events.map((e) => e.args.asset).filter(Boolean), contract?.provider, contractState.WETHAddress);
+
+  // filters: event types (all if none chosen) and asset (all if not chosen)
+  const [typesFilter, setTypesFilter] = useState([]);
+  const [assetFilter, setAssetFilter] = useState();
+  const items = groupTransfers(events).filter((item) =>
+    (!typesFilter.length || typesFilter.includes(item.event) ||
+      (typesFilter.includes("Transfer") && item.transfers.length > 0)) &&
+    (!assetFilter || item.args.asset === assetFilter));
 
   return (
       <List
         style={{ width: 600, margin: "auto", marginTop: 32, paddingBottom: 32, borderRadius: "20px"}}
         bordered
-        dataSource={allEvents}
-        header={<h2>Your past contract <b>events</b></h2>}
-        renderItem={(item) => {
-          let eventText = "";
-          if (item.eventName === "Transfer") {
-            if (item.from === ethers.constants.AddressZero || item.to === ethers.constants.AddressZero)
-              return;
-            eventText = (
-              <span>
-                user {<Address address={item.from} fontSize={16} />} transfered
-                to user {<Address address={item.to} fontSize={16} />}
-                tokenId #{item.tokenId.toString()}
-              </span>
-            );
-            item.account = address;
-          } else if (item.eventName === "Deposited") {
-            eventText = (
-              `you deposited ${item.amount.toString()} ` + 
-              (!item.amount.eq(item.amountReceived) ? `(received ${item.amountReceived.toString()}) ` : '') +
-              `committed to ${contractState.bigNumberSecondsToDays(item.commitPeriod)} days at ` + 
-              `${item.initialPenaltyPercent.toString()}% initial penalty`
-            );
-          } else if (item.eventName === "Withdrawed") {
-            eventText = (
-              `you withdrew ${item.amount.toString()} ` +
-              `for initial deposit of ${item.depositAmount.toString()} ` +
-              `(held for ${contractState.bigNumberSecondsToDays(item.timeHeld)} days)`
-            );
-            eventText += (item.penalty > 0) ? ` with ${item.penalty} penalty` : ''
-            eventText += (item.bonus > 0) ? ` with ${item.bonus} bonus` : ''
-          } 
-          return (
-            <List.Item key={item.blockNumber + item.eventName + item.account}>
-              {item.eventName} at block {item.blockNumber}: {eventText}. 
-              {item.asset ? <span>, asset <Address address={item.asset} fontSize={16}/></span> : ""}
-              
-            </List.Item>
-          )
-        }}
+        dataSource={items}
+        header={<Space direction="vertical">
+          <h2>Your past contract <b>events</b></h2>
+          <Space wrap>
+            <Select
+              mode="multiple"
+              allowClear
+              placeholder="All events"
+              value={typesFilter}
+              onChange={setTypesFilter}
+              style={{ minWidth: 200 }}
+            >
+              {Object.entries(EVENT_LABELS).map(([event, label]) =>
+                <Select.Option key={event} value={event}>{label}</Select.Option>)}
+            </Select>
+            <Select
+              allowClear
+              placeholder="All assets"
+              value={assetFilter}
+              onChange={setAssetFilter}
+              style={{ minWidth: 150 }}
+            >
+              {Object.entries(assets).map(([asset, info]) =>
+                <Select.Option key={asset} value={asset}>{info.symbol}</Select.Option>)}
+            </Select>
+          </Space>
+          <EventsExport
+            events={events}
+            assets={assets}
+          />
+        </Space>}
+        renderItem={(item) =>
+          <EventItem
+            item={item}
+            assets={assets}
+            contractState={contractState}
+            blockExplorer={blockExplorer}
+          />
+        }
       > 
-      { allEvents?.length > 0 ? "" : 
+      { items.length > 0 ? "" : 
         <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="You have no past events"/>
       }
       </List>);
 }
 
+// items to display (latest first): events with the transfers of a deposit's NFT grouped
+// with its Deposited event, and the transfers of deposits made by others grouped by tokenId
+// (mints and burns are not shown, they are part of deposits and withdrawals)
+function groupTransfers(events) {
+  const deposits = {};
+  const items = [];
+  events.forEach((e) => {
+    if (e.event === "Transfer") {
+      const { from, to, tokenId } = e.args;
+      if (from === ethers.constants.AddressZero || to === ethers.constants.AddressZero) return;
+      const key = tokenId.toString();
+      if (!deposits[key]) {
+        deposits[key] = { ...e, transfers: [] };
+        items.push(deposits[key]);
+      }
+      deposits[key].transfers.push(e);
+    } else {
+      const item = { ...e, transfers: [] };
+      if (e.event === "Deposited") deposits[e.args.tokenId.toString()] = item;
+      items.push(item);
+    }
+  });
+  return items.reverse();
+}
+
+function EventItem({ item, assets, contractState, blockExplorer }) {
+  const args = item.args;
+  const asset = assets[args.asset];
+  const format = (value) => asset ?
+    `${parseFloat(ethers.utils.formatUnits(value, asset.decimals)).toLocaleString(
+      undefined, { maximumFractionDigits: 6 })} ${asset.symbol}` :
+    value.toString();
+  const days = (seconds) => `${contractState.bigNumberSecondsToDays(seconds)} days`;
+  const commitment = `committed for ${days(args.commitPeriod)} at ` +
+    `${args.initialPenaltyPercent?.toString()}% initial penalty`;
+
+  let title;
+  let text;
+  if (item.event === "Deposited") {
+    title = `Deposit #${args.tokenId.toString()}`;
+    text = `Deposited ${format(args.amount)}` +
+      (!args.amount.eq(args.amountReceived) ? ` (pool received ${format(args.amountReceived)})` : "") +
+      `, ${commitment}`;
+  } else if (item.event === "Withdrawed") {
+    const bonus = args.holdBonus.add(args.commitBonus);
+    title = args.penalty.gt(0) ? "Early withdrawal" : "Withdrawal";
+    text = `Withdrew ${format(args.amount)} of a ${format(args.depositAmount)} deposit ` +
+      `held for ${days(args.timeHeld)}` +
+      (args.penalty.gt(0) ? `, with ${format(args.penalty)} penalty` : "") +
+      (bonus.gt(0) ?
+        `, with ${format(bonus)} bonus (hold ${format(args.holdBonus)} + commit ${format(args.commitBonus)})` :
+        "");
+  } else if (item.event === "Recommitted") {
+    title = `Recommit #${args.tokenId.toString()}`;
+    text = `Added ${format(args.holdBonus.add(args.commitBonus))} bonus ` +
+      `(hold ${format(args.holdBonus)} + commit ${format(args.commitBonus)}) to the deposit, ` +
+      `now ${format(args.amount)} ${commitment}`;
+  } else if (item.event === "Split") {
+    title = `Split #${args.tokenId.toString()}`;
+    text = `Moved ${format(args.amount)} to a new deposit #${args.newTokenId.toString()}`;
+  } else if (item.event === "Merged") {
+    title = `Merge #${args.tokenId.toString()}`;
+    text = `Merged deposit #${args.mergedTokenId.toString()} into it, now ${format(args.amount)}`;
+  } else if (item.event === "BonusAdded") {
+    title = "Sponsorship";
+    text = `Added ${format(args.amountReceived)} bonus to the pool ` +
+      `(hold ${format(args.holdBonus)} + commit ${format(args.commitBonus)})`;
+  } else {
+    title = `Deposit #${args.tokenId.toString()} transfers`;
+    text = "";
+  }
+
+  return (
+    <List.Item key={`${item.transactionHash}:${item.logIndex}`}>
+      <div style={{ textAlign: "left", width: "100%" }}>
+        <div>
+          <b>{title}</b> {asset ? <Tag>{asset.symbol}</Tag> : ""}
+          <EventTime event={item} blockExplorer={blockExplorer} />
+        </div>
+        {text ? <div>{text}</div> : ""}
+        {item.transfers.map((transfer) =>
+          <div key={`${transfer.transactionHash}:${transfer.logIndex}`}>
+            ↪ transferred from <Address address={transfer.args.from} fontSize={14} /> to{" "}
+            <Address address={transfer.args.to} fontSize={14} />
+            <EventTime event={transfer} blockExplorer={blockExplorer} />
+          </div>
+        )}
+      </div>
+    </List.Item>
+  );
+}
+
+// event's block time, linked to its transaction in the block explorer
+function EventTime({ event, blockExplorer }) {
+  const time = event.timestamp ?
+    new Date(event.timestamp * 1000).toLocaleString() : `block ${event.blockNumber}`;
+  return (
+    <span style={{ color: "#888", marginLeft: 8 }}>
+      {blockExplorer ?
+        <a href={`${blockExplorer}tx/${event.transactionHash}`} target="_blank" rel="noopener noreferrer">
+          {time}
+        </a> : time}
+    </span>
+  );
+}
+
+// downloads the account's deposits and withdrawals records as CSV or JSON, optionally
+// with fiat values from a prices file (historical prices are needed for the values at
+// the time of each event, so there is no fallback to the current price)
+function EventsExport({ events, assets }) {
+  const [withFiat, setWithFiat] = useState(false);
+  const [prices, setPrices] = useState();  // {name, priceOf} of the loaded prices file
+  const [exporting, setExporting] = useState(false);
+
+  const download = (content, type, extension) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `hodl-pool-records.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const exportRecords = async (format) => {
+    setExporting(true);
+    try {
+      const rows = accountRecords(events, assets, withFiat ? prices.priceOf : undefined);
+      if (format === "csv") {
+        download(recordsToCSV(rows), "text/csv", "csv");
+      } else {
+        download(JSON.stringify(rows, null, 2), "application/json", "json");
+      }
+    } catch (e) {
+      notification.error({ message: "Export failed", description: e.message });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const loadPrices = (file) => {
+    file.text().then((text) => {
+      try {
+        setPrices({ name: file.name, priceOf: parsePriceFile(text) });
+      } catch (e) {
+        notification.error({ message: "Invalid prices file", description: e.message });
+      }
+    });
+    return false;  // don't upload
+  };
+
+  // the fiat columns need a prices file
+  const disabled = withFiat && !prices;
+
+  return (
+    <Space wrap>
+      <Button
+        icon={<DownloadOutlined />}
+        loading={exporting}
+        disabled={disabled}
+        onClick={() => exportRecords("csv")}
+      >
+        Export CSV
+      </Button>
+      <Button
+        icon={<DownloadOutlined />}
+        loading={exporting}
+        disabled={disabled}
+        onClick={() => exportRecords("json")}
+      >
+        Export JSON
+      </Button>
+      <Checkbox checked={withFiat} onChange={(e) => setWithFiat(e.target.checked)}>
+        with fiat value
+      </Checkbox>
+      {withFiat ?
+        <Tooltip
+          title={"CSV with date,symbol,price rows or JSON like {\"ETH\": {\"2021-09-01\": 3430.5}}, " +
+            "required for the fiat values at the time of each event."}
+        >
+          <Upload accept=".csv,.json" showUploadList={false} beforeUpload={loadPrices}>
+            <Button icon={<UploadOutlined />}>{prices ? prices.name : "Prices file"}</Button>
+          </Upload>
+        </Tooltip>
+        : ""}
+    </Space>
+  );
+}
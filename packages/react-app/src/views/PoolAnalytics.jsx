@@ -0,0 +1,154 @@
+import React from "react";
+import { Card, Space, Statistic, Spin, Empty, Tag, Tooltip } from "antd";
+import { InfoCircleTwoTone } from "@ant-design/icons";
+import { realizedAPY } from "@scaffold-eth/sdk";
+import { ethers } from "ethers";
+import { TimeSeriesChart } from "../components";
+
+
+// history of the chosen pool reconstructed from its events, to judge the pool's health
+export function PoolAnalytics({ contractState, tokenState, symbol }) {
+  const asset = contractState.tokenAddress;
+  const { points, loading } = contractState.poolHistory;
+
+  if (!asset) {
+    return <Card size="small"><h2 style={{marginTop: 20}}>No token chosen in Main UI</h2></Card>;
+  }
+
+  const decimals = tokenState?.decimals ?? 18;
+  const toFloat = (value) => parseFloat(ethers.utils.formatUnits(value, decimals));
+  const data = points.map((point) => ({
+    timestamp: point.timestamp,
+    depositsSum: toFloat(point.depositsSum),
+    holdBonusesSum: toFloat(point.holdBonusesSum),
+    commitBonusesSum: toFloat(point.commitBonusesSum),
+    penaltiesSum: toFloat(point.penaltiesSum),
+    bonusesPaidSum: toFloat(point.bonusesPaidSum),
+    earlyWithdrawalsCount: point.earlyWithdrawalsCount,
+    maturedWithdrawalsCount: point.maturedWithdrawalsCount,
+  }));
+  const last = points[points.length - 1];
+  const withdrawalsCount = last ? last.earlyWithdrawalsCount + last.maturedWithdrawalsCount : 0;
+  const formatAmount = (v) => `${v.toPrecision(3)} ${symbol || ""}`;
+
+  return (
+    <Card
+      title={<h2><b>{symbol || ""}</b> pool analytics</h2>}
+      size="small"
+    >
+      {loading && !last ? <Spin size="large" /> : !last ?
+        <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No events in this pool yet"/> :
+        <Space direction="vertical" size="large" style={{ width: "100%" }}>
+
+          <Space size="large" wrap>
+            <Statistic title="Deposits made" value={last.depositsCount} />
+            <Statistic title="Early withdrawals" value={last.earlyWithdrawalsCount} />
+            <Statistic title="Matured withdrawals" value={last.maturedWithdrawalsCount} />
+            <Statistic
+              title="Early exits ratio"
+              value={withdrawalsCount ? 100 * last.earlyWithdrawalsCount / withdrawalsCount : 0}
+              precision={1}
+              suffix="%"
+            />
+            <Statistic title="Penalties collected" value={formatAmount(toFloat(last.penaltiesSum))} />
+          </Space>
+
+          <RealizedAPY contractState={contractState} />
+
+          <div>
+            <h3>Deposits sum</h3>
+            <TimeSeriesChart
+              data={data}
+              series={[{ key: "depositsSum", label: "Deposits", color: "#1890ff" }]}
+              formatValue={formatAmount}
+            />
+          </div>
+
+          <div>
+            <h3>Bonus pools</h3>
+            <TimeSeriesChart
+              data={data}
+              series={[
+                { key: "holdBonusesSum", label: "Hold bonus pool", color: "#52c41a" },
+                { key: "commitBonusesSum", label: "Commit bonus pool", color: "#722ed1" },
+              ]}
+              formatValue={formatAmount}
+            />
+          </div>
+
+          <div>
+            <h3>Penalties collected and bonuses paid (cumulative)</h3>
+            <TimeSeriesChart
+              data={data}
+              series={[
+                { key: "penaltiesSum", label: "Penalties", color: "#f5222d" },
+                { key: "bonusesPaidSum", label: "Bonuses paid", color: "#52c41a" },
+              ]}
+              formatValue={formatAmount}
+            />
+          </div>
+
+          <div>
+            <h3>Withdrawals (cumulative)</h3>
+            <TimeSeriesChart
+              data={data}
+              series={[
+                { key: "earlyWithdrawalsCount", label: "Early (with penalty)", color: "#f5222d" },
+                { key: "maturedWithdrawalsCount", label: "Matured (with bonus)", color: "#52c41a" },
+              ]}
+              formatValue={(v) => v.toFixed(0)}
+            />
+          </div>
+
+          <p>
+            Series are reconstructed from the pool's Deposited, Withdrawed and Recommitted events.
+          </p>
+        </Space>
+      }
+    </Card>
+  );
+}
+
+const CONFIDENCE_COLORS = { low: "orange", medium: "gold", high: "green" };
+
+// pool-level realized APY of past withdrawals with bonus in trailing 30, 90 and 365 days
+export function RealizedAPY({ contractState }) {
+  const events = contractState.poolHistory.events;
+  const now = contractState.blockTimestamp;
+  if (!now) return "";
+
+  const tooltip = <Tooltip
+    placement="top"
+    title={
+      <div>
+        <p>Yield realized by deposits withdrawn after their commitment period in the period
+          (with or without bonus): total bonuses relative to principal and time held,
+          annualized.</p>
+        <p>Past results of other depositors, not a projection. Confidence is based on
+          the number of withdrawals (low: less than 3, medium: less than 10).</p>
+      </div>
+    }>
+    <InfoCircleTwoTone></InfoCircleTwoTone>
+  </Tooltip>
+
+  return (
+    <div>
+      <h3>Realized bonus APY&nbsp;{tooltip}</h3>
+      <Space size="large" wrap>
+        {[30, 90, 365].map((days) => {
+          const apy = realizedAPY(events, now, days);
+          return <Statistic
+            key={days}
+            title={`Trailing ${days} days`}
+            value={apy.apyPercent === null ? "no data" : apy.apyPercent}
+            precision={apy.apyPercent === null ? undefined : 2}
+            suffix={apy.apyPercent === null ? "" : "%"}
+            prefix={<Tag color={CONFIDENCE_COLORS[apy.confidence]}>
+              {apy.confidence} ({apy.sampleSize})
+            </Tag>}
+          />
+        })}
+      </Space>
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import React from "react";
+import { Card, Table, Empty, Tag } from "antd";
+import { ethers } from "ethers";
+import { Address, Balance } from "../components";
+import { useEventHistory, useDepositsDetails } from "../hooks";
+
+
+// all live deposits in the chosen pool: tokenIds from the pool's Deposited and Split events
+// without the ones that were burned (withdrawn or merged), with current details from depositDetails
+export function PoolLeaderboard({ contractState, tokenState, symbol, address, blockExplorer }) {
+  const contract = contractState.contract;
+  const asset = contractState.tokenAddress;
+
+  const { events } = useEventHistory(asset && contract, [
+    ["Deposited", [asset]],
+    ["Split", [asset]],
+    ["Transfer", [null, ethers.constants.AddressZero]],
+  ], `leaderboard:${asset}`);
+
+  const burned = new Set(events
+    .filter((e) => e.event === "Transfer")
+    .map((e) => e.args.tokenId.toString()));
+  const tokenIds = events
+    .filter((e) => e.event === "Deposited" || e.event === "Split")
+    .map((e) => (e.event === "Split" ? e.args.newTokenId : e.args.tokenId))
+    .filter((tokenId) => !burned.has(tokenId.toString()))
+    .sort((a, b) => a.sub(b).toNumber());
+  const details = useDepositsDetails(contract, tokenIds);
+
+  const bonusesPool = contractState.bonusesPool;
+  const rows = tokenIds
+    .filter((tokenId) => details[tokenId.toString()])
+    .map((tokenId) => {
+      const deposit = details[tokenId.toString()];
+      const bonus = deposit.holdBonus.add(deposit.commitBonus);
+      return {
+        key: tokenId.toString(),
+        tokenId,
+        ...deposit,
+        bonus,
+        // in basis points (1/100 of a percent) to avoid rounding to 0
+        bonusShareBps: bonusesPool?.gt(0) ? bonus.mul(10000).div(bonusesPool).toNumber() : 0,
+      };
+    });
+
+  const pointsToTokenDays = (val) => contractState.pointsToTokenDays(val, tokenState?.decimals);
+  const compareBN = (key) => (a, b) => a[key].eq(b[key]) ? 0 : (a[key].lt(b[key]) ? -1 : 1);
+
+  const columns = [
+    {
+      title: "Deposit",
+      dataIndex: "tokenId",
+      render: (tokenId, row) => <span>
+        #{tokenId.toString()}&nbsp;
+        {row.account === address ? <Tag color="blue">yours</Tag> : ""}
+      </span>,
+      sorter: compareBN("tokenId"),
+    },
+    {
+      title: "Owner",
+      dataIndex: "account",
+      render: (account) => <Address address={account} blockExplorer={blockExplorer} fontSize={16} />,
+    },
+    {
+      title: "Amount",
+      dataIndex: "balance",
+      render: (balance) => <Balance balance={balance} symbol={symbol} size="16" />,
+      sorter: compareBN("balance"),
+      defaultSortOrder: "descend",
+    },
+    {
+      title: "Hold points",
+      dataIndex: "holdPoints",
+      render: (points) => `${pointsToTokenDays(points)?.toPrecision(3)} token-days`,
+      sorter: compareBN("holdPoints"),
+    },
+    {
+      title: "Commit points",
+      dataIndex: "commitPoints",
+      render: (points) => `${pointsToTokenDays(points)?.toPrecision(3)} token-days`,
+      sorter: compareBN("commitPoints"),
+    },
+    {
+      title: "Time left",
+      dataIndex: "timeLeftToHold",
+      render: (timeLeft) => timeLeft.eq(0) ?
+        <Tag color="green">matured</Tag> :
+        `${contractState.bigNumberSecondsToDays(timeLeft)} days`,
+      sorter: compareBN("timeLeftToHold"),
+    },
+    {
+      title: "Bonus share",
+      dataIndex: "bonusShareBps",
+      render: (bps, row) => <span>
+        {(bps / 100).toFixed(2)}%
+        <Balance balance={row.bonus} symbol={symbol} size="16" />
+      </span>,
+      sorter: (a, b) => a.bonusShareBps - b.bonusShareBps,
+    },
+  ];
+
+  return (
+    <Card
+      title={<h2>All deposits in <b>{symbol || "chosen"}</b> pool</h2>}
+      size="small"
+    >
+      {asset ?
+        <Table
+          dataSource={rows}
+          columns={columns}
+          pagination={{ pageSize: 20, hideOnSinglePage: true }}
+          locale={{ emptyText:
+            <Empty image={Empty.PRESENTED_IMAGE_SIMPLE} description="No deposits in this pool"/>
+          }}
+        />
+        : <h2 style={{marginTop: 20}}>No token chosen in Main UI</h2>
+      }
+    </Card>
+  );
+}
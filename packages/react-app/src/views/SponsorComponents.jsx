@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { Button, Card, Input, Modal, Row, Col, Slider, Space, List } from "antd";
+import { ethers } from "ethers";
+import { Address, Balance } from "../components";
+
+
+// adding a bonus directly to the pool's bonus pools (e.g. by a token project that wants
+// to bootstrap its pool), with the pool's sponsorships totals from its BonusAdded events
+export function SponsorCard({ contractState, tokenState, ethMode, contractTx, tokenTx }) {
+  const asset = contractState.tokenAddress;
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const decimals = ethMode ? 18 : tokenState.decimals;
+
+  const [amountToSend, setAmountToSend] = useState("0");
+  const [holdShare, holdShareSet] = useState(50);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [approving, approvingSet] = useState(false);
+  const [sending, sendingSet] = useState(false);
+
+  // totals by sponsor, largest first (the pool's events are already queried for its history)
+  const bySponsor = {};
+  contractState.poolHistory.events.filter((e) => e.event === "BonusAdded").forEach((e) => {
+    bySponsor[e.args.account] = (bySponsor[e.args.account] || ethers.BigNumber.from(0))
+      .add(e.args.amountReceived);
+  });
+  const sponsors = Object.entries(bySponsor)
+    .map(([account, amount]) => ({ account, amount }))
+    .sort((a, b) => (b.amount.gt(a.amount) ? 1 : -1));
+  const total = sponsors.reduce((sum, s) => sum.add(s.amount), ethers.BigNumber.from(0));
+
+  const amount = decimals && parseFloat(amountToSend) > 0 ?
+    ethers.utils.parseUnits(amountToSend, decimals) : ethers.BigNumber.from(0);
+  const needsApprove = !ethMode && amount.gt(0) && tokenState?.allowance?.lt(amount);
+
+  return (
+    <Card
+      title={<h2>🎁 <b>Sponsor</b> this {symbol} pool</h2>}
+      size="small"
+    >
+      <h3>
+        Total sponsorships: <Balance balance={total} symbol={symbol} size="20" />
+        by {sponsors.length} sponsor{sponsors.length === 1 ? "" : "s"}
+      </h3>
+      {sponsors.length ?
+        <List
+          size="small"
+          dataSource={sponsors.slice(0, 5)}
+          renderItem={(s) =>
+            <List.Item key={s.account}>
+              <Address address={s.account} fontSize={14} />
+              <Balance balance={s.amount} symbol={symbol} size="14" />
+            </List.Item>}
+        /> : ""}
+
+      <p>
+        Add a bonus for the pool's depositors, it's split between the hold bonus pool (rewarding
+        holding for longer) and the commit bonus pool (rewarding larger commitments).
+        The bonus can't be withdrawn by the sponsor.
+      </p>
+
+      <Space direction="vertical" style={{ width: "100%" }}>
+        <Slider
+          min={0}
+          max={100}
+          value={holdShare}
+          onChange={holdShareSet}
+          tipFormatter={(value) => `${value}% hold bonus, ${100 - value}% commit bonus`}
+        />
+        <h3>{holdShare}% hold bonus, {100 - holdShare}% commit bonus</h3>
+        <Row gutter={24} justify="center">
+          <Col span={8}>
+            <Input
+              onChange={(e) => setAmountToSend(parseFloat(e.target.value) > 0 ? e.target.value : "0")}
+              size="large"
+              suffix={symbol}
+              style={{ width: "100%", textAlign: "center", borderRadius: "20px" }}
+            />
+          </Col>
+          {ethMode ? "" : <Col span={8}>
+            <Button
+              onClick={() => {
+                approvingSet(true);
+                tokenTx("approve", [contractState.address, amount], () => approvingSet(false));
+              }}
+              type="primary"
+              size="large"
+              disabled={!needsApprove || approving}
+              style={{ width: "100%", textAlign: "center" }}
+            >
+              {needsApprove ? "Approve" : "Approved"}
+            </Button>
+          </Col>}
+          <Col span={8}>
+            <Button
+              onClick={() => setModalVisible(true)}
+              type="primary"
+              size="large"
+              disabled={!amount.gt(0) || needsApprove || sending}
+              style={{ width: "100%", textAlign: "center" }}
+            >
+              Add bonus
+            </Button>
+          </Col>
+        </Row>
+      </Space>
+
+      <Modal
+        className="modal-container"
+        okText="Add bonus"
+        visible={modalVisible}
+        onOk={() => {
+          setModalVisible(false);
+          sendingSet(true);
+          if (ethMode) {
+            contractTx("addBonusETH", [holdShare, { value: amount }], () => sendingSet(false));
+          } else {
+            contractTx("addBonus", [asset, amount, holdShare], () => sendingSet(false));
+          }
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>Confirm bonus of {amountToSend} {symbol}</h1>
+        <h2>
+          {holdShare}% will be added to the hold bonus pool, and {100 - holdShare}% to the
+          commit bonus pool.
+        </h2>
+        <h2>⚠️ This is a donation to the pool's depositors, it can't be withdrawn back.</h2>
+      </Modal>
+    </Card>
+  );
+}
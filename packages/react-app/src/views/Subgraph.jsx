@@ -1,10 +1,10 @@
 import { gql, useQuery } from "@apollo/client";
-import { Button, Input, Table, Typography } from "antd";
+import { Table, Typography } from "antd";
 import "antd/dist/antd.css";
 import GraphiQL from "graphiql";
 import "graphiql/graphiql.min.css";
 import fetch from "isomorphic-fetch";
-import React, { useState } from "react";
+import React from "react";
 import { Address } from "../components";
 
 const highlight = {
@@ -26,34 +26,52 @@ function Subgraph(props) {
 
   const EXAMPLE_GRAPHQL = `
   {
-    purposes(first: 25, orderBy: createdAt, orderDirection: desc) {
+    deposits(first: 25, orderBy: createdAt, orderDirection: desc) {
       id
-      purpose
+      amount
+      initialPenaltyPercent
+      commitPeriod
+      withdrawn
       createdAt
-      sender {
+      owner {
+        id
+      }
+      pool {
         id
       }
     }
-    senders {
+    pools {
       id
-      address
-      purposeCount
+      depositsSum
+      holdBonusesSum
+      commitBonusesSum
+      activeDepositsCount
     }
   }
   `;
   const EXAMPLE_GQL = gql(EXAMPLE_GRAPHQL);
   const { loading, data } = useQuery(EXAMPLE_GQL, { pollInterval: 2500 });
 
-  const purposeColumns = [
+  const depositColumns = [
+    {
+      title: "Deposit",
+      dataIndex: "id",
+      key: "id",
+    },
     {
-      title: "Purpose",
-      dataIndex: "purpose",
-      key: "purpose",
+      title: "Owner",
+      key: "owner",
+      render: record => <Address value={record.owner.id} ensProvider={props.mainnetProvider} fontSize={16} />,
     },
     {
-      title: "Sender",
-      key: "id",
-      render: record => <Address value={record.sender.id} ensProvider={props.mainnetProvider} fontSize={16} />,
+      title: "Asset",
+      key: "pool",
+      render: record => <Address value={record.pool.id} fontSize={16} />,
+    },
+    {
+      title: "Amount",
+      key: "amount",
+      dataIndex: "amount",
     },
     {
       title: "createdAt",
@@ -63,8 +81,6 @@ function Subgraph(props) {
     },
   ];
 
-  const [newPurpose, setNewPurpose] = useState("loading...");
-
   const deployWarning = (
     <div style={{ marginTop: 8, padding: 8 }}>Warning: 🤔 Have you deployed your subgraph yet?</div>
   );
@@ -154,25 +170,8 @@ function Subgraph(props) {
       </div>
 
       <div style={{ width: 780, margin: "auto", paddingBottom: 64 }}>
-        <div style={{ margin: 32, textAlign: "right" }}>
-          <Input
-            onChange={e => {
-              setNewPurpose(e.target.value);
-            }}
-          />
-          <Button
-            onClick={() => {
-              console.log("newPurpose", newPurpose);
-              /* look how you call setPurpose on your contract: */
-              props.tx(props.writeContracts.YourContract.setPurpose(newPurpose));
-            }}
-          >
-            Set Purpose
-          </Button>
-        </div>
-
         {data ? (
-          <Table dataSource={data.purposes} columns={purposeColumns} rowKey="id" />
+          <Table dataSource={data.deposits} columns={depositColumns} rowKey="id" />
         ) : (
           <Typography>{loading ? "Loading..." : deployWarning}</Typography>
         )}
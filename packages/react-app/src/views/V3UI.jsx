@@ -1,19 +1,25 @@
 import React, { useState, useEffect } from "react";
-import { Card, Space, Result, Tooltip, Menu, Typography} from "antd";
+import { Card, Space, Result, Tooltip, Menu, Typography, Alert, notification} from "antd";
 import { Address, Balance, TokenSelection, Contract } from "../components";
-import { useContractExistsAtAddress } from "../hooks";
+import { useContractExistsAtAddress, useTokenSafety } from "../hooks";
 import { InfoCircleTwoTone, LoadingOutlined } from "@ant-design/icons";
 import { MotivationButton, MechanismButton, IncentivesButton } from "./TextContentComponents";
 import { HodlPoolV3StateHooks, ERC20StateHooks, useERC20ContractAtAddress } from "./ContractsStateHooks";
 import { NewDepositCard } from "./DepositComponents";
 import { WithdrawalsCard } from "./WithdrawalComponents";
+import { SponsorCard } from "./SponsorComponents";
+import { CampaignsList } from "./CampaignComponents";
 import { OtherPoolsDeposits} from "./OtherPoolsDeposits";
 import { EventsList } from "./EventsList";
+import { PoolLeaderboard } from "./PoolLeaderboard";
+import { PoolAnalytics, RealizedAPY } from "./PoolAnalytics";
 import { BrowserRouter, Link, Route, Switch } from "react-router-dom";
+import { signPermit } from "@scaffold-eth/sdk";
 
 
 export function HodlPoolV3UI(
-  { address, signer, blockExplorer, tx, readContracts, writeContracts, contractName }) {
+  { address, signer, blockExplorer, tx, readContracts, writeContracts, contractName,
+    mainnetProvider }) {
 
   // main contract
   const contract = readContracts && readContracts[contractName];  
@@ -43,6 +49,28 @@ export function HodlPoolV3UI(
     tx(writeContracts[contractName][method](...(args ?? [])).finally(callback));
   const tokenTx = (method, args, callback) =>
     tx(tokenContract.connect(signer)[method](...(args ?? [])).finally(callback));
+  const campaignsTx = (method, args, callback) =>
+    tx(contractState.campaigns.contract.connect(signer)[method](...(args ?? [])).finally(callback));
+  // deposit with an EIP-2612 permit signature instead of an approve transaction
+  const permitDepositTx = async (args, callback) => {
+    const [asset, amount, initialPenaltyPercent, commitPeriod] = args;
+    try {
+      const deadline = contractState.blockTimestamp + 20 * 60;
+      const permit = await signPermit(signer, asset, contract.address, amount, deadline);
+      contractTx(
+        "depositWithPermit",
+        [asset, amount, initialPenaltyPercent, commitPeriod, permit.deadline, permit.v, permit.r, permit.s],
+        callback);
+    } catch (e) {
+      notification.error({ message: "Permit signature failed", description: e.message });
+      callback();
+    }
+  }
+
+  // token safety checks (ETH deposits are wrapped in the known WETH contract)
+  const safetyWarnings = useTokenSafety(
+    ethMode ? null : tokenAddress, signer?.provider, contractState.poolHistory.events);
+  const depositDenied = safetyWarnings.some((w) => w.level === "error");
 
   const symbol = ethMode ? "ETH" : tokenState.symbol;
 
@@ -59,8 +87,12 @@ export function HodlPoolV3UI(
         error={error}
         tokenChoice={tokenChoice}
         setTokenChoice={setTokenChoice}
+        safetyWarnings={safetyWarnings}
       />
 
+      {loading || !tokenState.address ? "" :
+        <PoolStatusBanner contractState={contractState} symbol={symbol} />}
+
       <NewDepositCard
         contractState={contractState}
         tokenState={tokenState}
@@ -68,6 +100,9 @@ export function HodlPoolV3UI(
         ethMode={ethMode}
         contractTx={contractTx}
         tokenTx={tokenTx}
+        permitDepositTx={permitDepositTx}
+        depositDenied={depositDenied}
+        ensProvider={mainnetProvider}
       />
 
       {loading || !tokenState.address ? "" :
@@ -83,6 +118,16 @@ export function HodlPoolV3UI(
           contractState={contractState}
           symbol={symbol}
           tokenState={tokenState}
+          campaignsTx={campaignsTx}
+        />}
+
+      {loading || !tokenState.address || contractState.depositsPaused ? "" :
+        <SponsorCard
+          contractState={contractState}
+          tokenState={tokenState}
+          ethMode={ethMode}
+          contractTx={contractTx}
+          tokenTx={tokenTx}
         />}
 
       <OtherPoolsDeposits
@@ -97,6 +142,7 @@ export function HodlPoolV3UI(
         contractState={contractState}
         contract={contract}
         address={address}
+        blockExplorer={blockExplorer}
       />
     </div>
   );
@@ -108,13 +154,14 @@ export function HodlPoolV3UI(
     address={address}
     contractState={contractState}
     tokenState={tokenState}
+    symbol={symbol}
     mainView={mainView}
   />
 }
 
 
 function NavigationRouter({ 
-  address, signer, blockExplorer, contractName, contractState, tokenState, mainView 
+  address, signer, blockExplorer, contractName, contractState, tokenState, symbol, mainView 
 }) {
 
   const [route, setRoute] = useState();
@@ -130,6 +177,12 @@ function NavigationRouter({
         <Menu.Item key="/rules">
           <Link onClick={() => { setRoute("/rules") }} to="/rules">Rules & Motivation</Link>
         </Menu.Item>
+        <Menu.Item key="/deposits">
+          <Link onClick={() => { setRoute("/deposits") }} to="/deposits">All deposits</Link>
+        </Menu.Item>
+        <Menu.Item key="/analytics">
+          <Link onClick={() => { setRoute("/analytics") }} to="/analytics">Pool analytics</Link>
+        </Menu.Item>
         <Menu.Item key="/contract">
           <Link onClick={() => { setRoute("/contract") }} to="/contract">
             <Typography.Text type="secondary">Raw contract UI</Typography.Text>
@@ -156,6 +209,24 @@ function NavigationRouter({
           />
         </Route>
 
+        <Route exact path="/deposits">
+          <PoolLeaderboard
+            contractState={contractState}
+            tokenState={tokenState}
+            symbol={symbol}
+            address={address}
+            blockExplorer={blockExplorer}
+          />
+        </Route>
+
+        <Route exact path="/analytics">
+          <PoolAnalytics
+            contractState={contractState}
+            tokenState={tokenState}
+            symbol={symbol}
+          />
+        </Route>
+
         <Route exact path="/contract">
           <Contract
             customContract={contractState.contract}
@@ -188,7 +259,7 @@ function NavigationRouter({
 function HeaderCard({
    provider, contractState, blockExplorer, tokenState, 
    tokenChoice, setTokenChoice, 
-   address, loading, ethMode, error
+   address, loading, ethMode, error, safetyWarnings
 }) {
   const contractIsDeployed = useContractExistsAtAddress(provider, contractState?.address);
 
@@ -227,11 +298,43 @@ function HeaderCard({
             provider={provider}
           />
         }
+
+        {loading ? "" : safetyWarnings.map((warning) =>
+          <Alert
+            key={warning.check}
+            type={warning.level}
+            showIcon
+            message={warning.level === "error" ? "Deposits disabled" : "Token safety warning"}
+            description={warning.message}
+          />
+        )}
       </Space>
     </Card>
   );
 }
 
+// guardian actions in effect for the chosen pool
+function PoolStatusBanner({ contractState, symbol }) {
+  if (contractState.emergencyWithdrawals) {
+    return <Alert
+      type="error"
+      showIcon
+      message={<h3>Emergency in {symbol} pool</h3>}
+      description={
+        "The guardian has enabled emergency withdrawals for this pool: deposits can be " +
+        "withdrawn without penalty (principal only, no bonus). New deposits are paused."}
+    />
+  } else if (contractState.depositsPaused) {
+    return <Alert
+      type="warning"
+      showIcon
+      message={<h3>New deposits to {symbol} pool are paused</h3>}
+      description="The guardian has paused new deposits, withdrawals are not affected."
+    />
+  }
+  return "";
+}
+
 function RulesCard({ contractState, blockExplorer }) {
  return (
    <Card
@@ -290,7 +393,7 @@ function TokenOrETHBalance({ tokenState, blockExplorer, ethMode, address, provid
   }
 }
 
-function PoolInfoCard({ contractState, tokenState, symbol }) {
+function PoolInfoCard({ contractState, tokenState, symbol, campaignsTx }) {
 
   const pointsToTokenDays = (val) => {
     return contractState?.pointsToTokenDays(val, tokenState?.decimals);
@@ -328,6 +431,8 @@ function PoolInfoCard({ contractState, tokenState, symbol }) {
         <div>Bonuses pool:<Balance balance={contractState.bonusesPool} symbol={symbol} size="20" />
           {bonusTotalsTooltip()}</div>
       </Space>
+      <RealizedAPY contractState={contractState} />
+      <CampaignsList contractState={contractState} campaignsTx={campaignsTx} />
     </Card>
   );
 }
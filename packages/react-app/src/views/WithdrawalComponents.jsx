@@ -1,7 +1,13 @@
 import React, { useState } from "react";
-import { Button,  Card,  Modal, Space, Tooltip, Collapse, Empty, Badge } from "antd";
+import moment from "moment";
+import {
+  Button, Card, Modal, Space, Tooltip, Collapse, Empty, Badge, DatePicker, Slider, Select, InputNumber,
+} from "antd";
 import { Balance } from "../components";
-import { utils } from "ethers";
+import { utils, BigNumber } from "ethers";
+import { projectWithdrawal, penaltyAt, minAmountOut, DEFAULT_DEADLINE } from "@scaffold-eth/sdk";
+import { CommitmentInput } from "./DepositComponents";
+import { RealizedAPY } from "./PoolAnalytics";
 import { InfoCircleTwoTone, WarningTwoTone } from "@ant-design/icons";
 
 
@@ -14,6 +20,14 @@ export function WithdrawalsCard({contractState, tokenState, contractTx, ethMode
       title={<h2><b>Withdraw</b> from {symbol} pool</h2>}
       size="small"
     >
+      {contractState?.maturedTokenIds?.length > 1 ?
+        <WithdrawAllMaturedButton
+          contractState={contractState}
+          txFn={contractTx}
+          tokenState={tokenState}
+          ethMode={ethMode}
+        /> : ""}
+
       {tokenIds?.length > 0 ? <Collapse
         destroyInactivePanel={false}
         defaultActiveKey={tokenIds?.length > 0 ? tokenIds[0].toNumber() : ""}
@@ -64,6 +78,7 @@ function WithdrawalHeader({ contractState, symbol, tokenId}) {
 function WithdrawalInfo({ contractState, tokenState, ethMode, contractTx, tokenId }) {
   const symbol = ethMode ? "ETH" : tokenState.symbol;
   const deposit = contractState.getDepositDetails(tokenId);
+  const metadata = contractState.getDepositMetadata(tokenId);
 
   const pointsToTokenDays = (val) => {
     return contractState?.pointsToTokenDays(val, tokenState?.decimals);
@@ -105,19 +120,7 @@ function WithdrawalInfo({ contractState, tokenState, ethMode, contractTx, tokenI
 
   const bonusSection = contractState?.bonusesPool?.gt(0) ? (
     <div>
-      { deposit?.penalty?.gt(0) ?
-          <APYTextPenalty
-            contractState={contractState}
-            tokenId={tokenId}
-            deposit={deposit}
-            />
-          : 
-          <APYText
-            contractState={contractState}
-            tokenId={tokenId}
-            deposit={deposit}
-            />
-      }
+      <RealizedAPY contractState={contractState} />
       <h3>Current bonus:
         <Balance balance={deposit.bonus} symbol={symbol} size="20" />
         {bonusTooltip()}
@@ -127,6 +130,14 @@ function WithdrawalInfo({ contractState, tokenState, ethMode, contractTx, tokenI
 
   return (
     <div>
+      {metadata?.image ?
+        <img
+          src={metadata.image}
+          alt={metadata.name}
+          style={{ width: "14rem", float: "right", margin: "0 0 10px 10px" }}
+        />
+        : ""}
+
       <Space direction="horizontal" size="small">
         <h3>Initial deposit:
           <Balance
@@ -141,13 +152,31 @@ function WithdrawalInfo({ contractState, tokenState, ethMode, contractTx, tokenI
       { bonusSection }
 
       {deposit.withdrawWithBonus > 0 ?
-          <WithdrawWithBonusButton
-            contractState={contractState}
-            txFn={contractTx}
-            tokenState={tokenState}
-            ethMode={ethMode}
-            deposit={deposit}
-          />
+          <Space direction="horizontal" size="small">
+            <WithdrawWithBonusButton
+              contractState={contractState}
+              txFn={contractTx}
+              tokenState={tokenState}
+              ethMode={ethMode}
+              deposit={deposit}
+            />
+            <RecommitButton
+              contractState={contractState}
+              txFn={contractTx}
+              tokenState={tokenState}
+              ethMode={ethMode}
+              deposit={deposit}
+            />
+          </Space>
+        : ""}
+
+      {contractState.emergencyWithdrawals ?
+        <EmergencyWithdrawButton
+          txFn={contractTx}
+          tokenState={tokenState}
+          ethMode={ethMode}
+          deposit={deposit}
+        />
         : ""}
 
       {deposit.withdrawWithPenalty > 0 ?
@@ -176,13 +205,138 @@ function WithdrawalInfo({ contractState, tokenState, ethMode, contractTx, tokenI
         </div>
         : ""}
 
+      <Space direction="horizontal" size="small" style={{ marginBottom: "10px" }}>
+        <SplitButton
+          contractState={contractState}
+          txFn={contractTx}
+          tokenState={tokenState}
+          ethMode={ethMode}
+          deposit={deposit}
+        />
+        {contractState.mergeableTokenIds(tokenId).length > 0 ?
+          <MergeButton
+            contractState={contractState}
+            txFn={contractTx}
+            tokenState={tokenState}
+            ethMode={ethMode}
+            deposit={deposit}
+          />
+          : ""}
+      </Space>
+
+      <Collapse ghost>
+        <Collapse.Panel header={<h3>🔮 Simulate a future withdrawal</h3>} key="simulator">
+          <WithdrawalSimulator
+            contractState={contractState}
+            symbol={symbol}
+            tokenId={tokenId}
+          />
+        </Collapse.Panel>
+      </Collapse>
+
+    </div>
+  )
+}
+
+function WithdrawalSimulator({ contractState, symbol, tokenId }) {
+  const [atTime, setAtTime] = useState();
+  const [exitsPercent, setExitsPercent] = useState(0);
+  const [exitsPenaltyPercent, setExitsPenaltyPercent] = useState(50);
+
+  const params = contractState?.depositParams && contractState.depositParams[tokenId];
+  const now = contractState?.blockTimestamp;
+  if (!params || !now || !contractState?.depositsSum) return "";
+
+  // default to the end of the commitment period (or now if already ended)
+  const commitEnd = params.time + params.commitPeriod;
+  const at = Math.max(atTime || commitEnd, now);
+
+  // other depositors' early exits are modeled as a percent of the other deposits
+  const otherDeposits = contractState.depositsSum.sub(params.amount);
+  const exitsAmount = otherDeposits.gt(0) ? otherDeposits.mul(exitsPercent).div(100) : otherDeposits;
+
+  const projected = projectWithdrawal({
+    deposit: params,
+    pool: {
+      depositsSum: contractState.depositsSum,
+      holdBonusesSum: contractState.holdBonusesSum,
+      commitBonusesSum: contractState.commitBonusesSum,
+      totalHoldPoints: contractState.totalHoldPoints,
+      totalCommitPoints: contractState.totalCommitPoints,
+    },
+    now,
+    at,
+    earlyExits: { amount: exitsAmount, penaltyPercent: exitsPenaltyPercent },
+  });
+  const bonus = projected.holdBonus.add(projected.commitBonus);
+
+  return (
+    <div>
+      <h3>Withdrawal time:&nbsp;
+        <DatePicker
+          showTime
+          allowClear={false}
+          value={moment.unix(at)}
+          disabledDate={(current) => current && current.clone().endOf("day").unix() < now}
+          onChange={(value) => setAtTime(value?.unix())}
+        />
+      </h3>
+      <h3>Other depositors withdrawing early before then: {exitsPercent}% of other deposits
+        (<Balance balance={exitsAmount} symbol={symbol} size="20" />)</h3>
+      <Slider min={0} max={100} value={exitsPercent} onChange={setExitsPercent} />
+      <h3>Their average penalty: {exitsPenaltyPercent}%</h3>
+      <Slider min={0} max={100} value={exitsPenaltyPercent} onChange={setExitsPenaltyPercent} />
+
+      {projected.penalty.gt(0) ?
+        <h3>Projected penalty:
+          <Balance balance={projected.penalty} symbol={symbol} size="20" />
+          ({projected.penaltyPercent.toString()}%, no bonus before commitment end)
+        </h3>
+        :
+        <div>
+          <h3>Projected bonus:
+            <Balance balance={bonus} symbol={symbol} size="20" />
+            (hold <Balance balance={projected.holdBonus} symbol={symbol} size="20" />
+            + commit <Balance balance={projected.commitBonus} symbol={symbol} size="20" />)
+          </h3>
+          <h3>Projected bonus APY:&nbsp;
+            <Badge
+              count={calcAPYPercent(contractState, tokenId, params.amount, bonus, at - now)}
+              showZero={true}
+            />
+          </h3>
+        </div>}
+
+      <h3>Projected withdrawal:
+        <Balance balance={projected.amountOut} symbol={symbol} size="20" />
+      </h3>
+      <p>Assuming no new deposits until then and bonus pools growing only from the modeled early exits.</p>
     </div>
   )
 }
 
 function WithdrawWithPenaltyButton({ contractState, txFn, tokenState, ethMode, deposit }) {
   const [penaltyModalVisible, setPenaltyModalVisible] = useState(false);
+  // percent of the deposit to withdraw, the rest keeps its commitment
+  const [percent, percentSet] = useState(100);
   const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const format = (value) => utils.formatUnits(value || 0, tokenState.decimals);
+
+  // the contract's amounts are in deposit shares, which differ from the balance only 
+  // for fee-on-transfer and other dynamic supply tokens
+  const params = contractState?.depositParams && contractState.depositParams[deposit.tokenId];
+  const partial = percent < 100 && params?.amount?.gt(1);
+  const sliceShares = params?.amount?.mul(percent).div(100);
+  const toAmount = (shares) => (params?.amount?.gt(0) && deposit.balance ?
+    shares.mul(deposit.balance).div(params.amount) : BigNumber.from(0));
+  const slice = partial ? toAmount(sliceShares) : deposit.balance;
+  const penalty = partial && contractState.blockTimestamp ?
+    toAmount(penaltyAt({ ...params, amount: sliceShares }, contractState.blockTimestamp)) :
+    deposit.penalty;
+  const amountOut = slice && penalty ? slice.sub(penalty) : BigNumber.from(0);
+  const [tolerance, toleranceSet] = useState(DEFAULT_TOLERANCE);
+  const minOut = minAmountOut(amountOut, tolerance);
+
   return (
     <div>
 
@@ -197,35 +351,58 @@ function WithdrawWithPenaltyButton({ contractState, txFn, tokenState, ethMode, d
 
       <Modal
         className="modal-container"        
-        okText="Withdraw with penalty"
+        okText={partial ? "Withdraw part with penalty" : "Withdraw with penalty"}
         visible={penaltyModalVisible}
-        okButtonProps={{ danger: true }}
+        okButtonProps={{
+          danger: true,
+          disabled: (partial && !sliceShares?.gt(0)) || !contractState.blockTimestamp,
+        }}
         onOk={() => {
           setPenaltyModalVisible(false);
-          if (ethMode) {
-            txFn("withdrawWithPenaltyETH", [deposit.tokenId]);
+          const deadline = contractState.blockTimestamp + DEFAULT_DEADLINE;
+          if (partial) {
+            txFn(ethMode ? "withdrawPartialETHMinOut" : "withdrawPartialMinOut",
+              [deposit.tokenId, sliceShares, minOut, deadline]);
           } else {
-            txFn("withdrawWithPenalty", [deposit.tokenId]);
+            txFn(ethMode ? "withdrawWithPenaltyETHMinOut" : "withdrawWithPenaltyMinOut",
+              [deposit.tokenId, minOut, deadline]);
           }
         }}
         onCancel={() => setPenaltyModalVisible(false)}>
         <h1 style={{ textAlign: "center" }}>
-          Confirm withdrawal of {
-            tokenState.decimals && 
-            utils.formatUnits("" + deposit.withdrawWithPenalty, tokenState.decimals)
-          } {symbol} with penalty
+          Confirm withdrawal of {tokenState.decimals && format(amountOut)} {symbol} with penalty
         </h1>
+        <h3>Amount to withdraw: {percent}% of the deposit</h3>
+        <Slider
+          min={1}
+          max={100}
+          value={percent}
+          onChange={percentSet}
+          tipFormatter={(value) => `${value}%`}
+        />
         <h2>Withdraw&nbsp;
-          {utils.formatUnits("" + deposit.withdrawWithPenalty, tokenState.decimals)}&nbsp;
-          {symbol} out of deposited&nbsp;
-          {utils.formatUnits(deposit.balance, tokenState.decimals)} due to&nbsp;
-          {utils.formatUnits(deposit.penalty, tokenState.decimals)} penalty.</h2>
-        <h2>
-          <WarningTwoTone twoToneColor="red" /> No bonus will be withdrawed!
-          {deposit?.bonus?.gt(0) ?
-            ` (Current bonus share is ${utils.formatUnits(deposit.bonus, tokenState.decimals)} 
-            ${symbol})` : ""}
-        </h2>
+          {format(amountOut)}&nbsp;
+          {symbol} out of {partial ? `${format(slice)} ${symbol} of the` : ""} deposited&nbsp;
+          {format(deposit.balance)} due to&nbsp;
+          {format(penalty)} penalty.</h2>
+        <ToleranceInput
+          tolerance={tolerance}
+          toleranceSet={toleranceSet}
+          minOut={format(minOut)}
+          symbol={symbol}
+        />
+        {partial ?
+          <h2>
+            The remaining {format(deposit.balance?.sub(slice))} {symbol} stay in the deposit with
+            the same commitment, and keep earning bonus points.
+          </h2>
+          :
+          <h2>
+            <WarningTwoTone twoToneColor="red" /> No bonus will be withdrawed!
+            {deposit?.bonus?.gt(0) ?
+              ` (Current bonus share is ${format(deposit.bonus)} 
+              ${symbol})` : ""}
+          </h2>}
         <h2>
           <WarningTwoTone twoToneColor="red" /> Wait until end of commitment period
           ({deposit.timeLeftString})
@@ -239,7 +416,11 @@ function WithdrawWithPenaltyButton({ contractState, txFn, tokenState, ethMode, d
 
 function WithdrawWithBonusButton({ contractState, txFn, tokenState, ethMode, deposit }) {
   const [bonusModalVisible, setBonusModalVisible] = useState(false);
+  const [tolerance, toleranceSet] = useState(DEFAULT_TOLERANCE);
   const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const amountOut = deposit.balance && deposit.bonus ?
+    deposit.balance.add(deposit.bonus) : BigNumber.from(0);
+  const minOut = minAmountOut(amountOut, tolerance);
   return (
     <div>
 
@@ -256,13 +437,11 @@ function WithdrawWithBonusButton({ contractState, txFn, tokenState, ethMode, dep
         className="modal-container"
         okText="Withdraw"
         visible={bonusModalVisible}
+        okButtonProps={{ disabled: !contractState.blockTimestamp }}
         onOk={() => {
           setBonusModalVisible(false);
-          if (ethMode) {
-            txFn("withdrawWithBonusETH", [deposit.tokenId]);
-          } else {
-            txFn("withdrawWithBonus", [deposit.tokenId]);
-          }
+          txFn(ethMode ? "withdrawWithBonusETHMinOut" : "withdrawWithBonusMinOut",
+            [deposit.tokenId, minOut, contractState.blockTimestamp + DEFAULT_DEADLINE]);
         }}
         onCancel={() => setBonusModalVisible(false)}>
         <h1 style={{ textAlign: "center" }}>
@@ -278,6 +457,12 @@ function WithdrawWithBonusButton({ contractState, txFn, tokenState, ethMode, dep
             ` with ${utils.formatUnits(deposit.bonus, tokenState.decimals)} 
             ${symbol} bonus!` : "."}
         </h2>
+        <ToleranceInput
+          tolerance={tolerance}
+          toleranceSet={toleranceSet}
+          minOut={utils.formatUnits(minOut, tokenState.decimals)}
+          symbol={symbol}
+        />
         <h2>⚠️ Waiting for longer may increase available bonus.</h2>
       </Modal>
 
@@ -285,68 +470,282 @@ function WithdrawWithBonusButton({ contractState, txFn, tokenState, ethMode, dep
   );
 }
 
-function APYText({contractState, tokenId, deposit}) {
-  const commitAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.commitBonus);
-  const holdAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.holdBonus);
-  const totalAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.bonus);
+// default slippage tolerance of withdrawals (percent)
+const DEFAULT_TOLERANCE = 0.5;
 
-  function tooltip() {
-    return <Tooltip
-      placement="top"
-      title={
-        <div>
-          <p>Commit bonus APY: { commitAPY }</p>
-          <p>Hold bonus APY so far: { holdAPY }</p>
-        </div>
-      }>
-      <InfoCircleTwoTone></InfoCircleTwoTone>
-    </Tooltip>
-  }
+// slippage tolerance of a withdrawal: the amount out is decided when the transaction is mined,
+// so other withdrawals or a fee-on-transfer / rebasing token can change it after confirmation
+function ToleranceInput({ tolerance, toleranceSet, minOut, symbol }) {
+  return (
+    <h3>
+      Slippage tolerance:&nbsp;
+      <InputNumber
+        min={0}
+        max={100}
+        step={0.1}
+        value={tolerance}
+        onChange={(value) => toleranceSet(value ?? DEFAULT_TOLERANCE)}
+        formatter={(value) => `${value}%`}
+        parser={(value) => value.replace("%", "")}
+      />
+      &nbsp;
+      <Tooltip
+        placement="top"
+        title={`The withdrawal will revert if less than ${minOut} ${symbol} would be sent, ` +
+          `or if not mined within ${DEFAULT_DEADLINE / 60} minutes.`}>
+        <InfoCircleTwoTone></InfoCircleTwoTone>
+      </Tooltip>
+      &nbsp;(at least {minOut} {symbol})
+    </h3>
+  );
+}
 
-  return <div>    
-    <h3> Bonus APY&nbsp;{ tooltip() } : 
-      <Badge
-        count={totalAPY}
-        showZero={true}
-      /> 
-      </h3>
-  </div>
+function RecommitButton({ contractState, txFn, tokenState, ethMode, deposit }) {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [penalty, penaltySet] = useState(contractState?.minInitialPenaltyPercent?.toNumber());
+  const [period, periodSet] = useState(contractState?.minCommitPeriod?.toNumber());
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const newAmount = utils.formatUnits("" + deposit.withdrawWithBonus, tokenState.decimals);
+  return (
+    <div>
+
+      <Button
+        onClick={() => setModalVisible(true)}
+        size="large"
+        disabled={!(deposit.withdrawWithBonus > 0)}
+      > Re-commit 🔁
+      </Button>
+
+      <Modal
+        className="modal-container"
+        okText="Re-commit"
+        visible={modalVisible}
+        onOk={() => {
+          setModalVisible(false);
+          txFn("recommit", [deposit.tokenId, penalty, period]);
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>
+          Confirm re-commitment of {newAmount} {symbol}</h1>
+        <h2>
+          Keep the deposit in the pool with its&nbsp;
+          {utils.formatUnits(deposit.bonus || 0, tokenState.decimals)} {symbol} bonus
+          added to it, and start a new commitment:
+        </h2>
+        <CommitmentInput
+          contractState={contractState}
+          penalty={penalty}
+          period={period}
+          penaltySet={penaltySet}
+          periodSet={periodSet}
+          label="Re-commit for"
+        />
+        <h2>⚠️ Withdrawing before the new commitment ends will incur a penalty.</h2>
+      </Modal>
+
+    </div>
+  );
 }
 
-function APYTextPenalty({contractState, tokenId, deposit}) {
-  const secondsLeft = deposit?.timeLeft?.toNumber();
-  const commitAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.commitBonus, secondsLeft);
-  const holdAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.holdBonus, secondsLeft);
-  const totalAPY = calcAPYPercent(
-    contractState, tokenId, deposit?.balance, deposit?.bonus, secondsLeft);
+function SplitButton({ contractState, txFn, tokenState, ethMode, deposit }) {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [percent, percentSet] = useState(50);
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  // the split amount is in deposit shares, which differ from the balance only for
+  // fee-on-transfer and other dynamic supply tokens
+  const shares = contractState?.depositParams && contractState.depositParams[deposit.tokenId]?.amount;
+  const splitShares = shares?.mul(percent).div(100);
+  const format = (value) => utils.formatUnits(value || 0, tokenState.decimals);
+  return (
+    <div>
 
-  function tooltip() {
-    return <Tooltip
-      placement="top"
-      title={
-        <div>
-          <p><b>Bonus will only be available after commitment period</b></p>
-          <p>Calualations are assuming current bonus as available at commitment end time</p>
-          <p>Possible commit bonus APY: { commitAPY }</p>
-          <p>Possible hold bonus APY so far: { holdAPY }</p>
-        </div>
-      }>
-      <InfoCircleTwoTone></InfoCircleTwoTone>
-    </Tooltip>
-  }
+      <Button
+        onClick={() => setModalVisible(true)}
+        size="large"
+        disabled={!shares?.gt(1)}
+      > Split ✂️
+      </Button>
 
-  return <div>    
-    <h3> Possible bonus APY&nbsp;{ tooltip() } : 
-      <Badge  count={totalAPY} showZero={true} />
-    </h3>
-  </div>
+      <Modal
+        className="modal-container"
+        okText="Split"
+        visible={modalVisible}
+        okButtonProps={{ disabled: !splitShares?.gt(0) || splitShares?.gte(shares) }}
+        onOk={() => {
+          setModalVisible(false);
+          txFn("split", [deposit.tokenId, splitShares]);
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>
+          Split deposit #{deposit.tokenId.toString()} of {format(deposit.balance)} {symbol}</h1>
+        <Slider
+          min={1}
+          max={99}
+          value={percent}
+          onChange={percentSet}
+          tipFormatter={(value) => `${value}%`}
+        />
+        <h2>
+          Keep {format(deposit.balance?.mul(100 - percent).div(100))} {symbol} in this deposit, and
+          move {format(deposit.balance?.mul(percent).div(100))} {symbol} to a new deposit
+          with the same deposit time, penalty and commitment period.
+        </h2>
+        <h2>The new deposit can be transferred or withdrawn separately, or merged back later.</h2>
+      </Modal>
+
+    </div>
+  );
+}
+
+function MergeButton({ contractState, txFn, tokenState, ethMode, deposit }) {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [mergedTokenId, mergedTokenIdSet] = useState();
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const mergeable = contractState.mergeableTokenIds(deposit.tokenId);
+  return (
+    <div>
+
+      <Button
+        onClick={() => setModalVisible(true)}
+        size="large"
+      > Merge 🔗
+      </Button>
+
+      <Modal
+        className="modal-container"
+        okText="Merge"
+        visible={modalVisible}
+        okButtonProps={{ disabled: !mergedTokenId }}
+        onOk={() => {
+          setModalVisible(false);
+          txFn("merge", [deposit.tokenId, mergedTokenId]);
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>
+          Merge into deposit #{deposit.tokenId.toString()}</h1>
+        <h2>Deposits with the same deposit time, penalty and commitment period can be merged:</h2>
+        <Select
+          placeholder="Deposit to merge"
+          value={mergedTokenId}
+          onChange={mergedTokenIdSet}
+          style={{ width: "100%" }}
+        >
+          {mergeable.map((tokenId) =>
+            <Select.Option key={tokenId.toString()} value={tokenId.toString()}>
+              Deposit #{tokenId.toString()} ({
+                utils.formatUnits(contractState.poolDepositsDetails[tokenId]?.balance || 0,
+                  tokenState.decimals)} {symbol})
+            </Select.Option>)}
+        </Select>
+        <h2>⚠️ The merged deposit's NFT will be burned.</h2>
+      </Modal>
+
+    </div>
+  );
 }
 
+function EmergencyWithdrawButton({ txFn, tokenState, ethMode, deposit }) {
+  const [modalVisible, setModalVisible] = useState(false);
+  const symbol = ethMode ? "WETH" : tokenState.symbol;
+  return (
+    <div style={{ marginBottom: "10px" }}>
+
+      <Button
+        onClick={() => setModalVisible(true)}
+        danger
+        size="large"
+      > Emergency withdraw 🚨
+      </Button>
+
+      <Modal
+        className="modal-container"
+        okText="Emergency withdraw"
+        visible={modalVisible}
+        onOk={() => {
+          setModalVisible(false);
+          txFn("emergencyWithdraw", [deposit.tokenId]);
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>
+          Confirm emergency withdrawal of {
+            utils.formatUnits(deposit.balance || 0, tokenState.decimals)} {symbol}</h1>
+        <h2>Withdraw the deposited amount without penalty and without any bonus.</h2>
+        {ethMode ? <h2>⚠️ ETH deposits are withdrawn as WETH.</h2> : ""}
+        {deposit?.penalty?.eq(0) && deposit?.bonus?.gt(0) ?
+          <h2>⚠️ This deposit can be withdrawn with bonus instead.</h2> : ""}
+      </Modal>
+
+    </div>
+  );
+}
+
+function WithdrawAllMaturedButton({ contractState, txFn, tokenState, ethMode }) {
+  const [modalVisible, setModalVisible] = useState(false);
+  const [withdrawing, withdrawingSet] = useState(false);
+  const [tolerance, toleranceSet] = useState(DEFAULT_TOLERANCE);
+  const symbol = ethMode ? "ETH" : tokenState.symbol;
+  const tokenIds = contractState.maturedTokenIds;
+  const details = tokenIds.map((tokenId) => contractState.poolDepositsDetails[tokenId]);
+
+  // aggregates of all matured deposits
+  const balance = details.reduce((sum, d) => sum.add(d.balance), BigNumber.from(0));
+  const bonus = details.reduce(
+    (sum, d) => sum.add(d.holdBonus).add(d.commitBonus), BigNumber.from(0));
+  const total = balance.add(bonus);
+
+  // the tolerance is checked for each deposit
+  const minOuts = details.map(
+    (d) => minAmountOut(d.balance.add(d.holdBonus).add(d.commitBonus), tolerance));
+  const minOutTotal = minOuts.reduce((sum, m) => sum.add(m), BigNumber.from(0));
+
+  return (
+    <div style={{ marginBottom: "10px" }}>
+
+      <Button
+        onClick={() => setModalVisible(true)}
+        type="primary"
+        size="large"
+        disabled={withdrawing}
+      > Withdraw all {tokenIds.length} matured deposits
+        {bonus.gt(0) ? " with bonus 🤑" : ""}
+      </Button>
+
+      <Modal
+        className="modal-container"
+        okText="Withdraw all"
+        visible={modalVisible}
+        okButtonProps={{ disabled: !contractState.blockTimestamp }}
+        onOk={() => {
+          setModalVisible(false);
+          withdrawingSet(true);
+          txFn(
+            ethMode ? "withdrawWithBonusBatchETHMinOut" : "withdrawWithBonusBatchMinOut",
+            [tokenIds, minOuts, contractState.blockTimestamp + DEFAULT_DEADLINE],
+            () => withdrawingSet(false));
+        }}
+        onCancel={() => setModalVisible(false)}>
+        <h1 style={{ textAlign: "center" }}>
+          Confirm withdrawal of {utils.formatUnits(total, tokenState.decimals)} {symbol}
+        </h1>
+        <h2>
+          Withdraw deposits #{tokenIds.map((tokenId) => tokenId.toString()).join(", #")} in
+          one transaction:&nbsp;
+          {utils.formatUnits(balance, tokenState.decimals)} {symbol} deposited
+          {bonus.gt(0) ?
+            ` with ${utils.formatUnits(bonus, tokenState.decimals)} ${symbol} bonus!` : "."}
+        </h2>
+        <ToleranceInput
+          tolerance={tolerance}
+          toleranceSet={toleranceSet}
+          minOut={utils.formatUnits(minOutTotal, tokenState.decimals)}
+          symbol={symbol}
+        />
+        <h2>⚠️ Waiting for longer may increase available bonus.</h2>
+      </Modal>
+
+    </div>
+  );
+}
 
 
 function calcAPYPercent(contractState, tokenId, principal, bonus, futureOffset) {
@@ -0,0 +1,325 @@
+const { ethers } = require("ethers");
+const { HODL_POOL_ABI, REWARD_CAMPAIGNS_ABI } = require("./abi");
+const { signPermit } = require("./permit");
+const { queryEvents } = require("./events");
+const {
+  decodeDepositDetails,
+  decodePoolDetails,
+  decodeCampaignDetails,
+  decodeDepositsOfOwner,
+  decodeTokenURI,
+} = require("./decoders");
+
+// default validity of slippage protected withdrawals (seconds)
+const DEFAULT_DEADLINE = 20 * 60;
+
+// wrapper around a HodlPoolV3 contract with decoded views and transaction helpers
+class HodlPool {
+
+  // contract: ethers Contract of HodlPoolV3 (connected to a provider or signer)
+  constructor(contract) {
+    this.contract = contract;
+    this.address = contract.address;
+  }
+
+  // creates a wrapper from the contract address
+  static at(address, signerOrProvider) {
+    return new HodlPool(new ethers.Contract(address, HODL_POOL_ABI, signerOrProvider));
+  }
+
+  // returns a new wrapper connected to a different signer or provider
+  connect(signerOrProvider) {
+    return new HodlPool(this.contract.connect(signerOrProvider));
+  }
+
+  /* * * * * * * *
+   *
+   * Views
+   *
+   * * * * * * * *
+  */
+
+  // decoded depositDetails for a deposit tokenId
+  async getDeposit(tokenId) {
+    const details = decodeDepositDetails(await this.contract.depositDetails(tokenId));
+    return { tokenId: ethers.BigNumber.from(tokenId), ...details };
+  }
+
+  // decoded poolDetails for an asset address, with the pool's guardian flags
+  async getPool(asset) {
+    const [details, depositsPaused, emergencyWithdrawals] = await Promise.all([
+      this.contract.poolDetails(asset),
+      this.contract.depositsPaused(asset),
+      this.contract.emergencyWithdrawals(asset),
+    ]);
+    return { asset, ...decodePoolDetails(details), depositsPaused, emergencyWithdrawals };
+  }
+
+  // tokenIds and deposit params of all deposits owned by an account
+  async getDepositsOfOwner(account) {
+    return decodeDepositsOfOwner(await this.contract.depositsOfOwner(account));
+  }
+
+  // decoded tokenURI metadata (name, description, image, attributes) of a deposit
+  async getMetadata(tokenId) {
+    return decodeTokenURI(await this.contract.tokenURI(tokenId));
+  }
+
+  // WETH address used by the pool for ETH deposits (cached)
+  async getWETHAddress() {
+    if (!this._WETHAddress) {
+      this._WETHAddress = await this.contract.WETH();
+    }
+    return this._WETHAddress;
+  }
+
+  // RewardCampaigns contract deployed by the pool (cached), connected to the same
+  // signer or provider
+  async getCampaignsContract() {
+    if (!this._campaigns) {
+      this._campaigns = new ethers.Contract(
+        await this.contract.campaigns(), REWARD_CAMPAIGNS_ABI,
+        this.contract.signer || this.contract.provider);
+    }
+    return this._campaigns;
+  }
+
+  // decoded campaignDetails of all the reward campaigns of an asset's pool
+  async getCampaigns(asset) {
+    const campaigns = await this.getCampaignsContract();
+    const campaignIds = await campaigns.campaignsOf(asset);
+    return Promise.all(campaignIds.map(async (campaignId) => ({
+      campaignId,
+      ...decodeCampaignDetails(await campaigns.campaignDetails(campaignId)),
+    })));
+  }
+
+  // rewards of a deposit in each of its asset's campaigns: [{campaignId, rewardToken, amount}]
+  async getPendingRewards(tokenId) {
+    const [{ asset }, campaigns] = await Promise.all([
+      this.getDeposit(tokenId), this.getCampaignsContract()]);
+    return Promise.all((await this.getCampaigns(asset)).map(async (campaign) => ({
+      campaignId: campaign.campaignId,
+      rewardToken: campaign.rewardToken,
+      amount: await campaigns.pendingRewards(campaign.campaignId, tokenId),
+    })));
+  }
+
+  // Deposited, Withdrawed and Recommitted events of an asset's pool in a block range,
+  // in chain order, each with the timestamp of its block (for poolHistory)
+  // options: {pageSize, retries, retryDelay} for providers that limit the block range
+  async getPoolEvents(asset, fromBlock = 0, toBlock = "latest", options = {}) {
+    return queryEvents(
+      this.contract,
+      ["Deposited", "Withdrawed", "Recommitted", "BonusAdded"].map((name) => [name, [asset]]),
+      fromBlock, toBlock, options);
+  }
+
+  /* * * * * * * *
+   *
+   * Transactions
+   *
+   * * * * * * * *
+  */
+
+  deposit(asset, amount, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.deposit(asset, amount, initialPenaltyPercent, commitPeriod, overrides);
+  }
+
+  // signs an EIP-2612 permit for the amount and deposits in one transaction
+  // (the signer must be connected, and the token must support permit)
+  async depositWithPermit(
+    asset, amount, initialPenaltyPercent, commitPeriod, { deadline, overrides = {} } = {}
+  ) {
+    const { timestamp } = await this.contract.provider.getBlock("latest");
+    const permit = await signPermit(
+      this.contract.signer, asset, this.address, amount, deadline ?? timestamp + 3600);
+    return this.contract.depositWithPermit(
+      asset, amount, initialPenaltyPercent, commitPeriod,
+      permit.deadline, permit.v, permit.r, permit.s, overrides);
+  }
+
+  depositETH(amount, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.depositETH(
+      initialPenaltyPercent, commitPeriod, { ...overrides, value: amount });
+  }
+
+  depositFor(account, asset, amount, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.depositFor(
+      account, asset, amount, initialPenaltyPercent, commitPeriod, overrides);
+  }
+
+  depositETHFor(account, amount, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.depositETHFor(
+      account, initialPenaltyPercent, commitPeriod, { ...overrides, value: amount });
+  }
+
+  // one deposit per account in a single transaction (the total is transferred once)
+  depositForMany(accounts, asset, amounts, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.depositForMany(
+      accounts, asset, amounts, initialPenaltyPercent, commitPeriod, overrides);
+  }
+
+  // sends the sum of the amounts as value
+  depositETHForMany(accounts, amounts, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    const value = amounts.reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0));
+    return this.contract.depositETHForMany(
+      accounts, amounts, initialPenaltyPercent, commitPeriod, { ...overrides, value });
+  }
+
+  withdrawWithBonus(tokenId, overrides = {}) {
+    return this.contract.withdrawWithBonus(tokenId, overrides);
+  }
+
+  withdrawWithBonusETH(tokenId, overrides = {}) {
+    return this.contract.withdrawWithBonusETH(tokenId, overrides);
+  }
+
+  withdrawWithPenalty(tokenId, overrides = {}) {
+    return this.contract.withdrawWithPenalty(tokenId, overrides);
+  }
+
+  withdrawWithPenaltyETH(tokenId, overrides = {}) {
+    return this.contract.withdrawWithPenaltyETH(tokenId, overrides);
+  }
+
+  // slippage protected withdrawals: revert if the amount sent is less than minAmountOut
+  // (before any fee-on-transfer) or if mined after deadline (unix seconds)
+  withdrawWithBonusMinOut(tokenId, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithBonusMinOut(tokenId, minAmountOut, deadline, overrides);
+  }
+
+  withdrawWithBonusETHMinOut(tokenId, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithBonusETHMinOut(tokenId, minAmountOut, deadline, overrides);
+  }
+
+  withdrawWithPenaltyMinOut(tokenId, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithPenaltyMinOut(tokenId, minAmountOut, deadline, overrides);
+  }
+
+  withdrawWithPenaltyETHMinOut(tokenId, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithPenaltyETHMinOut(tokenId, minAmountOut, deadline, overrides);
+  }
+
+  withdrawWithBonusBatch(tokenIds, overrides = {}) {
+    return this.contract.withdrawWithBonusBatch(tokenIds, overrides);
+  }
+
+  withdrawWithBonusBatchETH(tokenIds, overrides = {}) {
+    return this.contract.withdrawWithBonusBatchETH(tokenIds, overrides);
+  }
+
+  // minAmountsOut are per deposit, in the order of tokenIds
+  withdrawWithBonusBatchMinOut(tokenIds, minAmountsOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithBonusBatchMinOut(tokenIds, minAmountsOut, deadline, overrides);
+  }
+
+  withdrawWithBonusBatchETHMinOut(tokenIds, minAmountsOut, deadline, overrides = {}) {
+    return this.contract.withdrawWithBonusBatchETHMinOut(
+      tokenIds, minAmountsOut, deadline, overrides);
+  }
+
+  recommit(tokenId, initialPenaltyPercent, commitPeriod, overrides = {}) {
+    return this.contract.recommit(tokenId, initialPenaltyPercent, commitPeriod, overrides);
+  }
+
+  // principal only withdrawal, for pools with emergency withdrawals enabled by the guardian
+  emergencyWithdraw(tokenId, overrides = {}) {
+    return this.contract.emergencyWithdraw(tokenId, overrides);
+  }
+
+  // sponsorship: adds amount to the asset's bonus pools, holdShare percent of it
+  // to the hold bonus pool and the rest to the commit bonus pool
+  addBonus(asset, amount, holdShare, overrides = {}) {
+    return this.contract.addBonus(asset, amount, holdShare, overrides);
+  }
+
+  addBonusETH(amount, holdShare, overrides = {}) {
+    return this.contract.addBonusETH(holdShare, { ...overrides, value: amount });
+  }
+
+  // early withdrawal of amount (in deposit shares, as in getDepositsOfOwner) with the
+  // penalty only for that part, the rest of the deposit keeps its commitment
+  withdrawPartial(tokenId, amount, overrides = {}) {
+    return this.contract.withdrawPartial(tokenId, amount, overrides);
+  }
+
+  withdrawPartialETH(tokenId, amount, overrides = {}) {
+    return this.contract.withdrawPartialETH(tokenId, amount, overrides);
+  }
+
+  withdrawPartialMinOut(tokenId, amount, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawPartialMinOut(tokenId, amount, minAmountOut, deadline, overrides);
+  }
+
+  withdrawPartialETHMinOut(tokenId, amount, minAmountOut, deadline, overrides = {}) {
+    return this.contract.withdrawPartialETHMinOut(
+      tokenId, amount, minAmountOut, deadline, overrides);
+  }
+
+  // moves amount (in deposit shares, as in getDepositsOfOwner) to a new deposit with same terms
+  split(tokenId, amount, overrides = {}) {
+    return this.contract.split(tokenId, amount, overrides);
+  }
+
+  // merges two deposits with identical asset, time, initial penalty and commitment period
+  merge(tokenId, mergedTokenId, overrides = {}) {
+    return this.contract.merge(tokenId, mergedTokenId, overrides);
+  }
+
+  // starts a campaign streaming amount of rewardToken over period (seconds) to the deposits
+  // of asset, pro rata to commit-points if commitWeighted, otherwise to hold-points
+  // (one campaign per creator and asset, the reward token needs to be approved for the
+  // campaigns contract)
+  async startCampaign(asset, rewardToken, amount, period, commitWeighted, overrides = {}) {
+    return (await this.getCampaignsContract()).startCampaign(
+      asset, rewardToken, amount, period, commitWeighted, overrides);
+  }
+
+  // adds rewards to a campaign (only by its creator), streamed over the rest of the period
+  // of an active campaign, or over a new period (seconds) if the campaign has ended
+  async addCampaignRewards(campaignId, amount, period, overrides = {}) {
+    return (await this.getCampaignsContract()).addRewards(campaignId, amount, period, overrides);
+  }
+
+  // sends the rewards in rewardToken credited to the signer by deposits' withdrawals
+  async claimRewards(rewardToken, overrides = {}) {
+    return (await this.getCampaignsContract()).claimRewards(rewardToken, overrides);
+  }
+
+  // records the final rewards of deposits (tokenIds) in an ended campaign, so that the
+  // campaign's slot can be taken by a new campaign
+  async recordCampaignRewards(campaignId, tokenIds, overrides = {}) {
+    return (await this.getCampaignsContract()).recordRewards(campaignId, tokenIds, overrides);
+  }
+
+  // credits the rewards of withdrawn deposits (tokenIds) in a removed campaign to their
+  // owners (or to the campaign's creator if they were forfeited)
+  async releaseCampaignRewards(campaignId, tokenIds, overrides = {}) {
+    return (await this.getCampaignsContract()).releaseRewards(campaignId, tokenIds, overrides);
+  }
+
+  // withdraws a deposit choosing the right method:
+  // - with bonus if the commitment period is over, otherwise only if allowPenalty is set
+  // - as ETH for WETH deposits unless asETH is explicitly false
+  // - slippage protected if minAmountOut is set, with deadline defaulting to
+  //   DEFAULT_DEADLINE seconds after the latest block
+  async withdraw(
+    tokenId, { allowPenalty = false, asETH, minAmountOut, deadline, overrides = {} } = {},
+  ) {
+    const deposit = await this.getDeposit(tokenId);
+    const withPenalty = deposit.timeLeftToHold.gt(0);
+    if (withPenalty && !allowPenalty) {
+      throw new Error(
+        `deposit ${tokenId} can only be withdrawn with a penalty of ${deposit.penalty}`);
+    }
+    const eth = asETH ?? (deposit.asset === ethers.utils.getAddress(await this.getWETHAddress()));
+    const method = (withPenalty ? "withdrawWithPenalty" : "withdrawWithBonus") + (eth ? "ETH" : "");
+    if (minAmountOut == null) return this[method](tokenId, overrides);
+    deadline = deadline ??
+      (await this.contract.provider.getBlock("latest")).timestamp + DEFAULT_DEADLINE;
+    return this[method + "MinOut"](tokenId, minAmountOut, deadline, overrides);
+  }
+}
+
+module.exports = { HodlPool, DEFAULT_DEADLINE };
@@ -0,0 +1,122 @@
+// human readable ABI of the HodlPoolV3 methods and events used by this package
+const HODL_POOL_ABI = [
+  // constants
+  "function WETH() view returns (address)",
+  "function minInitialPenaltyPercent() view returns (uint256)",
+  "function minCommitPeriod() view returns (uint256)",
+  "function guardian() view returns (address)",
+  "function campaigns() view returns (address)",
+
+  // views
+  "function depositDetails(uint256 tokenId) view returns (uint256[12])",
+  "function poolDetails(address asset) view returns (uint256[5])",
+  "function depositsOfOwner(address account) view returns " +
+    "(uint256[] tokenIds, tuple(address asset, uint40 time, uint16 initialPenaltyPercent, " +
+    "uint40 commitPeriod, uint256 amount)[] accountDeposits)",
+  "function tokenURI(uint256 tokenId) view returns (string)",
+  "function ownerOf(uint256 tokenId) view returns (address)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function depositsPaused(address asset) view returns (bool)",
+  "function emergencyWithdrawals(address asset) view returns (bool)",
+
+  // transactions
+  "function deposit(address asset, uint256 amount, uint256 initialPenaltyPercent, uint256 commitPeriod) " +
+    "returns (uint256 tokenId)",
+  "function depositWithPermit(address asset, uint256 amount, uint256 initialPenaltyPercent, " +
+    "uint256 commitPeriod, uint256 deadline, uint8 v, bytes32 r, bytes32 s) returns (uint256 tokenId)",
+  "function depositETH(uint256 initialPenaltyPercent, uint256 commitPeriod) payable returns (uint256 tokenId)",
+  "function depositFor(address account, address asset, uint256 amount, uint256 initialPenaltyPercent, " +
+    "uint256 commitPeriod) returns (uint256 tokenId)",
+  "function depositETHFor(address account, uint256 initialPenaltyPercent, uint256 commitPeriod) " +
+    "payable returns (uint256 tokenId)",
+  "function depositForMany(address[] accounts, address asset, uint256[] amounts, " +
+    "uint256 initialPenaltyPercent, uint256 commitPeriod) returns (uint256[] tokenIds)",
+  "function depositETHForMany(address[] accounts, uint256[] amounts, uint256 initialPenaltyPercent, " +
+    "uint256 commitPeriod) payable returns (uint256[] tokenIds)",
+  "function withdrawWithBonus(uint256 tokenId)",
+  "function withdrawWithBonusETH(uint256 tokenId)",
+  "function withdrawWithPenalty(uint256 tokenId)",
+  "function withdrawWithPenaltyETH(uint256 tokenId)",
+  "function withdrawWithBonusMinOut(uint256 tokenId, uint256 minAmountOut, uint256 deadline)",
+  "function withdrawWithBonusETHMinOut(uint256 tokenId, uint256 minAmountOut, uint256 deadline)",
+  "function withdrawWithPenaltyMinOut(uint256 tokenId, uint256 minAmountOut, uint256 deadline)",
+  "function withdrawWithPenaltyETHMinOut(uint256 tokenId, uint256 minAmountOut, uint256 deadline)",
+  "function withdrawWithBonusBatch(uint256[] tokenIds)",
+  "function withdrawWithBonusBatchETH(uint256[] tokenIds)",
+  "function withdrawWithBonusBatchMinOut(uint256[] tokenIds, uint256[] minAmountsOut, " +
+    "uint256 deadline)",
+  "function withdrawWithBonusBatchETHMinOut(uint256[] tokenIds, uint256[] minAmountsOut, " +
+    "uint256 deadline)",
+  "function recommit(uint256 tokenId, uint256 initialPenaltyPercent, uint256 commitPeriod)",
+  "function emergencyWithdraw(uint256 tokenId)",
+  "function addBonus(address asset, uint256 amount, uint256 holdShare)",
+  "function addBonusETH(uint256 holdShare) payable",
+  "function withdrawPartial(uint256 tokenId, uint256 amount)",
+  "function withdrawPartialETH(uint256 tokenId, uint256 amount)",
+  "function withdrawPartialMinOut(uint256 tokenId, uint256 amount, uint256 minAmountOut, " +
+    "uint256 deadline)",
+  "function withdrawPartialETHMinOut(uint256 tokenId, uint256 amount, uint256 minAmountOut, " +
+    "uint256 deadline)",
+  "function split(uint256 tokenId, uint256 amount) returns (uint256 newTokenId)",
+  "function merge(uint256 tokenId, uint256 mergedTokenId)",
+
+  // guardian actions
+  "function setGuardian(address newGuardian)",
+  "function setDepositsPaused(address asset, bool paused)",
+  "function setEmergencyWithdrawals(address asset, bool enabled)",
+
+  // events
+  "event Deposited(address indexed asset, address indexed account, uint256 amount, uint256 amountReceived, " +
+    "uint256 time, uint256 initialPenaltyPercent, uint256 commitPeriod, uint256 tokenId)",
+  "event Withdrawed(address indexed asset, address indexed account, uint256 amount, uint256 depositAmount, " +
+    "uint256 penalty, uint256 holdBonus, uint256 commitBonus, uint256 timeHeld)",
+  "event Recommitted(address indexed asset, address indexed account, uint256 tokenId, uint256 amount, " +
+    "uint256 holdBonus, uint256 commitBonus, uint256 time, uint256 initialPenaltyPercent, uint256 commitPeriod)",
+  "event BonusAdded(address indexed asset, address indexed account, uint256 amount, " +
+    "uint256 amountReceived, uint256 holdBonus, uint256 commitBonus)",
+  "event PartiallyWithdrawed(address indexed asset, address indexed account, uint256 tokenId, " +
+    "uint256 amountLeft)",
+  "event Split(address indexed asset, address indexed account, uint256 tokenId, uint256 newTokenId, " +
+    "uint256 amount)",
+  "event Merged(address indexed asset, address indexed account, uint256 tokenId, uint256 mergedTokenId, " +
+    "uint256 amount)",
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event GuardianSet(address indexed guardian)",
+  "event DepositsPaused(address indexed asset, bool paused)",
+  "event EmergencyWithdrawalsSet(address indexed asset, bool enabled)",
+];
+
+// human readable ABI of the RewardCampaigns contract (deployed by the pool, see campaigns())
+const REWARD_CAMPAIGNS_ABI = [
+  // constants
+  "function pool() view returns (address)",
+  "function MAX_CAMPAIGNS() view returns (uint256)",
+  "function MAX_REWARDS() view returns (uint256)",
+
+  // views
+  "function campaignsOf(address asset) view returns (uint256[])",
+  "function campaignDetails(uint256 campaignId) view returns (uint256[8])",
+  "function pendingRewards(uint256 campaignId, uint256 tokenId) view returns (uint256)",
+  "function rewardsOf(address account, address rewardToken) view returns (uint256)",
+
+  // transactions
+  "function startCampaign(address asset, address rewardToken, uint256 amount, uint256 period, " +
+    "bool commitWeighted) returns (uint256 campaignId)",
+  "function addRewards(uint256 campaignId, uint256 amount, uint256 period)",
+  "function claimRewards(address rewardToken)",
+  "function recordRewards(uint256 campaignId, uint256[] tokenIds)",
+  "function releaseRewards(uint256 campaignId, uint256[] tokenIds)",
+
+  // events
+  "event CampaignStarted(uint256 indexed campaignId, address indexed asset, address indexed rewardToken, " +
+    "address account, bool commitWeighted)",
+  "event RewardsAdded(uint256 indexed campaignId, address indexed account, uint256 amount, " +
+    "uint256 amountReceived, uint256 periodFinish)",
+  "event RewardsCredited(uint256 indexed campaignId, uint256 indexed tokenId, address indexed account, " +
+    "uint256 amount)",
+  "event RewardsForfeited(uint256 indexed campaignId, uint256 indexed tokenId, uint256 amount)",
+  "event RewardsClaimed(address indexed account, address indexed rewardToken, uint256 amount)",
+  "event CampaignRemoved(uint256 indexed campaignId, uint256 unallocated)",
+];
+
+module.exports = { HODL_POOL_ABI, REWARD_CAMPAIGNS_ABI };
@@ -0,0 +1,95 @@
+const { ethers } = require("ethers");
+
+// Bulk deposits on behalf of others (e.g. time-locked grants by a DAO), parsed
+// from a CSV to be submitted as depositForMany / depositETHForMany transactions.
+
+const BULK_COLUMNS = ["beneficiary", "amount", "penalty", "days"];
+
+// parses a CSV with a header row: beneficiary,amount,penalty,days
+//  - beneficiary: address or ENS name (names need to be resolved before depositing)
+//  - amount: in token units (e.g. 1.5), parsed with the token's decimals
+//  - penalty: initial penalty percent
+//  - days: commitment period in days (can be fractional)
+// returns {deposits, errors}: deposits as
+//   [{line, account, amount, initialPenaltyPercent, commitPeriod}] (commitPeriod in seconds)
+// and errors as messages with line numbers, the deposits shouldn't be submitted if
+// there are any errors
+function parseBulkDeposits(text, decimals) {
+  const deposits = [];
+  const errors = [];
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header.split(",").map((column) => column.trim().toLowerCase());
+  const indexes = BULK_COLUMNS.map((column) => columns.indexOf(column));
+  const missing = BULK_COLUMNS.filter((column, i) => indexes[i] < 0);
+  if (missing.length) {
+    return { deposits, errors: [`missing columns: ${missing.join(", ")}`] };
+  }
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const lineNumber = i + 2;  // 1-based, after the header
+    const [account, amountText, penaltyText, daysText] = indexes.map(
+      (index) => (line.split(",")[index] || "").trim());
+    const lineErrors = [];
+
+    if (!ethers.utils.isAddress(account) && !/^[^\s.]+(\.[^\s.]+)+$/.test(account)) {
+      lineErrors.push(`invalid beneficiary "${account}"`);
+    }
+    let amount;
+    try {
+      amount = ethers.utils.parseUnits(amountText, decimals);
+    } catch (e) {
+      amount = undefined;
+    }
+    if (!amount || amount.lte(0)) lineErrors.push(`invalid amount "${amountText}"`);
+    const initialPenaltyPercent = Number(penaltyText);
+    if (!Number.isInteger(initialPenaltyPercent) || initialPenaltyPercent <= 0 || initialPenaltyPercent > 100) {
+      lineErrors.push(`invalid penalty "${penaltyText}"`);
+    }
+    const days = Number(daysText);
+    if (!daysText || !(days > 0)) lineErrors.push(`invalid days "${daysText}"`);
+
+    if (lineErrors.length) {
+      errors.push(`line ${lineNumber}: ${lineErrors.join(", ")}`);
+    } else {
+      deposits.push({
+        line: lineNumber,
+        account,
+        amount,
+        initialPenaltyPercent,
+        commitPeriod: Math.round(days * 86400),
+      });
+    }
+  });
+
+  if (!deposits.length && !errors.length) errors.push("no deposits");
+  return { deposits, errors };
+}
+
+// sum of the deposits' amounts (e.g. to approve once for all of them)
+function bulkDepositsTotal(deposits) {
+  return deposits.reduce((sum, deposit) => sum.add(deposit.amount), ethers.BigNumber.from(0));
+}
+
+// groups deposits with the same commitment params, to be submitted as one
+// depositForMany / depositETHForMany transaction per group:
+//   [{initialPenaltyPercent, commitPeriod, deposits}] in the order of first appearance
+function groupBulkDeposits(deposits) {
+  const groups = {};
+  deposits.forEach((deposit) => {
+    const key = `${deposit.initialPenaltyPercent}:${deposit.commitPeriod}`;
+    groups[key] = groups[key] || {
+      initialPenaltyPercent: deposit.initialPenaltyPercent,
+      commitPeriod: deposit.commitPeriod,
+      deposits: [],
+    };
+    groups[key].deposits.push(deposit);
+  });
+  return Object.values(groups);
+}
+
+module.exports = {
+  parseBulkDeposits,
+  bulkDepositsTotal,
+  groupBulkDeposits,
+};
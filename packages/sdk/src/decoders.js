@@ -0,0 +1,91 @@
+const { ethers } = require("ethers");
+
+// Decoders for the batched views of HodlPoolV3. The contract returns fixed size
+// uint arrays to reduce RPC calls, and these functions are the single place where
+// the indices of these arrays are mapped to named values.
+// All decoders return undefined for undefined input (e.g. while still loading).
+
+// converts a uint (BigNumber) holding an address into a checksummed address
+function uintToAddress(value) {
+  return ethers.utils.getAddress(ethers.utils.hexZeroPad(value.toHexString(), 20));
+}
+
+// details: array of 12 values returned by depositDetails(tokenId)
+function decodeDepositDetails(details) {
+  if (!details) return undefined;
+  return {
+    asset: uintToAddress(details[0]),
+    account: uintToAddress(details[1]),
+    balance: details[2],
+    timeLeftToHold: details[3],
+    penalty: details[4],
+    holdBonus: details[5],
+    commitBonus: details[6],
+    holdPoints: details[7],
+    commitPoints: details[8],
+    initialPenaltyPercent: details[9],
+    currentPenaltyPercent: details[10],
+    commitPeriod: details[11],
+  };
+}
+
+// details: array of 5 values returned by poolDetails(asset)
+function decodePoolDetails(details) {
+  if (!details) return undefined;
+  return {
+    depositsSum: details[0],
+    holdBonusesSum: details[1],
+    commitBonusesSum: details[2],
+    totalHoldPoints: details[3],
+    totalCommitPoints: details[4],
+  };
+}
+
+// details: the uint256[8] array returned by campaignDetails(campaignId) of RewardCampaigns
+function decodeCampaignDetails(details) {
+  if (!details) return undefined;
+  return {
+    asset: uintToAddress(details[0]),
+    rewardToken: uintToAddress(details[1]),
+    commitWeighted: details[2].eq(1),
+    periodFinish: details[3].toNumber(),
+    rewardsLeft: details[4],
+    rewardsSum: details[5],
+    unallocated: details[6],
+    totalPoints: details[7],
+  };
+}
+
+// result: the two arrays (tokenIds and deposits params) returned by depositsOfOwner(account)
+function decodeDepositsOfOwner(result) {
+  if (!result) return undefined;
+  const tokenIds = result.tokenIds || result[0];
+  const accountDeposits = result.accountDeposits || result[1];
+  return {
+    tokenIds,
+    deposits: tokenIds.map((tokenId, i) => ({
+      tokenId,
+      asset: accountDeposits[i].asset,
+      time: accountDeposits[i].time,
+      initialPenaltyPercent: accountDeposits[i].initialPenaltyPercent,
+      commitPeriod: accountDeposits[i].commitPeriod,
+      amount: accountDeposits[i].amount,
+    })),
+  };
+}
+
+// uri: base64 encoded JSON data URI returned by tokenURI(tokenId), the image
+// in the returned metadata is left as a data URI (to be used as an image src)
+function decodeTokenURI(uri) {
+  if (!uri) return undefined;
+  const [, encoded] = uri.split("base64,");
+  return JSON.parse(ethers.utils.toUtf8String(ethers.utils.base64.decode(encoded)));
+}
+
+module.exports = {
+  decodeDepositDetails,
+  decodePoolDetails,
+  decodeCampaignDetails,
+  decodeDepositsOfOwner,
+  decodeTokenURI,
+};
@@ -0,0 +1,96 @@
+const { ethers } = require("ethers");
+
+// Event history queries that work with RPC providers that limit the block range
+// (or number of results) of eth_getLogs: the range is queried in pages, and each
+// page is retried with a backoff before failing.
+
+const DEFAULT_PAGE_SIZE = 5000;
+
+// calls fn until it succeeds, at most retries + 1 times, with exponential backoff
+async function withRetry(fn, retries, retryDelay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= retries) throw e;
+      await new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt));
+    }
+  }
+}
+
+// queryFilter in pages of at most pageSize blocks (toBlock can be "latest")
+async function queryFilterPaged(
+  contract, filter, fromBlock, toBlock,
+  { pageSize = DEFAULT_PAGE_SIZE, retries = 3, retryDelay = 1000 } = {}
+) {
+  if (toBlock === "latest") toBlock = await contract.provider.getBlockNumber();
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += pageSize) {
+    const end = Math.min(start + pageSize - 1, toBlock);
+    events.push(...await withRetry(
+      () => contract.queryFilter(filter, start, end), retries, retryDelay));
+  }
+  return events;
+}
+
+// adds a "timestamp" (of its block) to each event, one block query per block with events
+async function addTimestamps(provider, events) {
+  const timestamps = {};
+  for (const blockNumber of new Set(events.map((e) => e.blockNumber))) {
+    timestamps[blockNumber] = (await provider.getBlock(blockNumber)).timestamp;
+  }
+  events.forEach((e) => { e.timestamp = timestamps[e.blockNumber]; });
+  return events;
+}
+
+// events of several filters in a block range, without duplicates (logs that match
+// more than one filter), in chain order and with timestamps
+// filters: [[eventName, filterArgs], ...] e.g. [["Deposited", [asset]]]
+async function queryEvents(contract, filters, fromBlock, toBlock, options = {}) {
+  if (toBlock === "latest") toBlock = await contract.provider.getBlockNumber();
+  const pages = [];
+  for (const [eventName, args] of filters) {
+    pages.push(await queryFilterPaged(
+      contract, contract.filters[eventName](...(args || [])), fromBlock, toBlock, options));
+  }
+  const unique = {};
+  pages.flat().forEach((e) => { unique[`${e.transactionHash}:${e.logIndex}`] = e; });
+  const events = Object.values(unique).sort(
+    (a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  return addTimestamps(contract.provider, events);
+}
+
+// plain object of an event with only its named args, that can be serialized
+// with serializeEvents (e.g. for caching)
+function plainEvent(e) {
+  const args = {};
+  // args are an array with the named args as extra keys
+  Object.keys(e.args).filter((key) => isNaN(key)).forEach((key) => { args[key] = e.args[key]; });
+  return {
+    event: e.event,
+    blockNumber: e.blockNumber,
+    logIndex: e.logIndex,
+    transactionHash: e.transactionHash,
+    timestamp: e.timestamp,
+    args,
+  };
+}
+
+// JSON of plain events, and back (with BigNumber args)
+function serializeEvents(events) {
+  return JSON.stringify(events);
+}
+
+function deserializeEvents(json) {
+  return JSON.parse(json, (key, value) =>
+    (value && value.type === "BigNumber" && value.hex) ? ethers.BigNumber.from(value.hex) : value);
+}
+
+module.exports = {
+  queryFilterPaged,
+  queryEvents,
+  addTimestamps,
+  plainEvent,
+  serializeEvents,
+  deserializeEvents,
+};
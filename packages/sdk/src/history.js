@@ -0,0 +1,155 @@
+const { ethers } = require("ethers");
+
+// Reconstruction of a pool's state over time from its event history.
+// Follows the pool accounting of the contract (see _addDepositToPool and
+// _removeDepositFromPool): penalties are split in half between the hold and commit
+// bonus pools, sponsorships (addBonus) are added to them, and paid out bonuses are
+// removed from them.
+// The deposits sum is in deposit shares (as in the pool), the other event amounts are
+// used as is, so for tokens with fees or rebasing the series are approximations of the
+// actual token amounts.
+
+const { BigNumber } = ethers;
+
+// orders events by their position in the chain
+function compareEvents(a, b) {
+  return (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+}
+
+// commitment periods of the deposits by their start time (as strings of unix seconds),
+// from their Deposited and Recommitted events (other events are ignored)
+function commitPeriodsByTime(events) {
+  const commitPeriods = {};
+  events.filter((e) => e.event === "Deposited" || e.event === "Recommitted").forEach((e) => {
+    const time = e.args.time.toString();
+    commitPeriods[time] = [...(commitPeriods[time] || []), e.args.commitPeriod];
+  });
+  return commitPeriods;
+}
+
+// whether a withdrawal without penalty was after the commitment period: if it has a
+// bonus, or if the deposits that started at its deposit time were all held for their
+// commitment period. Emergency withdrawals before the commitment end have neither.
+// commitPeriods: the commitment periods of the deposits by their start time
+function isMatured(e, commitPeriods) {
+  const { holdBonus, commitBonus, timeHeld } = e.args;
+  if (holdBonus.gt(0) || commitBonus.gt(0)) return true;
+  const periods = commitPeriods[BigNumber.from(e.timestamp).sub(timeHeld).toString()];
+  return !!periods && periods.every((period) => timeHeld.gte(period));
+}
+
+// events: Deposited, Withdrawed, Recommitted and BonusAdded ethers events of a single asset,
+//   each with an added "timestamp" (of its block). Other events are ignored.
+// returns an array of points (one per event, in chain order) with the pool's
+//   cumulative state after that event
+function poolHistory(events) {
+  const zero = BigNumber.from(0);
+  const state = {
+    depositsSum: zero,
+    holdBonusesSum: zero,
+    commitBonusesSum: zero,
+    penaltiesSum: zero,
+    bonusesPaidSum: zero,
+    sponsorshipsSum: zero,
+    depositsCount: 0,
+    earlyWithdrawalsCount: 0,
+    maturedWithdrawalsCount: 0,
+  };
+
+  const points = [];
+  const commitPeriods = commitPeriodsByTime(events);
+  [...events].sort(compareEvents).forEach((e) => {
+    const args = e.args;
+    if (e.event === "Deposited") {
+      state.depositsSum = state.depositsSum.add(args.amount);
+      state.depositsCount += 1;
+    } else if (e.event === "Withdrawed") {
+      state.depositsSum = state.depositsSum.sub(args.depositAmount);
+      if (args.penalty.gt(0)) {
+        const holdPart = args.penalty.div(2);
+        state.holdBonusesSum = state.holdBonusesSum.add(holdPart);
+        state.commitBonusesSum = state.commitBonusesSum.add(args.penalty.sub(holdPart));
+        state.penaltiesSum = state.penaltiesSum.add(args.penalty);
+        state.earlyWithdrawalsCount += 1;
+      } else {
+        state.holdBonusesSum = state.holdBonusesSum.sub(args.holdBonus);
+        state.commitBonusesSum = state.commitBonusesSum.sub(args.commitBonus);
+        state.bonusesPaidSum = state.bonusesPaidSum.add(args.holdBonus).add(args.commitBonus);
+        if (isMatured(e, commitPeriods)) {
+          state.maturedWithdrawalsCount += 1;
+        }
+      }
+    } else if (e.event === "Recommitted") {
+      // bonuses move from the bonus pools into the deposit
+      const bonus = args.holdBonus.add(args.commitBonus);
+      state.depositsSum = state.depositsSum.add(bonus);
+      state.holdBonusesSum = state.holdBonusesSum.sub(args.holdBonus);
+      state.commitBonusesSum = state.commitBonusesSum.sub(args.commitBonus);
+      state.bonusesPaidSum = state.bonusesPaidSum.add(bonus);
+    } else if (e.event === "BonusAdded") {
+      state.holdBonusesSum = state.holdBonusesSum.add(args.holdBonus);
+      state.commitBonusesSum = state.commitBonusesSum.add(args.commitBonus);
+      state.sponsorshipsSum = state.sponsorshipsSum.add(args.amountReceived);
+    } else {
+      return;
+    }
+    points.push({
+      blockNumber: e.blockNumber,
+      timestamp: e.timestamp,
+      event: e.event,
+      ...state,
+    });
+  });
+  return points;
+}
+
+const YEAR_SECONDS = 365 * 86400;
+
+// confidence in a realized yield figure by the number of withdrawals it is based on
+function sampleConfidence(sampleSize) {
+  if (sampleSize >= 10) return "high";
+  if (sampleSize >= 3) return "medium";
+  return "low";
+}
+
+// pool-level realized yield of the deposits withdrawn after their commitment period
+// during the trailing window of days before "now" (unix seconds):
+//   total bonus / total (principal * timeHeld), annualized (not compounded)
+// events: Withdrawed events with a "timestamp", and the Deposited and Recommitted events
+//   of their deposits (for the commitment periods, other events are ignored). Matured
+//   withdrawals without a bonus (e.g. from empty bonus pools) are 0% samples. Early
+//   and emergency withdrawals before the commitment end don't realize a yield and aren't
+//   counted. Recommitted bonuses are not counted because there's no timeHeld for them.
+// returns {days, apyPercent, sampleSize, confidence}, apyPercent is null if no samples
+function realizedAPY(events, now, days) {
+  const from = now - days * 86400;
+  const commitPeriods = commitPeriodsByTime(events);
+  const samples = events.filter((e) =>
+    e.event === "Withdrawed" && e.timestamp > from && e.timestamp <= now &&
+    e.args.penalty.eq(0) && e.args.timeHeld.gt(0) && isMatured(e, commitPeriods));
+
+  let bonusSum = BigNumber.from(0);
+  let principalTimeSum = BigNumber.from(0);
+  samples.forEach((e) => {
+    bonusSum = bonusSum.add(e.args.holdBonus).add(e.args.commitBonus);
+    principalTimeSum = principalTimeSum.add(e.args.depositAmount.mul(e.args.timeHeld));
+  });
+
+  // percent with 4 decimals precision
+  const apyPercent = principalTimeSum.gt(0) ?
+    parseFloat(ethers.utils.formatUnits(
+      bonusSum.mul(YEAR_SECONDS).mul(100 * 10000).div(principalTimeSum), 4)) :
+    null;
+  return {
+    days,
+    apyPercent,
+    sampleSize: samples.length,
+    confidence: sampleConfidence(samples.length),
+  };
+}
+
+module.exports = {
+  poolHistory,
+  realizedAPY,
+  sampleConfidence,
+};
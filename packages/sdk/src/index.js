@@ -0,0 +1,84 @@
+const { HodlPool, DEFAULT_DEADLINE } = require("./HodlPool");
+const { HODL_POOL_ABI, REWARD_CAMPAIGNS_ABI } = require("./abi");
+const {
+  decodeDepositDetails,
+  decodePoolDetails,
+  decodeCampaignDetails,
+  decodeDepositsOfOwner,
+  decodeTokenURI,
+} = require("./decoders");
+const {
+  holdPoints,
+  commitPoints,
+  timeLeftAt,
+  penaltyPercentAt,
+  penaltyAt,
+  projectWithdrawal,
+  estimateDeposit,
+  minAmountOut,
+} = require("./projections");
+const { supportsPermit, signPermit } = require("./permit");
+const { poolHistory, realizedAPY, sampleConfidence } = require("./history");
+const {
+  feeOnTransferDeposits,
+  isProxy,
+  tokenDecimals,
+  tokenSafetyWarnings,
+} = require("./safety");
+const {
+  queryFilterPaged,
+  queryEvents,
+  addTimestamps,
+  plainEvent,
+  serializeEvents,
+  deserializeEvents,
+} = require("./events");
+const {
+  getAssetsInfo,
+  accountRecords,
+  recordsToCSV,
+  parsePriceFile,
+} = require("./records");
+const { parseBulkDeposits, bulkDepositsTotal, groupBulkDeposits } = require("./bulk");
+
+module.exports = {
+  HodlPool,
+  DEFAULT_DEADLINE,
+  HODL_POOL_ABI,
+  REWARD_CAMPAIGNS_ABI,
+  decodeDepositDetails,
+  decodePoolDetails,
+  decodeCampaignDetails,
+  decodeDepositsOfOwner,
+  decodeTokenURI,
+  holdPoints,
+  commitPoints,
+  timeLeftAt,
+  penaltyPercentAt,
+  penaltyAt,
+  projectWithdrawal,
+  estimateDeposit,
+  minAmountOut,
+  supportsPermit,
+  signPermit,
+  poolHistory,
+  realizedAPY,
+  sampleConfidence,
+  feeOnTransferDeposits,
+  isProxy,
+  tokenDecimals,
+  tokenSafetyWarnings,
+  queryFilterPaged,
+  queryEvents,
+  addTimestamps,
+  plainEvent,
+  serializeEvents,
+  deserializeEvents,
+  getAssetsInfo,
+  accountRecords,
+  recordsToCSV,
+  parsePriceFile,
+  parseBulkDeposits,
+  bulkDepositsTotal,
+  groupBulkDeposits,
+};
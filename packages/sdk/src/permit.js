@@ -0,0 +1,69 @@
+const { ethers } = require("ethers");
+
+// EIP-2612 permit helpers for depositWithPermit
+
+const PERMIT_ABI = [
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function DOMAIN_SEPARATOR() view returns (bytes32)",
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// EIP712 domain of the token, version defaults to "1" for tokens without version()
+// (e.g. OpenZeppelin's ERC20Permit)
+async function permitDomain(token) {
+  const version = await token.version().catch(() => "1");
+  return {
+    name: await token.name(),
+    version,
+    chainId: (await token.provider.getNetwork()).chainId,
+    verifyingContract: token.address,
+  };
+}
+
+// checks that the token has a standard EIP-2612 permit, by checking that its
+// DOMAIN_SEPARATOR matches the domain that will be used for signing
+// (tokens with non-standard permits, e.g. DAI, are treated as not supported)
+async function supportsPermit(tokenAddress, provider, owner) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, provider);
+  try {
+    await token.nonces(owner);
+    const domainSeparator = await token.DOMAIN_SEPARATOR();
+    const domain = await permitDomain(token);
+    return ethers.utils._TypedDataEncoder.hashDomain(domain) === domainSeparator;
+  } catch (e) {
+    return false;
+  }
+}
+
+// signs a permit for spender to spend value of the signer's tokens, returns
+// the deadline and the split signature {v, r, s}
+async function signPermit(signer, tokenAddress, spender, value, deadline) {
+  const token = new ethers.Contract(tokenAddress, PERMIT_ABI, signer);
+  const owner = await signer.getAddress();
+  const message = {
+    owner,
+    spender,
+    value: ethers.BigNumber.from(value),
+    nonce: await token.nonces(owner),
+    deadline: ethers.BigNumber.from(deadline),
+  };
+  const signature = await signer._signTypedData(await permitDomain(token), PERMIT_TYPES, message);
+  const { v, r, s } = ethers.utils.splitSignature(signature);
+  return { deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+  supportsPermit,
+  signPermit,
+};
@@ -0,0 +1,146 @@
+const { ethers } = require("ethers");
+
+// Off-chain versions of the HodlPoolV3 formulas (see the contract's internal views),
+// used to project a deposit's outcome at a future time.
+// All values are BigNumbers (or BigNumberish), times are unix seconds.
+// Projections assume share amounts equal token amounts (no fee-on-transfer or
+// rebasing effects) and no new deposits in the pool until the projected time.
+
+const { BigNumber } = ethers;
+
+// points proportional to amount held since deposit start
+function holdPoints(amount, timeHeld) {
+  return BigNumber.from(amount).mul(timeHeld);
+}
+
+// triangle area of commitment time and penalty
+function commitPoints(amount, initialPenaltyPercent, commitPeriod) {
+  return BigNumber.from(amount).mul(initialPenaltyPercent).mul(commitPeriod).div(100).div(2);
+}
+
+// deposit: {time, commitPeriod}
+function timeLeftAt(deposit, timestamp) {
+  const timeHeld = BigNumber.from(timestamp).sub(deposit.time);
+  const commitPeriod = BigNumber.from(deposit.commitPeriod);
+  return timeHeld.gte(commitPeriod) ? BigNumber.from(0) : commitPeriod.sub(timeHeld);
+}
+
+// deposit: {time, initialPenaltyPercent, commitPeriod}
+function penaltyPercentAt(deposit, timestamp) {
+  const timeLeft = timeLeftAt(deposit, timestamp);
+  if (timeLeft.eq(0)) return BigNumber.from(0);
+  const curPercent = BigNumber.from(deposit.initialPenaltyPercent).mul(timeLeft).div(deposit.commitPeriod);
+  // the contract adds 1 to compensate for rounding down unless when below initial amount
+  return curPercent.lt(deposit.initialPenaltyPercent) ? curPercent.add(1) : curPercent;
+}
+
+// deposit: {amount, time, initialPenaltyPercent, commitPeriod}
+// the contract rounds the penalty up, so that it's never 0 before the commitment end
+function penaltyAt(deposit, timestamp) {
+  const timeLeft = timeLeftAt(deposit, timestamp);
+  if (timeLeft.eq(0)) return BigNumber.from(0);
+  const penalty = BigNumber.from(deposit.amount).mul(deposit.initialPenaltyPercent).mul(timeLeft);
+  const denom = BigNumber.from(deposit.commitPeriod).mul(100);
+  return penalty.add(denom).sub(1).div(denom);
+}
+
+// projects the outcome of withdrawing a deposit at a future timestamp
+// - deposit: {amount, time, initialPenaltyPercent, commitPeriod} (e.g. from depositsOfOwner)
+// - pool: decoded poolDetails at time "now"
+// - earlyExits (optional): {amount, penaltyPercent} other depositors withdrawing early
+//   before "at". Their penalties are split between the two bonus pools, and their points
+//   are removed as a proportional slice of the points of all other deposits.
+function projectWithdrawal({ deposit, pool, now, at, earlyExits }) {
+  const amount = BigNumber.from(deposit.amount);
+  const elapsed = BigNumber.from(at).sub(now);
+
+  // the pool's state at the projected time
+  let depositsSum = BigNumber.from(pool.depositsSum);
+  let holdBonusesSum = BigNumber.from(pool.holdBonusesSum);
+  let commitBonusesSum = BigNumber.from(pool.commitBonusesSum);
+  let totalHoldPoints = BigNumber.from(pool.totalHoldPoints).add(depositsSum.mul(elapsed));
+  let totalCommitPoints = BigNumber.from(pool.totalCommitPoints);
+
+  const depositHoldPoints = holdPoints(amount, BigNumber.from(at).sub(deposit.time));
+  const depositCommitPoints = commitPoints(
+    amount, deposit.initialPenaltyPercent, deposit.commitPeriod);
+
+  const otherDepositsSum = depositsSum.sub(amount);
+  const exitAmount = earlyExits?.amount ? BigNumber.from(earlyExits.amount) : BigNumber.from(0);
+  if (exitAmount.gt(0) && otherDepositsSum.gt(0)) {
+    const exited = exitAmount.gt(otherDepositsSum) ? otherDepositsSum : exitAmount;
+    const exitPenalty = exited.mul(earlyExits.penaltyPercent || 0).div(100);
+    holdBonusesSum = holdBonusesSum.add(exitPenalty.div(2));
+    commitBonusesSum = commitBonusesSum.add(exitPenalty.sub(exitPenalty.div(2)));
+    totalHoldPoints = totalHoldPoints.sub(
+      totalHoldPoints.sub(depositHoldPoints).mul(exited).div(otherDepositsSum));
+    totalCommitPoints = totalCommitPoints.sub(
+      totalCommitPoints.sub(depositCommitPoints).mul(exited).div(otherDepositsSum));
+    depositsSum = depositsSum.sub(exited);
+  }
+
+  const penalty = penaltyAt(deposit, at);
+  let holdBonus = BigNumber.from(0);
+  let commitBonus = BigNumber.from(0);
+  // only get any bonuses if no penalty
+  if (penalty.eq(0)) {
+    holdBonus = totalHoldPoints.gt(0) ?
+      holdBonusesSum.mul(depositHoldPoints).div(totalHoldPoints) : holdBonus;
+    commitBonus = totalCommitPoints.gt(0) ?
+      commitBonusesSum.mul(depositCommitPoints).div(totalCommitPoints) : commitBonus;
+  }
+
+  return {
+    timeLeft: timeLeftAt(deposit, at),
+    penaltyPercent: penaltyPercentAt(deposit, at),
+    penalty,
+    holdBonus,
+    commitBonus,
+    amountOut: amount.sub(penalty).add(holdBonus).add(commitBonus),
+    holdPoints: depositHoldPoints,
+    commitPoints: depositCommitPoints,
+    pool: {
+      depositsSum,
+      holdBonusesSum,
+      commitBonusesSum,
+      totalHoldPoints,
+      totalCommitPoints,
+    },
+  };
+}
+
+// estimates the commit-bonus related outcomes of a new deposit before making it
+// - pool: decoded poolDetails (current)
+// commitBonus is the deposit's share of the current commit bonuses, if it was withdrawn
+// immediately after the commitment period with no other changes in the pool
+function estimateDeposit({ amount, initialPenaltyPercent, commitPeriod, pool }) {
+  const points = commitPoints(amount, initialPenaltyPercent, commitPeriod);
+  const totalCommitPoints = BigNumber.from(pool.totalCommitPoints).add(points);
+  return {
+    commitPoints: points,
+    totalCommitPoints,
+    // in basis points (1/100 of a percent) to avoid rounding to 0
+    commitPointsShareBps: totalCommitPoints.gt(0) ?
+      points.mul(10000).div(totalCommitPoints) : BigNumber.from(0),
+    commitBonus: totalCommitPoints.gt(0) ?
+      BigNumber.from(pool.commitBonusesSum).mul(points).div(totalCommitPoints) : BigNumber.from(0),
+    maxPenalty: BigNumber.from(amount).mul(initialPenaltyPercent).div(100),
+  };
+}
+
+// least amount out accepted for an expected amount with a tolerance in percent (e.g. 0.5)
+function minAmountOut(expected, tolerancePercent) {
+  const basisPoints = Math.round(tolerancePercent * 100);
+  return BigNumber.from(expected).mul(10000 - basisPoints).div(10000);
+}
+
+module.exports = {
+  holdPoints,
+  commitPoints,
+  timeLeftAt,
+  penaltyPercentAt,
+  penaltyAt,
+  projectWithdrawal,
+  estimateDeposit,
+  minAmountOut,
+};
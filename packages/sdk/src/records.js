@@ -0,0 +1,149 @@
+const { ethers } = require("ethers");
+
+// Accounting records of an account's deposits and withdrawals (e.g. for taxes),
+// built from its Deposited, Withdrawed and Recommitted events, with amounts
+// formatted by the asset's decimals and an optional fiat value column.
+
+const ERC20_INFO_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+const COLUMNS = [
+  "date", "timestamp", "txHash", "type", "symbol", "asset",
+  "amount", "principal", "penalty", "holdBonus", "commitBonus", "holdingDays",
+];
+const FIAT_COLUMNS = ["fiatPrice", "fiatValue"];
+
+// {address: {symbol, decimals}} of ERC20 tokens, with "???" and 18 for tokens
+// that don't implement the optional views
+async function getAssetsInfo(addresses, provider) {
+  const info = {};
+  for (const address of new Set(addresses)) {
+    const token = new ethers.Contract(address, ERC20_INFO_ABI, provider);
+    info[address] = {
+      symbol: await token.symbol().catch(() => "???"),
+      decimals: await token.decimals().catch(() => 18),
+    };
+  }
+  return info;
+}
+
+// date of a unix timestamp as YYYY-MM-DD (UTC)
+function dateOf(timestamp) {
+  return new Date(timestamp * 1000).toISOString().split("T")[0];
+}
+
+// events: Deposited, Withdrawed and Recommitted events with a "timestamp" (other
+//   events are ignored), e.g. from queryEvents
+// assetsInfo: {address: {symbol, decimals}} of the events' assets (see getAssetsInfo)
+// priceOf: optional (symbol, timestamp) => fiat price of one unit, or undefined if unknown
+// returns rows in chain order, with "amount" as the amount sent or received by the account
+// and "principal" as the deposit's amount in the pool
+function accountRecords(events, assetsInfo, priceOf) {
+  const rows = [];
+  events.forEach((e) => {
+    const args = e.args;
+    const { symbol, decimals } = assetsInfo[args.asset] || { symbol: "???", decimals: 18 };
+    const format = (value) => ethers.utils.formatUnits(value || 0, decimals);
+    let row;
+    if (e.event === "Deposited") {
+      row = { type: "deposit", amount: format(args.amount), principal: format(args.amountReceived) };
+    } else if (e.event === "Withdrawed") {
+      row = {
+        type: args.penalty.gt(0) ? "early withdrawal" : "withdrawal",
+        amount: format(args.amount),
+        principal: format(args.depositAmount),
+        penalty: format(args.penalty),
+        holdBonus: format(args.holdBonus),
+        commitBonus: format(args.commitBonus),
+        holdingDays: (args.timeHeld.toNumber() / 86400).toFixed(2),
+      };
+    } else if (e.event === "Recommitted") {
+      // the bonus is added to the deposit, nothing is sent or received
+      row = {
+        type: "recommit",
+        amount: format(0),
+        principal: format(args.amount),
+        holdBonus: format(args.holdBonus),
+        commitBonus: format(args.commitBonus),
+      };
+    } else {
+      return;
+    }
+    row = {
+      date: dateOf(e.timestamp),
+      timestamp: e.timestamp,
+      txHash: e.transactionHash,
+      symbol,
+      asset: args.asset,
+      penalty: format(0),
+      holdBonus: format(0),
+      commitBonus: format(0),
+      holdingDays: "",
+      ...row,
+    };
+    if (priceOf) {
+      const price = priceOf(symbol, e.timestamp);
+      row.fiatPrice = price === undefined ? "" : price;
+      row.fiatValue = price === undefined ? "" : parseFloat(row.amount) * price;
+    }
+    rows.push(row);
+  });
+  return rows;
+}
+
+// CSV with a header row (with the fiat columns if the rows have them)
+function recordsToCSV(rows) {
+  const columns = rows.length && "fiatPrice" in rows[0] ? COLUMNS.concat(FIAT_COLUMNS) : COLUMNS;
+  const escape = (value) => {
+    const text = String(value === undefined ? "" : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(",")]
+    .concat(rows.map((row) => columns.map((column) => escape(row[column])).join(",")))
+    .join("\n") + "\n";
+}
+
+// parses a user supplied prices file into a priceOf(symbol, timestamp) function
+// for accountRecords, the prices are looked up by symbol and date (UTC) in:
+//  - JSON: {"ETH": {"2021-09-01": 3430.5, ...}, ...}
+//  - CSV with a header row: date,symbol,price
+function parsePriceFile(text) {
+  const table = {};
+  const add = (symbol, date, price) => {
+    symbol = symbol.trim().toUpperCase();
+    table[symbol] = table[symbol] || {};
+    table[symbol][date.trim()] = parseFloat(price);
+  };
+
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{")) {
+    Object.entries(JSON.parse(trimmed)).forEach(([symbol, prices]) =>
+      Object.entries(prices).forEach(([date, price]) => add(symbol, date, price)));
+  } else {
+    const [header, ...lines] = trimmed.split(/\r?\n/);
+    const columns = header.split(",").map((column) => column.trim().toLowerCase());
+    const [dateIndex, symbolIndex, priceIndex] = ["date", "symbol", "price"].map((column) => {
+      const index = columns.indexOf(column);
+      if (index < 0) throw new Error(`prices file is missing the "${column}" column`);
+      return index;
+    });
+    lines.filter((line) => line.trim()).forEach((line) => {
+      const values = line.split(",");
+      add(values[symbolIndex], values[dateIndex], values[priceIndex]);
+    });
+  }
+
+  return (symbol, timestamp) => {
+    const price = (table[symbol.toUpperCase()] || {})[dateOf(timestamp)];
+    return Number.isNaN(price) ? undefined : price;
+  };
+}
+
+module.exports = {
+  getAssetsInfo,
+  accountRecords,
+  recordsToCSV,
+  parsePriceFile,
+};
@@ -0,0 +1,97 @@
+const { ethers } = require("ethers");
+
+// Token safety checks to run before depositing into a pool. These are heuristics
+// that flag tokens that don't behave like plain ERC20 tokens, they can't prove
+// that a token is safe.
+
+// EIP-1967 implementation and beacon storage slots
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+// EIP-1167 minimal proxy (clone) bytecode prefix
+const MINIMAL_PROXY_PREFIX = "0x363d3d373d3d3d363d73";
+
+const DECIMALS_SELECTOR = ethers.utils.id("decimals()").slice(0, 10);
+
+// Deposited events in which the pool received less than the transferred amount
+// (fee-on-transfer or deflationary tokens), other events are ignored
+function feeOnTransferDeposits(events) {
+  return events.filter((e) =>
+    e.event === "Deposited" && e.args.amountReceived.lt(e.args.amount));
+}
+
+// whether the address is a known upgradeable (EIP-1967) or minimal (EIP-1167) proxy
+async function isProxy(tokenAddress, provider) {
+  const code = await provider.getCode(tokenAddress);
+  if (code.startsWith(MINIMAL_PROXY_PREFIX)) return true;
+  for (const slot of [IMPLEMENTATION_SLOT, BEACON_SLOT]) {
+    const value = await provider.getStorageAt(tokenAddress, slot);
+    if (!ethers.BigNumber.from(value).isZero()) return true;
+  }
+  return false;
+}
+
+// decimals() as a number, or null if it's missing or isn't a valid uint8
+async function tokenDecimals(tokenAddress, provider) {
+  try {
+    const result = await provider.call({ to: tokenAddress, data: DECIMALS_SELECTOR });
+    if (ethers.utils.hexDataLength(result) !== 32) return null;
+    const decimals = ethers.BigNumber.from(result);
+    return decimals.lte(255) ? decimals.toNumber() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// runs all the checks for a token, returns an array of warnings {level, check, message}
+// with level "error" for denied tokens and "warning" for everything else
+// options:
+//  - events: the pool's Deposited events (e.g. from getPoolEvents) for the fee check
+//  - denyList: {address: reason} of tokens that shouldn't be deposited
+//  - allowList: [address] of reviewed tokens, for which the heuristic checks are skipped
+async function tokenSafetyWarnings(
+  tokenAddress, provider, { events = [], denyList = {}, allowList = [] } = {}
+) {
+  const address = tokenAddress.toLowerCase();
+  const denied = Object.entries(denyList).find(([key]) => key.toLowerCase() === address);
+  if (denied) {
+    return [{ level: "error", check: "denyList", message: `Token is on the deny list: ${denied[1]}` }];
+  }
+  if (allowList.some((allowed) => allowed.toLowerCase() === address)) return [];
+
+  const warnings = [];
+  const feeDeposits = feeOnTransferDeposits(events);
+  if (feeDeposits.length) {
+    warnings.push({
+      level: "warning",
+      check: "feeOnTransfer",
+      message: `The pool received less than the transferred amount in ${feeDeposits.length} ` +
+        "past deposits, the token probably takes a fee on transfer. " +
+        "Deposits and withdrawals will be worth less than their amounts.",
+    });
+  }
+  if (await isProxy(tokenAddress, provider)) {
+    warnings.push({
+      level: "warning",
+      check: "proxy",
+      message: "Token is a proxy contract, its behaviour can be changed by its admin.",
+    });
+  }
+  const decimals = await tokenDecimals(tokenAddress, provider);
+  if (decimals === null || decimals > 18) {
+    warnings.push({
+      level: "warning",
+      check: "decimals",
+      message: decimals === null ?
+        "Token doesn't have a standard decimals(), amounts may be displayed incorrectly." :
+        `Token has ${decimals} decimals (more than 18), amounts may be displayed incorrectly.`,
+    });
+  }
+  return warnings;
+}
+
+module.exports = {
+  feeOnTransferDeposits,
+  isProxy,
+  tokenDecimals,
+  tokenSafetyWarnings,
+};
@@ -1,34 +1,349 @@
-import { BigInt, Address } from "@graphprotocol/graph-ts"
+import { BigInt, Address, ethereum, store } from "@graphprotocol/graph-ts"
 import {
-  YourContract,
-  SetPurpose
-} from "../generated/YourContract/YourContract"
-import { Purpose, Sender } from "../generated/schema"
+  HodlPoolV3,
+  Deposited,
+  Withdrawed,
+  Recommitted,
+  BonusAdded,
+  PartiallyWithdrawed,
+  Split,
+  Merged,
+  Transfer,
+  DepositsPaused,
+  EmergencyWithdrawalsSet
+} from "../generated/HodlPoolV3/HodlPoolV3"
+import {
+  Pool,
+  PoolSnapshot,
+  Deposit,
+  Account,
+  Withdrawal,
+  PendingWithdrawal,
+  Recommit,
+  Sponsorship
+} from "../generated/schema"
 
-export function handleSetPurpose(event: SetPurpose): void {
+let ZERO = BigInt.fromI32(0)
+let ONE = BigInt.fromI32(1)
+let ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
 
-  let senderString = event.params.sender.toHexString()
+function eventId(event: ethereum.Event): string {
+  return event.transaction.hash.toHex() + "-" + event.logIndex.toString()
+}
 
-  let sender = Sender.load(senderString)
+function getOrCreateAccount(address: Address, timestamp: BigInt): Account {
+  let id = address.toHexString()
+  let account = Account.load(id)
+  if (account == null) {
+    account = new Account(id)
+    account.address = address
+    account.depositsCount = ZERO
+    account.withdrawalsCount = ZERO
+    account.createdAt = timestamp
+  }
+  return account as Account
+}
 
-  if (sender == null) {
-    sender = new Sender(senderString)
-    sender.address = event.params.sender
-    sender.createdAt = event.block.timestamp
-    sender.purposeCount = BigInt.fromI32(1)
+function getOrCreatePool(asset: Address): Pool {
+  let id = asset.toHexString()
+  let pool = Pool.load(id)
+  if (pool == null) {
+    pool = new Pool(id)
+    pool.asset = asset
+    pool.depositsSum = ZERO
+    pool.holdBonusesSum = ZERO
+    pool.commitBonusesSum = ZERO
+    pool.totalHoldPoints = ZERO
+    pool.totalCommitPoints = ZERO
+    pool.penaltiesSum = ZERO
+    pool.bonusesPaidSum = ZERO
+    pool.sponsorshipsSum = ZERO
+    pool.depositsCount = ZERO
+    pool.activeDepositsCount = ZERO
+    pool.withdrawalsCount = ZERO
+    pool.earlyWithdrawalsCount = ZERO
+    pool.depositsPaused = false
+    pool.emergencyWithdrawals = false
+    pool.updatedAt = ZERO
   }
-  else {
-    sender.purposeCount = sender.purposeCount.plus(BigInt.fromI32(1))
+  return pool as Pool
+}
+
+// reads the pool totals from the contract (after the event's state changes)
+// and saves the pool together with a snapshot of its totals
+function updatePoolAndSnapshot(pool: Pool, event: ethereum.Event): void {
+  let contract = HodlPoolV3.bind(event.address)
+  let details = contract.try_poolDetails(Address.fromString(pool.id))
+  if (!details.reverted) {
+    pool.depositsSum = details.value[0]
+    pool.holdBonusesSum = details.value[1]
+    pool.commitBonusesSum = details.value[2]
+    pool.totalHoldPoints = details.value[3]
+    pool.totalCommitPoints = details.value[4]
   }
+  pool.updatedAt = event.block.timestamp
+  pool.save()
+
+  let snapshot = new PoolSnapshot(eventId(event))
+  snapshot.pool = pool.id
+  snapshot.depositsSum = pool.depositsSum
+  snapshot.holdBonusesSum = pool.holdBonusesSum
+  snapshot.commitBonusesSum = pool.commitBonusesSum
+  snapshot.totalHoldPoints = pool.totalHoldPoints
+  snapshot.totalCommitPoints = pool.totalCommitPoints
+  snapshot.penaltiesSum = pool.penaltiesSum
+  snapshot.bonusesPaidSum = pool.bonusesPaidSum
+  snapshot.activeDepositsCount = pool.activeDepositsCount
+  snapshot.blockNumber = event.block.number
+  snapshot.timestamp = event.block.timestamp
+  snapshot.transactionHash = event.transaction.hash.toHex()
+  snapshot.save()
+}
+
+export function handleDeposited(event: Deposited): void {
+  let depositor = getOrCreateAccount(event.params.account, event.block.timestamp)
+  depositor.depositsCount = depositor.depositsCount.plus(ONE)
+  depositor.save()
 
-  let purpose = new Purpose(event.transaction.hash.toHex() + "-" + event.logIndex.toString())
+  let pool = getOrCreatePool(event.params.asset)
+  pool.depositsCount = pool.depositsCount.plus(ONE)
+  pool.activeDepositsCount = pool.activeDepositsCount.plus(ONE)
 
-  purpose.purpose = event.params.purpose
-  purpose.sender = senderString
-  purpose.createdAt = event.block.timestamp
-  purpose.transactionHash = event.transaction.hash.toHex()
+  // the mint Transfer is emitted before this event, and depositFor transfers
+  // happen after it, so the depositor is the initial owner
+  let deposit = new Deposit(event.params.tokenId.toString())
+  deposit.tokenId = event.params.tokenId
+  deposit.pool = pool.id
+  deposit.owner = depositor.id
+  deposit.depositor = depositor.id
+  deposit.amount = event.params.amount
+  deposit.amountReceived = event.params.amountReceived
+  deposit.time = event.params.time
+  deposit.initialPenaltyPercent = event.params.initialPenaltyPercent
+  deposit.commitPeriod = event.params.commitPeriod
+  deposit.withdrawn = false
+  deposit.createdAt = event.block.timestamp
+  deposit.transactionHash = event.transaction.hash.toHex()
+  deposit.save()
+
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleWithdrawed(event: Withdrawed): void {
+  let account = getOrCreateAccount(event.params.account, event.block.timestamp)
+  account.withdrawalsCount = account.withdrawalsCount.plus(ONE)
+  account.save()
+
+  let pool = getOrCreatePool(event.params.asset)
+  pool.activeDepositsCount = pool.activeDepositsCount.minus(ONE)
+  pool.withdrawalsCount = pool.withdrawalsCount.plus(ONE)
+  if (event.params.penalty.gt(ZERO)) {
+    pool.earlyWithdrawalsCount = pool.earlyWithdrawalsCount.plus(ONE)
+    pool.penaltiesSum = pool.penaltiesSum.plus(event.params.penalty)
+  }
+  pool.bonusesPaidSum = pool.bonusesPaidSum
+    .plus(event.params.holdBonus)
+    .plus(event.params.commitBonus)
 
-  purpose.save()
-  sender.save()
+  let withdrawal = new Withdrawal(eventId(event))
+  withdrawal.pool = pool.id
+  withdrawal.account = account.id
+  withdrawal.amount = event.params.amount
+  withdrawal.depositAmount = event.params.depositAmount
+  withdrawal.penalty = event.params.penalty
+  withdrawal.holdBonus = event.params.holdBonus
+  withdrawal.commitBonus = event.params.commitBonus
+  withdrawal.timeHeld = event.params.timeHeld
+  withdrawal.createdAt = event.block.timestamp
+  withdrawal.transactionHash = event.transaction.hash.toHex()
+  withdrawal.save()
+
+  // the event has no tokenId, the burn Transfer that follows links the deposit
+  let pending = new PendingWithdrawal(event.transaction.hash.toHex())
+  pending.withdrawal = withdrawal.id
+  pending.save()
+
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleBonusAdded(event: BonusAdded): void {
+  let account = getOrCreateAccount(event.params.account, event.block.timestamp)
+  account.save()
+
+  let pool = getOrCreatePool(event.params.asset)
+  pool.sponsorshipsSum = pool.sponsorshipsSum.plus(event.params.amountReceived)
+
+  let sponsorship = new Sponsorship(eventId(event))
+  sponsorship.pool = pool.id
+  sponsorship.account = account.id
+  sponsorship.amount = event.params.amount
+  sponsorship.amountReceived = event.params.amountReceived
+  sponsorship.holdBonus = event.params.holdBonus
+  sponsorship.commitBonus = event.params.commitBonus
+  sponsorship.createdAt = event.block.timestamp
+  sponsorship.transactionHash = event.transaction.hash.toHex()
+  sponsorship.save()
+
+  updatePoolAndSnapshot(pool, event)
+}
+
+// follows the Withdrawed event of a partial withdrawal, which doesn't burn the deposit
+export function handlePartiallyWithdrawed(event: PartiallyWithdrawed): void {
+  let deposit = Deposit.load(event.params.tokenId.toString())
+  if (deposit == null) {
+    return
+  }
+  let txHash = event.transaction.hash.toHex()
+  let pending = PendingWithdrawal.load(txHash)
+  if (pending != null) {
+    let withdrawal = Withdrawal.load(pending.withdrawal)
+    if (withdrawal != null) {
+      withdrawal.deposit = deposit.id
+      withdrawal.save()
+    }
+    store.remove("PendingWithdrawal", txHash)
+  }
+  deposit.amountReceived = deposit.amountReceived.times(event.params.amountLeft).div(deposit.amount)
+  deposit.amount = event.params.amountLeft
+  deposit.save()
+
+  // the deposit is still active
+  let pool = getOrCreatePool(event.params.asset)
+  pool.activeDepositsCount = pool.activeDepositsCount.plus(ONE)
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleRecommitted(event: Recommitted): void {
+  let deposit = Deposit.load(event.params.tokenId.toString())
+  if (deposit == null) {
+    return
+  }
+  deposit.amount = event.params.amount
+  deposit.time = event.params.time
+  deposit.initialPenaltyPercent = event.params.initialPenaltyPercent
+  deposit.commitPeriod = event.params.commitPeriod
+  deposit.save()
+
+  let pool = getOrCreatePool(event.params.asset)
+  pool.bonusesPaidSum = pool.bonusesPaidSum
+    .plus(event.params.holdBonus)
+    .plus(event.params.commitBonus)
+
+  let account = getOrCreateAccount(event.params.account, event.block.timestamp)
+  account.save()
+
+  let recommit = new Recommit(eventId(event))
+  recommit.pool = pool.id
+  recommit.account = account.id
+  recommit.deposit = deposit.id
+  recommit.amount = event.params.amount
+  recommit.holdBonus = event.params.holdBonus
+  recommit.commitBonus = event.params.commitBonus
+  recommit.time = event.params.time
+  recommit.initialPenaltyPercent = event.params.initialPenaltyPercent
+  recommit.commitPeriod = event.params.commitPeriod
+  recommit.createdAt = event.block.timestamp
+  recommit.transactionHash = event.transaction.hash.toHex()
+  recommit.save()
+
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleSplit(event: Split): void {
+  let deposit = Deposit.load(event.params.tokenId.toString())
+  if (deposit == null) {
+    return
+  }
+  // the amount received is split proportionally (as the contract does for depositForMany)
+  let amountReceived = deposit.amountReceived.times(event.params.amount).div(deposit.amount)
+  deposit.amount = deposit.amount.minus(event.params.amount)
+  deposit.amountReceived = deposit.amountReceived.minus(amountReceived)
+  deposit.save()
+
+  // the mint Transfer is emitted before this event, so the new deposit is created here
+  let newDeposit = new Deposit(event.params.newTokenId.toString())
+  newDeposit.tokenId = event.params.newTokenId
+  newDeposit.pool = deposit.pool
+  newDeposit.owner = deposit.owner
+  newDeposit.depositor = deposit.depositor
+  newDeposit.amount = event.params.amount
+  newDeposit.amountReceived = amountReceived
+  newDeposit.time = deposit.time
+  newDeposit.initialPenaltyPercent = deposit.initialPenaltyPercent
+  newDeposit.commitPeriod = deposit.commitPeriod
+  newDeposit.withdrawn = false
+  newDeposit.splitFrom = deposit.id
+  newDeposit.createdAt = event.block.timestamp
+  newDeposit.transactionHash = event.transaction.hash.toHex()
+  newDeposit.save()
+
+  let pool = getOrCreatePool(event.params.asset)
+  pool.activeDepositsCount = pool.activeDepositsCount.plus(ONE)
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleMerged(event: Merged): void {
+  let deposit = Deposit.load(event.params.tokenId.toString())
+  let merged = Deposit.load(event.params.mergedTokenId.toString())
+  if (deposit == null || merged == null) {
+    return
+  }
+  deposit.amount = event.params.amount
+  deposit.amountReceived = deposit.amountReceived.plus(merged.amountReceived)
+  deposit.save()
+
+  // the burn Transfer that follows marks it as withdrawn (with no Withdrawal)
+  merged.mergedInto = deposit.id
+  merged.save()
+
+  let pool = getOrCreatePool(event.params.asset)
+  pool.activeDepositsCount = pool.activeDepositsCount.minus(ONE)
+  updatePoolAndSnapshot(pool, event)
+}
+
+export function handleTransfer(event: Transfer): void {
+  // mints are handled by handleDeposited
+  if (event.params.from.toHexString() == ZERO_ADDRESS) {
+    return
+  }
+
+  let deposit = Deposit.load(event.params.tokenId.toString())
+  if (deposit == null) {
+    return
+  }
+
+  if (event.params.to.toHexString() == ZERO_ADDRESS) {
+    // burn: the deposit was withdrawn
+    deposit.withdrawn = true
+    let txHash = event.transaction.hash.toHex()
+    let pending = PendingWithdrawal.load(txHash)
+    if (pending != null) {
+      deposit.withdrawal = pending.withdrawal
+      let withdrawal = Withdrawal.load(pending.withdrawal)
+      if (withdrawal != null) {
+        withdrawal.deposit = deposit.id
+        withdrawal.save()
+      }
+      store.remove("PendingWithdrawal", txHash)
+    }
+  } else {
+    let owner = getOrCreateAccount(event.params.to, event.block.timestamp)
+    owner.save()
+    deposit.owner = owner.id
+  }
+  deposit.save()
+}
+
+export function handleDepositsPaused(event: DepositsPaused): void {
+  let pool = getOrCreatePool(event.params.asset)
+  pool.depositsPaused = event.params.paused
+  pool.updatedAt = event.block.timestamp
+  pool.save()
+}
 
+export function handleEmergencyWithdrawalsSet(event: EmergencyWithdrawalsSet): void {
+  let pool = getOrCreatePool(event.params.asset)
+  pool.emergencyWithdrawals = event.params.enabled
+  pool.updatedAt = event.block.timestamp
+  pool.save()
 }